@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ── User accounts and sessions ──
+// Users, sessions and pending magic-link tokens live in one JSON file.
+// Passwords are scrypt-hashed; session, magic and capture tokens are only
+// ever stored as SHA-256 hashes, so the file alone can't be used to log in.
+
+const SESSION_COOKIE = 'ps_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAGIC_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored) return false;
+  const [salt, hex] = stored.split(':');
+  const expected = Buffer.from(hex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+class AccountStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.users = [];
+    this.sessions = [];
+    this.magicTokens = [];
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.users = data.users || [];
+      this.sessions = data.sessions || [];
+      this.magicTokens = data.magicTokens || [];
+    } catch {
+      // No accounts yet
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({
+        users: this.users,
+        sessions: this.sessions,
+        magicTokens: this.magicTokens,
+      }, null, 2));
+    } catch (err) {
+      console.warn('⚠️  Accounts write failed:', err.message);
+    }
+  }
+
+  get(id) {
+    return this.users.find(u => u.id === id) || null;
+  }
+
+  // By username or email, case-insensitively
+  findByLogin(login) {
+    const needle = String(login || '').trim().toLowerCase();
+    if (!needle) return null;
+    return this.users.find(u => u.username === needle || (u.email && u.email === needle)) || null;
+  }
+
+  // Resolves to null if the username or email was taken while the password
+  // was hashing (validateRegistration checked before the hash)
+  async register({ username, password, displayName, email }) {
+    const user = {
+      id: crypto.randomBytes(6).toString('hex'),
+      username: username.trim().toLowerCase(),
+      displayName: (displayName || username).trim(),
+      email: email ? email.trim().toLowerCase() : null,
+      passwordHash: password ? await hashPassword(password) : null,
+      createdAt: new Date().toISOString(),
+    };
+    if (this.findByLogin(user.username) || (user.email && this.findByLogin(user.email))) return null;
+    this.users.push(user);
+    this.save();
+    return user;
+  }
+
+  // Resolves to the user, or null for an unknown login or a wrong password
+  async authenticate(login, password) {
+    const user = this.findByLogin(login);
+    if (!user || !(await verifyPassword(String(password || ''), user.passwordHash))) return null;
+    return user;
+  }
+
+  update(id, fields) {
+    const user = this.get(id);
+    if (!user) return null;
+    if (fields.displayName !== undefined) user.displayName = fields.displayName.trim();
+    if (fields.email !== undefined) user.email = fields.email ? fields.email.trim().toLowerCase() : null;
+    this.save();
+    return user;
+  }
+
+  // ── Sessions ──
+  createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.pruneExpired();
+    this.sessions.push({
+      tokenHash: hashToken(token),
+      userId,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+    });
+    this.save();
+    return token;
+  }
+
+  sessionUser(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    const session = this.sessions.find(s => s.tokenHash === tokenHash);
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+    return this.get(session.userId);
+  }
+
+  endSession(token) {
+    const tokenHash = hashToken(token || '');
+    const before = this.sessions.length;
+    this.sessions = this.sessions.filter(s => s.tokenHash !== tokenHash);
+    if (this.sessions.length !== before) this.save();
+  }
+
+  // ── Magic links: single-use, short-lived login tokens ──
+  createMagicToken(userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.pruneExpired();
+    this.magicTokens.push({
+      tokenHash: hashToken(token),
+      userId,
+      expiresAt: new Date(Date.now() + MAGIC_TOKEN_TTL_MS).toISOString(),
+    });
+    this.save();
+    return token;
+  }
+
+  redeemMagicToken(token) {
+    const tokenHash = hashToken(token || '');
+    const entry = this.magicTokens.find(t => t.tokenHash === tokenHash);
+    if (!entry) return null;
+    this.magicTokens = this.magicTokens.filter(t => t !== entry);
+    this.save();
+    return Date.parse(entry.expiresAt) > Date.now() ? this.get(entry.userId) : null;
+  }
+
+  // ── Capture tokens: one long-lived token per user for the bookmarklet ──
+  // Creating a new one replaces (and so revokes) the old one
+  createCaptureToken(userId) {
+    const user = this.get(userId);
+    if (!user) return null;
+    const token = `psc_${crypto.randomBytes(24).toString('hex')}`;
+    user.captureTokenHash = hashToken(token);
+    user.captureTokenCreatedAt = new Date().toISOString();
+    this.save();
+    return token;
+  }
+
+  revokeCaptureToken(userId) {
+    const user = this.get(userId);
+    if (!user) return;
+    delete user.captureTokenHash;
+    delete user.captureTokenCreatedAt;
+    this.save();
+  }
+
+  captureUser(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    return this.users.find(u => u.captureTokenHash === tokenHash) || null;
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    this.sessions = this.sessions.filter(s => Date.parse(s.expiresAt) > now);
+    this.magicTokens = this.magicTokens.filter(t => Date.parse(t.expiresAt) > now);
+  }
+}
+
+// What the API returns about a user — never the password hash
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    email: user.email,
+    hasPassword: !!user.passwordHash,
+    captureTokenCreatedAt: user.captureTokenCreatedAt || null,
+    createdAt: user.createdAt,
+  };
+}
+
+// Returns an error message for bad sign-up input, or null
+function validateRegistration(body, store) {
+  const username = String(body.username || '').trim();
+  if (!/^[a-zA-Z0-9_.-]{3,32}$/.test(username)) {
+    return 'Username must be 3–32 letters, digits, dots, dashes or underscores';
+  }
+  if (store.findByLogin(username)) return 'That username is taken';
+  if (body.email !== undefined && body.email !== null && body.email !== '') {
+    if (typeof body.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email)) return 'Email address is invalid';
+    if (store.findByLogin(body.email)) return 'That email is already registered';
+  }
+  if (!body.password && !body.email) return 'Choose a password, or give an email to sign in with magic links';
+  if (body.password && String(body.password).length < 8) return 'Password must be at least 8 characters';
+  if (body.displayName !== undefined && String(body.displayName).trim().length > 60) return 'Display name is too long';
+  return null;
+}
+
+// ── Express middleware ──
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      cookies[name] = part.slice(eq + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+// Sets req.user (or null) from the session cookie
+function sessionMiddleware(store) {
+  return (req, res, next) => {
+    req.sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+    req.user = store.sessionUser(req.sessionToken);
+    next();
+  };
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in first' });
+  next();
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+  AccountStore,
+  publicUser,
+  validateRegistration,
+  sessionMiddleware,
+  requireUser,
+  setSessionCookie,
+  clearSessionCookie,
+};
@@ -0,0 +1,133 @@
+// ── Shared Puppeteer browser ──
+// One long-lived Chromium serves every scrape. At most `maxPages` tabs are
+// open at once; further requests wait in a FIFO queue. A crashed or
+// disconnected browser is relaunched on the next request, the browser is
+// recycled after `recycleAfter` pages to cap memory growth, and it is shut
+// down after `idleMs` without work.
+
+class BrowserPool {
+  constructor({ puppeteer, launchOptions, maxPages = 2, recycleAfter = 100, idleMs = 5 * 60 * 1000 }) {
+    this.puppeteer = puppeteer;
+    this.launchOptions = launchOptions;
+    this.maxPages = maxPages;
+    this.recycleAfter = recycleAfter;
+    this.idleMs = idleMs;
+
+    this.browser = null;
+    this.launching = null;
+    this.activePages = 0;
+    this.pagesSinceLaunch = 0;
+    this.waiters = [];
+    this.idleTimer = null;
+
+    this.stats = { launches: 0, crashes: 0, recycles: 0, served: 0, failed: 0, totalWaitMs: 0 };
+  }
+
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) return this.browser;
+    if (!this.launching) {
+      this.launching = this.puppeteer.launch(this.launchOptions)
+        .then((browser) => {
+          this.stats.launches++;
+          this.pagesSinceLaunch = 0;
+          browser.on('disconnected', () => {
+            // Only count it as a crash if we didn't close it ourselves
+            if (this.browser === browser) {
+              this.stats.crashes++;
+              console.warn('⚠️  Puppeteer browser disconnected — will relaunch on next request');
+              this.browser = null;
+            }
+          });
+          this.browser = browser;
+          console.log('🧭 Puppeteer browser launched');
+          return browser;
+        })
+        .finally(() => { this.launching = null; });
+    }
+    return this.launching;
+  }
+
+  // Resolves once a page slot is free
+  acquireSlot() {
+    clearTimeout(this.idleTimer);
+    if (this.activePages < this.maxPages) {
+      this.activePages++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  // True when every tab is in use, so withPage() would have to queue
+  isFull() {
+    return this.activePages >= this.maxPages;
+  }
+
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      next(); // hand the slot straight to the next waiter
+      return;
+    }
+    this.activePages--;
+    if (this.activePages === 0) this.scheduleIdleClose();
+  }
+
+  scheduleIdleClose() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.close(), this.idleMs);
+    this.idleTimer.unref?.();
+  }
+
+  // Runs fn(page) on a fresh tab and always closes the tab afterwards
+  async withPage(fn) {
+    const queuedAt = Date.now();
+    await this.acquireSlot();
+    this.stats.totalWaitMs += Date.now() - queuedAt;
+
+    let page;
+    try {
+      const browser = await this.getBrowser();
+      page = await browser.newPage();
+      this.pagesSinceLaunch++;
+      const result = await fn(page);
+      this.stats.served++;
+      return result;
+    } catch (err) {
+      this.stats.failed++;
+      throw err;
+    } finally {
+      if (page) await page.close().catch(() => {});
+      await this.maybeRecycle();
+      this.releaseSlot();
+    }
+  }
+
+  // Restart Chromium once it has served enough pages and nothing else is using it
+  async maybeRecycle() {
+    if (this.pagesSinceLaunch < this.recycleAfter || this.activePages > 1) return;
+    this.stats.recycles++;
+    console.log(`♻️  Recycling Puppeteer browser after ${this.pagesSinceLaunch} pages`);
+    await this.close();
+  }
+
+  async close() {
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) await browser.close().catch(() => {});
+  }
+
+  getStats() {
+    const requests = this.stats.served + this.stats.failed;
+    return {
+      browserRunning: !!(this.browser && this.browser.isConnected()),
+      activePages: this.activePages,
+      maxPages: this.maxPages,
+      queued: this.waiters.length,
+      pagesSinceLaunch: this.pagesSinceLaunch,
+      ...this.stats,
+      avgWaitMs: requests ? Math.round(this.stats.totalWaitMs / requests) : 0,
+    };
+  }
+}
+
+module.exports = { BrowserPool };
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── Response cache ──
+// A small TTL cache with swappable backing stores. Stores only need
+// get/set/delete; expiry is handled here so every store behaves the same.
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+}
+
+// Persists entries to a single JSON file so the cache survives restarts.
+class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writeTimer = null;
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(raw)) {
+        if (entry.expiresAt > now) this.entries.set(key, entry);
+      }
+    } catch {
+      // No cache file yet (or unreadable) — start empty
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleWrite();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleWrite();
+  }
+
+  // Coalesce bursts of writes into one disk flush
+  scheduleWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, 500);
+    this.writeTimer.unref?.();
+  }
+
+  flush() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+    } catch (err) {
+      console.warn('⚠️  Cache write failed:', err.message);
+    }
+  }
+}
+
+class Cache {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  set(key, value, ttlMs) {
+    const now = Date.now();
+    const entry = { value, storedAt: now, expiresAt: now + ttlMs };
+    this.store.set(key, entry);
+    return entry;
+  }
+}
+
+function createStore(type = 'memory', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(options.file || path.join(process.cwd(), 'data', 'cache.json'));
+    default:
+      throw new Error(`Unknown cache store "${type}" (expected memory or file)`);
+  }
+}
+
+// ── Key normalization ──
+function normalizeQuery(query) {
+  return String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// ── Express middleware ──
+// Wraps res.json so a handler's successful response is stored, and
+// short-circuits the handler entirely on a hit. `?fresh=1` skips the lookup
+// but still refreshes the stored entry. `key` may return a promise.
+// `present(body, req)` adds per-request fields on the way out; the cache
+// only ever holds what the handler produced.
+function cacheMiddleware(cache, { namespace, ttlMs, key, shouldCache = () => true, present = body => body }) {
+  return async (req, res, next) => {
+    const rawKey = await key(req);
+    if (!rawKey) return next();
+    const cacheKey = `${namespace}:${rawKey}`;
+    const fresh = req.query.fresh === '1' || req.query.fresh === 'true';
+
+    if (!fresh) {
+      const entry = cache.get(cacheKey);
+      if (entry) {
+        console.log(`💾 Cache hit: ${cacheKey}`);
+        return res.json({
+          ...present(entry.value, req),
+          cache: {
+            hit: true,
+            key: cacheKey,
+            storedAt: new Date(entry.storedAt).toISOString(),
+            expiresAt: new Date(entry.expiresAt).toISOString(),
+            ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+          },
+        });
+      }
+    }
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const meta = { hit: false, key: cacheKey, bypassed: fresh };
+      if (res.statusCode < 400 && body && !body.error && shouldCache(body)) {
+        const entry = cache.set(cacheKey, body, ttlMs);
+        meta.expiresAt = new Date(entry.expiresAt).toISOString();
+      }
+      return originalJson({ ...(res.statusCode < 400 && body && !body.error ? present(body, req) : body), cache: meta });
+    };
+    next();
+  };
+}
+
+module.exports = {
+  Cache,
+  MemoryStore,
+  FileStore,
+  createStore,
+  normalizeQuery,
+  cacheMiddleware,
+};
@@ -0,0 +1,234 @@
+const axios = require('axios');
+const { withFixture } = require('./fixtures');
+const { checkUrl, axiosGuard } = require('./url-guard');
+
+// ── URL canonicalization ──
+// One product can arrive as an amzn.to short link, a mobile m.amazon.in page
+// or a desktop URL with a dozen ref=/tag=/utm_ parameters. canonicalize()
+// maps all of them to the same canonical URL and, for known marketplaces, a
+// product ID ("amazon.in:B0CHX1W1XY") that caching, price history and
+// de-duplication use as the product's identity. resolveCanonical() also
+// follows short-link redirects first.
+
+const TRACKING_PARAMS = /^(utm_.*|ref|ref_|tag|pf_rd_.*|pd_rd_.*|psc|smid|spla|sprefix|crid|qid|sr|keywords|gclid|fbclid|mc_cid|mc_eid|affid|affExtParam\d*|otracker|lid|marketplace|store|srno|iid|ssid|fm|ppt|ppn)$/i;
+
+// `host` captures what the canonical host is built from; `productId` reads
+// the marketplace ID off the parsed URL; `keepParams` lists the only query
+// parameters that identify the product (everything else is dropped).
+const RETAILERS = [
+  {
+    name: 'Amazon',
+    host: /^(?:www\.|m\.|smile\.)?amazon\.((?:co\.|com\.)?[a-z]{2,3})$/,
+    canonicalHost: (m) => `www.amazon.${m[1]}`,
+    productId: (u) => u.pathname.match(/\/(?:dp|gp\/product|gp\/aw\/d|product|o)\/([A-Z0-9]{10})(?=[/?]|$)/i)?.[1].toUpperCase(),
+    // /Slug/dp/ASIN/ref=… and /gp/aw/d/ASIN both become /Slug/dp/ASIN or /dp/ASIN
+    path: (u, id) => {
+      if (!id) return u.pathname;
+      const slug = u.pathname.match(/^\/([^/]+)\/dp\//)?.[1];
+      return slug ? `/${slug}/dp/${id}` : `/dp/${id}`;
+    },
+    keepParams: [],
+  },
+  {
+    name: 'Flipkart',
+    host: /^(?:www\.|m\.|dl\.)?flipkart\.com$/,
+    canonicalHost: () => 'www.flipkart.com',
+    productId: (u) => u.searchParams.get('pid')?.toUpperCase(),
+    // dl.flipkart.com/dl/<path> is the app deep-link form of www.flipkart.com/<path>
+    path: (u) => u.pathname.replace(/^\/dl(?=\/)/, ''),
+    keepParams: ['pid'],
+  },
+  {
+    name: 'Myntra',
+    host: /^(?:www\.|m\.)?myntra\.com$/,
+    canonicalHost: () => 'www.myntra.com',
+    productId: (u) => u.pathname.match(/\/(\d{5,})\/buy\/?$/)?.[1],
+    keepParams: [],
+  },
+  {
+    name: 'Croma',
+    host: /^(?:www\.)?croma\.com$/,
+    canonicalHost: () => 'www.croma.com',
+    productId: (u) => u.pathname.match(/\/p\/(\d+)\/?$/)?.[1],
+    keepParams: [],
+  },
+  {
+    name: 'Reliance Digital',
+    host: /^(?:www\.)?reliancedigital\.in$/,
+    canonicalHost: () => 'www.reliancedigital.in',
+    productId: (u) => u.pathname.match(/\/p\/(\d+)\/?$/)?.[1],
+    keepParams: [],
+  },
+  {
+    name: 'Tata CLiQ',
+    host: /^(?:www\.|m\.)?tatacliq\.com$/,
+    canonicalHost: () => 'www.tatacliq.com',
+    productId: (u) => u.pathname.match(/\/p-(mp\d+)\/?$/i)?.[1].toUpperCase(),
+    keepParams: [],
+  },
+  {
+    name: 'Best Buy',
+    host: /^(?:www\.|m\.)?bestbuy\.(com|ca)$/,
+    canonicalHost: (m) => `www.bestbuy.${m[1]}`,
+    productId: (u) => u.pathname.match(/\/(\d{6,})\.p$/)?.[1] || u.searchParams.get('skuId'),
+    keepParams: [],
+  },
+  {
+    name: 'Walmart',
+    host: /^(?:www\.)?walmart\.(com|ca)$/,
+    canonicalHost: (m) => `www.walmart.${m[1]}`,
+    productId: (u) => u.pathname.match(/\/ip\/(?:[^/]+\/)?(\d+)\/?$/)?.[1],
+    keepParams: [],
+  },
+  {
+    name: 'eBay',
+    host: /^(?:www\.|m\.)?ebay\.((?:co\.|com\.)?[a-z]{2,3})$/,
+    canonicalHost: (m) => `www.ebay.${m[1]}`,
+    productId: (u) => u.pathname.match(/\/itm\/(?:[^/]+\/)?(\d{9,})\/?$/)?.[1],
+    path: (u, id) => (id ? `/itm/${id}` : u.pathname),
+    keepParams: [],
+  },
+  {
+    name: 'Target',
+    host: /^(?:www\.)?target\.com$/,
+    canonicalHost: () => 'www.target.com',
+    productId: (u) => u.pathname.match(/\/A-(\d+)\/?$/)?.[1],
+    keepParams: [],
+  },
+];
+
+// Hosts that only ever redirect to a product page
+const SHORT_LINK_HOSTS = /^(amzn\.(to|in|eu|asia)|a\.co|fkrt\.(it|cc|co|to)|myntr\.it|ebay\.(us|to)|bit\.ly|tinyurl\.com|t\.co|goo\.gl)$/i;
+const MAX_REDIRECTS = 5;
+
+function isShortLink(parsed) {
+  const host = parsed.hostname.toLowerCase();
+  return SHORT_LINK_HOSTS.test(host) || (host === 'dl.flipkart.com' && /^\/s\//.test(parsed.pathname));
+}
+
+function withoutTracking(searchParams) {
+  const params = [...searchParams.entries()]
+    .filter(([k]) => !TRACKING_PARAMS.test(k))
+    .sort(([a], [b]) => a.localeCompare(b));
+  return new URLSearchParams(params).toString();
+}
+
+// Strips tracking noise and maps known retailers to their canonical form.
+// Returns { url, retailer, marketplace, productId }; productId is null when
+// the URL doesn't carry a recognizable marketplace ID. Never throws — a
+// string that isn't a URL comes back trimmed as-is.
+function canonicalize(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return { url: String(url).trim(), retailer: null, marketplace: null, productId: null };
+  }
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  let retailer = null;
+  let match = null;
+  for (const candidate of RETAILERS) {
+    match = parsed.hostname.match(candidate.host);
+    if (match) {
+      retailer = candidate;
+      break;
+    }
+  }
+
+  if (!retailer) {
+    parsed.search = withoutTracking(parsed.searchParams);
+    parsed.hostname = parsed.hostname.replace(/^www\./, '');
+    parsed.pathname = parsed.pathname.replace(/\/ref=[^/]*$/, '').replace(/\/+$/, '') || '/';
+    return { url: parsed.toString(), retailer: null, marketplace: parsed.hostname, productId: null };
+  }
+
+  const id = retailer.productId(parsed) || null;
+  const host = retailer.canonicalHost(match);
+  let pathname = retailer.path ? retailer.path(parsed, id) : parsed.pathname;
+  pathname = pathname.replace(/\/ref=[^/]*$/, '').replace(/\/+$/, '') || '/';
+  // Product pages keep only their identifying parameters; other pages
+  // (search, category) just lose the tracking ones
+  parsed.search = id
+    ? new URLSearchParams(retailer.keepParams.filter(k => parsed.searchParams.has(k)).map(k => [k, parsed.searchParams.get(k)])).toString()
+    : withoutTracking(parsed.searchParams);
+  parsed.hostname = host;
+  parsed.pathname = pathname;
+  const marketplace = host.replace(/^www\./, '');
+  return {
+    url: parsed.toString(),
+    retailer: retailer.name,
+    marketplace,
+    productId: id ? `${marketplace}:${id}` : null,
+  };
+}
+
+// The key a product is cached, recorded and de-duplicated under
+function productKey(url) {
+  const { url: canonicalUrl, productId } = canonicalize(url);
+  return productId || canonicalUrl;
+}
+
+// One redirect hop, without following it: { status, location }
+async function fetchHop(url) {
+  return withFixture('redirect', url, async () => {
+    checkUrl(url);
+    const response = await axios.get(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36' },
+      maxRedirects: 0,
+      timeout: 8000,
+      responseType: 'stream',
+      validateStatus: () => true,
+      ...axiosGuard,
+    });
+    response.data.destroy();
+    const location = response.headers.location;
+    return { status: response.status, location: location ? new URL(location, url).toString() : null };
+  });
+}
+
+// Short links resolve to the same page for a long time; keep recent ones
+const resolvedLinks = new Map();
+const RESOLVED_LINKS_MAX = 500;
+
+// Follows short-link redirects until the URL lands on a real store page.
+// A short link that can't be resolved is returned unchanged (the fetchers
+// will still follow it).
+async function resolveShortLink(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return url;
+  }
+  if (!isShortLink(parsed)) return url;
+  if (resolvedLinks.has(parsed.href)) return resolvedLinks.get(parsed.href);
+
+  let current = parsed.href;
+  try {
+    for (let hop = 0; hop < MAX_REDIRECTS && isShortLink(new URL(current)); hop++) {
+      const { location } = await fetchHop(current);
+      if (!location) break;
+      current = location;
+    }
+  } catch (err) {
+    console.warn(`⚠️  Could not resolve short link ${url}:`, err.message);
+    return url;
+  }
+
+  console.log(`🔗 Resolved short link ${parsed.href} → ${current}`);
+  if (resolvedLinks.size >= RESOLVED_LINKS_MAX) resolvedLinks.delete(resolvedLinks.keys().next().value);
+  resolvedLinks.set(parsed.href, current);
+  return current;
+}
+
+// canonicalize() after following short links; adds `resolvedFrom` when a
+// redirect was followed
+async function resolveCanonical(url) {
+  const resolved = await resolveShortLink(url);
+  const canonical = canonicalize(resolved);
+  return resolved === url ? canonical : { ...canonical, resolvedFrom: url };
+}
+
+module.exports = { canonicalize, productKey, resolveShortLink, resolveCanonical, isShortLink };
@@ -0,0 +1,45 @@
+const express = require('express');
+
+// ── Pages captured in the user's own browser ──
+// Retailers that block the server still render fine for the shopper, so the
+// bookmarklet posts the rendered page (url + html) to POST /scrape/html.
+// JSON callers send an `X-Capture-Token` header (Authorization stays free for
+// API keys); the bookmarklet submits a plain form (page CSPs block fetch, not
+// form posts) with a `token` field.
+
+// Both body types under one size limit, with errors as JSON
+function captureBodyParser({ limit }) {
+  const parsers = [express.json({ limit }), express.urlencoded({ extended: false, limit })];
+  return (req, res, next) => {
+    const run = (i) => {
+      if (i === parsers.length) return next();
+      parsers[i](req, res, (err) => {
+        if (err?.type === 'entity.too.large') return res.status(413).json({ error: `Captured page is larger than the ${limit} limit` });
+        if (err) return res.status(400).json({ error: 'Could not read the captured page' });
+        run(i + 1);
+      });
+    };
+    run(0);
+  };
+}
+
+function captureToken(req) {
+  const header = req.get('x-capture-token');
+  if (header) return header.trim();
+  return typeof req.body?.token === 'string' ? req.body.token : null;
+}
+
+// Returns an error message for a bad capture, or null
+function validateCapture(body) {
+  let parsed;
+  try {
+    parsed = new URL(String(body.url || ''));
+  } catch {
+    return 'url must be the address of the captured page';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'url must be an http(s) address';
+  if (typeof body.html !== 'string' || !body.html.trim()) return 'html is required';
+  return null;
+}
+
+module.exports = { captureBodyParser, captureToken, validateCapture };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ── Saved comparisons ──
+// A signed-in user's snapshot of one comparison: the source product, the
+// result grid as it was shown, the display currency and free-text notes.
+// Stored in one JSON file, written back on every change.
+
+const MAX_NOTES_LENGTH = 2000;
+const MAX_PRODUCTS = 50;
+
+class ComparisonStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.items = [];
+    try {
+      this.items = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      // Nothing saved yet
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.items, null, 2));
+    } catch (err) {
+      console.warn('⚠️  Saved comparisons write failed:', err.message);
+    }
+  }
+
+  // Newest first
+  listFor(userId) {
+    return this.items
+      .filter(c => c.userId === userId)
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  // Only the owner gets a saved comparison back
+  getFor(userId, id) {
+    return this.items.find(c => c.id === id && c.userId === userId) || null;
+  }
+
+  add(userId, fields) {
+    const item = {
+      id: crypto.randomBytes(6).toString('hex'),
+      userId,
+      title: fields.title || fields.source?.name || 'Saved comparison',
+      notes: fields.notes || '',
+      currency: fields.currency || 'INR',
+      source: fields.source,
+      products: fields.products,
+      savedAt: new Date().toISOString(),
+      updatedAt: null,
+    };
+    this.items.push(item);
+    this.save();
+    return item;
+  }
+
+  update(userId, id, fields) {
+    const item = this.getFor(userId, id);
+    if (!item) return null;
+    if (fields.notes !== undefined) item.notes = fields.notes;
+    if (fields.title !== undefined) item.title = fields.title;
+    item.updatedAt = new Date().toISOString();
+    this.save();
+    return item;
+  }
+
+  remove(userId, id) {
+    const before = this.items.length;
+    this.items = this.items.filter(c => !(c.id === id && c.userId === userId));
+    if (this.items.length === before) return false;
+    this.save();
+    return true;
+  }
+}
+
+// The list view doesn't need every card
+function summarizeComparison(item) {
+  const prices = (item.products || []).map(p => p.price).filter(p => typeof p === 'number');
+  return {
+    id: item.id,
+    title: item.title,
+    notes: item.notes,
+    currency: item.currency,
+    sourceUrl: item.source?.url || null,
+    sourcePrice: item.source?.price ?? null,
+    resultCount: (item.products || []).length,
+    lowestPrice: prices.length ? Math.min(...prices) : null,
+    savedAt: item.savedAt,
+    updatedAt: item.updatedAt,
+  };
+}
+
+// Returns an error message for bad input, or null. `partial` is for PATCH.
+function validateComparison(body, { partial = false } = {}) {
+  if (!partial) {
+    if (!body.source || typeof body.source !== 'object' || !body.source.name) {
+      return 'source must be the compared product (with at least a name)';
+    }
+    if (!Array.isArray(body.products)) return 'products must be the array of comparison results';
+    if (body.products.length > MAX_PRODUCTS) return `At most ${MAX_PRODUCTS} results can be saved`;
+  }
+  if (body.notes !== undefined && (typeof body.notes !== 'string' || body.notes.length > MAX_NOTES_LENGTH)) {
+    return `notes must be text of at most ${MAX_NOTES_LENGTH} characters`;
+  }
+  if (body.title !== undefined && (typeof body.title !== 'string' || !body.title.trim() || body.title.length > 200)) {
+    return 'title must be non-empty text of at most 200 characters';
+  }
+  return null;
+}
+
+module.exports = { ComparisonStore, summarizeComparison, validateComparison };
@@ -0,0 +1,72 @@
+// ── Minimal RFC 4180 CSV helpers ──
+// Enough for spreadsheets exported from Excel/Sheets: quoted fields,
+// escaped quotes ("") and newlines inside quotes.
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Parses a CSV with a header row into objects keyed by lower-cased header
+function parseCSVObjects(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(keys.map((k, i) => [k, (cells[i] ?? '').trim()])));
+}
+
+// Text that a spreadsheet would run as a formula (=, +, -, @, or a leading
+// tab/CR) gets a ' in front — scraped names and URLs end up in these cells.
+// Numbers are written as they are, negatives included.
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// rows: array of objects; columns: [{ key, label }]
+function toCSV(rows, columns) {
+  const lines = [columns.map(c => escapeCSV(c.label)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => escapeCSV(row[c.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCSV, parseCSVObjects, toCSV };
@@ -0,0 +1,160 @@
+const axios = require('axios');
+const { withFixture } = require('./fixtures');
+const { callDependency } = require('./resilience');
+const { ISO_CODES } = require('./price');
+
+// ── Currency: live exchange rate cache ──
+// One INR-based table from exchangerate-api, refreshed every 30 minutes.
+// exchangeRates[X] = how many X per 1 INR, so any pair converts through INR.
+// When a refresh fails the last live table stays in use (marked stale); the
+// hard-coded FALLBACK_RATES are only for when no live table was ever loaded.
+// A code the table lacks forces an early refresh at most once per TTL window,
+// and codes that aren't ISO 4217 never do.
+
+const RATES_URL = 'https://api.exchangerate-api.com/v4/latest/INR';
+const RATES_TTL_MS = 30 * 60 * 1000;
+const FALLBACK_RATES = { USD: 0.012, EUR: 0.011, GBP: 0.0095, JPY: 1.8, INR: 1 };
+
+// Locale used to format each target currency; anything else uses en-US
+const CURRENCY_LOCALES = {
+  INR: 'en-IN',
+  USD: 'en-US',
+  GBP: 'en-GB',
+  EUR: 'en-IE',
+  JPY: 'ja-JP',
+  CAD: 'en-CA',
+  AUD: 'en-AU',
+  SGD: 'en-SG',
+  AED: 'en-AE',
+  CHF: 'de-CH',
+};
+
+let exchangeRates = {};
+let ratesFetchedAt = 0;
+let usingFallback = false;
+let refreshFailed = false;
+let forcedAt = 0;
+
+async function loadRates(needed = []) {
+  const now = Date.now();
+  const expired = now - ratesFetchedAt > RATES_TTL_MS;
+  const missing = needed.some(c => ISO_CODES.has(c) && !exchangeRates[c]);
+  const forced = !expired && missing && now - forcedAt > RATES_TTL_MS;
+  if (expired || forced) {
+    if (forced) forcedAt = now;
+    try {
+      const data = await withFixture('rates', RATES_URL, () => callDependency('rates', async ({ timeout }) => {
+        const res = await axios.get(RATES_URL, { timeout });
+        return res.data;
+      }));
+      exchangeRates = data.rates;
+      ratesFetchedAt = now;
+      usingFallback = false;
+      refreshFailed = false;
+    } catch (err) {
+      console.warn(`⚠️  Exchange rates unavailable: ${err.message}`);
+      refreshFailed = true;
+      if (!ratesFetchedAt) {
+        // fallback approximate rates
+        exchangeRates = { ...FALLBACK_RATES };
+        usingFallback = true;
+      }
+    }
+  }
+  return exchangeRates;
+}
+
+function isSupportedCurrency(code) {
+  return typeof code === 'string' && ISO_CODES.has(code.toUpperCase()) &&
+    (!!exchangeRates[code.toUpperCase()] || !!FALLBACK_RATES[code.toUpperCase()]);
+}
+
+// The upper-cased code if prices can be converted to it, else null. Only
+// real ISO codes get as far as loading rates.
+async function resolveCurrency(code) {
+  const upper = String(code).toUpperCase();
+  if (!ISO_CODES.has(upper)) return null;
+  await loadRates([upper]);
+  return isSupportedCurrency(upper) ? upper : null;
+}
+
+// Describes the table a conversion came from, for API responses
+function ratesMeta() {
+  return {
+    base: 'INR',
+    fetchedAt: ratesFetchedAt ? new Date(ratesFetchedAt).toISOString() : null,
+    ageSeconds: ratesFetchedAt ? Math.round((Date.now() - ratesFetchedAt) / 1000) : null,
+    fallback: usingFallback,
+    // A live table kept past its refresh because the refresh failed
+    stale: !usingFallback && refreshFailed,
+  };
+}
+
+// How many `to` one unit of `from` buys. Currencies missing from the table
+// are treated as USD.
+async function getRate(from = 'USD', to = 'INR') {
+  const src = from.toUpperCase();
+  const dst = to.toUpperCase();
+  if (src === dst) return 1;
+  const rates = await loadRates([src, dst]);
+  const perINRFrom = src === 'INR' ? 1 : (rates[src] || rates.USD || FALLBACK_RATES.USD);
+  const perINRTo = dst === 'INR' ? 1 : rates[dst];
+  if (!perINRTo) return null;
+  return perINRTo / perINRFrom;
+}
+
+function fractionDigits(currency) {
+  // Whole rupees, as the app has always shown them
+  if (currency === 'INR') return 0;
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+function roundFor(amount, currency) {
+  const factor = 10 ** fractionDigits(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+// Converts and rounds to the target currency's minor unit; null if unknown
+async function convert(amount, from = 'USD', to = 'INR') {
+  if (!amount || isNaN(amount)) return null;
+  const rate = await getRate(from, to);
+  if (rate === null) return null;
+  return roundFor(amount * rate, to.toUpperCase());
+}
+
+async function toINR(amount, currency = 'USD') {
+  return convert(amount, currency, 'INR');
+}
+
+function formatPrice(amount, currency = 'INR') {
+  if (amount === null || amount === undefined || isNaN(amount)) return null;
+  const code = currency.toUpperCase();
+  const digits = fractionDigits(code);
+  try {
+    return new Intl.NumberFormat(CURRENCY_LOCALES[code] || 'en-US', {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(amount);
+  } catch {
+    return `${code} ${amount}`;
+  }
+}
+
+module.exports = {
+  loadRates,
+  ratesMeta,
+  getRate,
+  convert,
+  toINR,
+  formatPrice,
+  isSupportedCurrency,
+  resolveCurrency,
+  CURRENCY_LOCALES,
+  RATES_TTL_MS,
+};
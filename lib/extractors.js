@@ -0,0 +1,419 @@
+const cheerio = require('cheerio');
+const { parsePrice } = require('./price');
+
+// ── Deterministic product extractors ──
+// Each extractor receives a loaded cheerio document and the page URL and
+// returns a product or null. They run in order; the first one that yields
+// both a name and a price wins, so the LLM is only needed when the markup has
+// nothing. Besides { name, price, priceText, currency, description, image }
+// a product carries the buying details (mrp, discountPercent, availability,
+// seller, rating, reviewCount) and identifiers ({ asin, flipkartPid, gtin,
+// brand, modelNumber }); any of those may be null.
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£', JPY: '¥' };
+
+function formatPriceText(price, currency) {
+  if (price === null || price === undefined) return null;
+  const symbol = CURRENCY_SYMBOLS[currency] || (currency ? `${currency} ` : '');
+  return `${symbol}${price}`;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  // Machine-readable "64999.00" as-is; display text through the price parser
+  if (/^\s*\d+(\.\d+)?\s*$/.test(String(value))) return parseFloat(value);
+  return parsePrice(String(value))?.amount ?? null;
+}
+
+function firstOf(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function textOf(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'object') return textOf(value.name || value['@value'] || '');
+  return String(value);
+}
+
+function imageOf(value) {
+  const img = firstOf(value);
+  if (!img) return '';
+  if (typeof img === 'string') return img;
+  return img.url || img.contentUrl || '';
+}
+
+// Turns a block of prose into up to three short bullets
+function descriptionBullets(text) {
+  if (!text) return [];
+  return String(text)
+    .split(/(?<=[.!?])\s+|\n+|•/)
+    .map(s => s.trim())
+    .filter(s => s.length > 10)
+    .slice(0, 3);
+}
+
+// Maps schema.org availability URLs and retailer wording onto
+// in_stock | out_of_stock | preorder | limited
+function normalizeAvailability(value) {
+  const text = String(value || '').toLowerCase();
+  if (!text) return null;
+  if (/outofstock|soldout|discontinued|out of stock|sold out|currently unavailable|unavailable/.test(text)) return 'out_of_stock';
+  if (/preorder|presale|pre-order/.test(text)) return 'preorder';
+  if (/limitedavailability|only \d+ left|few left/.test(text)) return 'limited';
+  if (/instock|in stock|onlineonly|instoreonly|available/.test(text)) return 'in_stock';
+  return null;
+}
+
+function toRating(value) {
+  const match = String(value ?? '').match(/\d+(\.\d+)?/);
+  if (!match) return null;
+  const rating = parseFloat(match[0]);
+  return rating >= 0 && rating <= 5 ? rating : null;
+}
+
+function toCount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const digits = String(value).replace(/[^\d]/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+// Whole-number percent off the list price, when the list price is higher
+function discountPercent(price, mrp) {
+  if (!price || !mrp || mrp <= price) return null;
+  return Math.round(((mrp - price) / mrp) * 100);
+}
+
+// Retailer IDs that can be read straight off the product URL
+function identifiersFromUrl(url) {
+  const ids = { asin: null, flipkartPid: null };
+  try {
+    const parsed = new URL(url);
+    if (/(^|\.)amazon\./i.test(parsed.hostname)) {
+      const match = parsed.pathname.match(/\/(?:dp|gp\/product|gp\/aw\/d|product)\/([A-Z0-9]{10})(?:[/?]|$)/i);
+      if (match) ids.asin = match[1].toUpperCase();
+    }
+    if (/(^|\.)flipkart\.com$/i.test(parsed.hostname)) {
+      ids.flipkartPid = parsed.searchParams.get('pid') || null;
+    }
+  } catch { /* not a URL — no IDs */ }
+  return ids;
+}
+
+function buildIdentifiers(fields, url) {
+  const fromUrl = identifiersFromUrl(url);
+  const clean = (v) => textOf(v) || null;
+  return {
+    asin: clean(fields.asin) || fromUrl.asin,
+    flipkartPid: clean(fields.flipkartPid) || fromUrl.flipkartPid,
+    gtin: clean(fields.gtin),
+    brand: clean(fields.brand),
+    modelNumber: clean(fields.modelNumber),
+  };
+}
+
+function buildProduct(fields, url) {
+  const price = toNumber(fields.price);
+  const name = textOf(fields.name);
+  if (!name || price === null || price <= 0) return null;
+  const currency = (fields.currency || '').toUpperCase() || null;
+  const mrp = toNumber(fields.mrp);
+  const listPrice = mrp && mrp > price ? mrp : null;
+  return {
+    name,
+    price,
+    priceText: fields.priceText || formatPriceText(price, currency),
+    currency,
+    mrp: listPrice,
+    mrpText: listPrice ? (fields.mrpText || formatPriceText(listPrice, currency)) : null,
+    discountPercent: discountPercent(price, listPrice),
+    availability: normalizeAvailability(fields.availability),
+    seller: textOf(fields.seller) || null,
+    rating: toRating(fields.rating),
+    reviewCount: toCount(fields.reviewCount),
+    identifiers: buildIdentifiers(fields, url),
+    delivery: textOf(fields.delivery) || null,
+    offers: fields.offers || [],
+    description: fields.description || [],
+    image: fields.image || '',
+  };
+}
+
+// ── schema.org Product in JSON-LD ──
+function findJsonLdProduct(node) {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findJsonLdProduct(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  const type = [].concat(node['@type'] || []);
+  if (type.some(t => /^(Product|ProductGroup|IndividualProduct)$/i.test(t))) return node;
+  if (node['@graph']) return findJsonLdProduct(node['@graph']);
+  if (node.mainEntity) return findJsonLdProduct(node.mainEntity);
+  return null;
+}
+
+function jsonLdExtractor($, url) {
+  let product = null;
+  $('script[type="application/ld+json"]').each((_, el) => {
+    if (product) return;
+    try {
+      product = findJsonLdProduct(JSON.parse($(el).contents().text()));
+    } catch { /* malformed block — try the next one */ }
+  });
+  if (!product) return null;
+
+  let offer = firstOf(product.offers) || firstOf(product.hasVariant)?.offers;
+  offer = firstOf(offer) || {};
+  const price = offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price;
+  const currency = offer.priceCurrency || offer.priceSpecification?.priceCurrency;
+  const listPrice = [].concat(offer.priceSpecification || [])
+    .find(spec => /ListPrice|StrikethroughPrice/i.test(spec?.priceType || ''));
+  const rating = product.aggregateRating || {};
+  const shippingRate = firstOf(offer.shippingDetails)?.shippingRate;
+  const shippingCost = toNumber(shippingRate?.value);
+
+  return buildProduct({
+    name: product.name,
+    price,
+    currency,
+    mrp: listPrice?.price,
+    availability: offer.availability,
+    seller: offer.seller,
+    rating: rating.ratingValue,
+    reviewCount: rating.reviewCount ?? rating.ratingCount,
+    gtin: product.gtin13 || product.gtin || product.gtin12 || product.gtin14 || product.gtin8,
+    brand: product.brand,
+    modelNumber: product.model || product.mpn,
+    delivery: shippingCost === null ? null : (shippingCost === 0 ? 'Free delivery' : `${formatPriceText(shippingCost, shippingRate.currency || currency)} shipping`),
+    description: descriptionBullets(product.description),
+    image: imageOf(product.image),
+  }, url);
+}
+
+// ── schema.org Product in microdata ──
+function microdataExtractor($, url) {
+  const scope = $('[itemscope][itemtype*="schema.org/Product"]').first();
+  if (!scope.length) return null;
+
+  const prop = (name) => {
+    const el = scope.find(`[itemprop="${name}"]`).first();
+    if (!el.length) return '';
+    return (el.attr('content') || el.attr('src') || el.attr('href') || el.text() || '').trim();
+  };
+
+  return buildProduct({
+    name: prop('name'),
+    price: prop('price') || prop('lowPrice'),
+    currency: prop('priceCurrency'),
+    availability: prop('availability'),
+    rating: prop('ratingValue'),
+    reviewCount: prop('reviewCount') || prop('ratingCount'),
+    gtin: prop('gtin13') || prop('gtin'),
+    brand: prop('brand'),
+    modelNumber: prop('model') || prop('mpn'),
+    description: descriptionBullets(prop('description')),
+    image: prop('image'),
+  }, url);
+}
+
+// ── OpenGraph / product:price meta tags ──
+function openGraphExtractor($, url) {
+  const meta = (key) => (
+    $(`meta[property="${key}"]`).attr('content') ||
+    $(`meta[name="${key}"]`).attr('content') ||
+    ''
+  ).trim();
+
+  return buildProduct({
+    name: meta('og:title'),
+    price: meta('product:price:amount') || meta('og:price:amount'),
+    currency: meta('product:price:currency') || meta('og:price:currency'),
+    availability: meta('product:availability') || meta('og:availability'),
+    brand: meta('product:brand'),
+    gtin: meta('product:ean') || meta('product:upc'),
+    description: descriptionBullets(meta('og:description')),
+    image: meta('og:image'),
+  }, url);
+}
+
+// ── Amazon.in product pages ──
+function amazonExtractor($, url) {
+  if (!/(^|\.)amazon\.in$/i.test(new URL(url).hostname)) return null;
+
+  const priceText = (
+    $('#corePriceDisplay_desktop_feature_div .a-price .a-offscreen').first().text() ||
+    $('#corePrice_feature_div .a-price .a-offscreen').first().text() ||
+    $('.priceToPay .a-offscreen').first().text() ||
+    $('#priceblock_dealprice').text() ||
+    $('#priceblock_ourprice').text()
+  ).trim();
+
+  const mrpText = (
+    $('#corePriceDisplay_desktop_feature_div .basisPrice .a-offscreen').first().text() ||
+    $('#corePrice_feature_div .a-text-price .a-offscreen').first().text() ||
+    $('#listPrice, #priceblock_listprice').first().text()
+  ).trim();
+
+  const bullets = $('#feature-bullets li span.a-list-item')
+    .map((_, el) => $(el).text().trim())
+    .get()
+    .filter(Boolean)
+    .slice(0, 3);
+
+  // "Item model number" / "Brand" rows live in one of two detail tables
+  const detail = (label) => {
+    const row = $('#productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr, #detailBullets_feature_div li')
+      .filter((_, el) => $(el).text().toLowerCase().includes(label))
+      .first();
+    return row.find('td').last().text().trim() || row.find('span span').last().text().trim();
+  };
+
+  return buildProduct({
+    name: $('#productTitle').text().trim(),
+    price: priceText,
+    priceText,
+    currency: 'INR',
+    mrp: mrpText,
+    mrpText,
+    availability: $('#availability').text().trim(),
+    seller: $('#sellerProfileTriggerId').text().trim() || $('#merchant-info a').first().text().trim(),
+    rating: $('#acrPopover').attr('title') || $('#acrPopover .a-icon-alt').first().text(),
+    reviewCount: $('#acrCustomerReviewText').first().text(),
+    asin: $('input#ASIN').attr('value'),
+    brand: detail('brand') || $('#bylineInfo').text().replace(/^(visit the|brand:)\s*/i, '').replace(/\s*store$/i, '').trim(),
+    modelNumber: detail('model number'),
+    description: bullets,
+    image: $('#landingImage').attr('data-old-hires') || $('#landingImage').attr('src') || '',
+  }, url);
+}
+
+// ── Flipkart product pages ──
+function flipkartExtractor($, url) {
+  if (!/(^|\.)flipkart\.com$/i.test(new URL(url).hostname)) return null;
+
+  // Flipkart ships obfuscated class names that change often, so lean on
+  // the stable bits: the h1 title and the first ₹ amount after it.
+  const name = $('h1').first().text().trim() || $('span.VU-ZEz, span.B_NuCI').first().text().trim();
+  const priceText = (
+    $('div.Nx9bqj.CxhGGd, div._30jeq3._16Jk6d').first().text() ||
+    $('div').filter((_, el) => /^₹[\d,]+$/.test($(el).text().trim())).first().text()
+  ).trim();
+
+  const mrpText = $('div.yRaY8j, div._3I9_wc').first().text().trim();
+  const ratingsText = $('span.Wphh3N, span._2_R_DZ').first().text();
+  const unavailable = $('div.Z8JjpR, div._16FRp0').first().text().trim();
+
+  const bullets = $('li._7eSDEz, li._21Ahn-')
+    .map((_, el) => $(el).text().trim())
+    .get()
+    .filter(Boolean)
+    .slice(0, 3);
+
+  // Spec table rows: "Model Number | SM-S921B"
+  const spec = (label) => $('tr').filter((_, el) => $(el).find('td').first().text().trim().toLowerCase() === label)
+    .first().find('td').last().text().trim();
+
+  return buildProduct({
+    name,
+    price: priceText,
+    priceText,
+    currency: 'INR',
+    mrp: mrpText,
+    mrpText,
+    availability: unavailable || 'in stock',
+    seller: $('#sellerName span span').first().text().trim(),
+    rating: $('div.XQDdHH, div._3LWZlK').first().text(),
+    // "12,345 Ratings & 1,234 Reviews" — count the ratings
+    reviewCount: (ratingsText.match(/[\d,]+(?=\s*Ratings)/i) || [])[0],
+    brand: spec('brand'),
+    modelNumber: spec('model number'),
+    description: bullets,
+    image: $('img._396cs4, img.DByuf4').first().attr('src') || '',
+  }, url);
+}
+
+// Order matters: publisher-declared structured data is the most reliable,
+// site-specific selectors come after since they break with redesigns.
+const EXTRACTORS = [
+  { name: 'json-ld', run: jsonLdExtractor },
+  { name: 'microdata', run: microdataExtractor },
+  { name: 'opengraph', run: openGraphExtractor },
+  { name: 'amazon', run: amazonExtractor },
+  { name: 'flipkart', run: flipkartExtractor },
+];
+
+// Returns { extractor, product } for the first extractor that succeeds, or null
+function extractStructured(html, url) {
+  let $;
+  try {
+    $ = cheerio.load(html);
+  } catch {
+    return null;
+  }
+
+  for (const { name, run } of EXTRACTORS) {
+    try {
+      const product = run($, url);
+      if (product) return { extractor: name, product };
+    } catch (err) {
+      console.warn(`⚠️  Extractor ${name} failed:`, err.message);
+    }
+  }
+  return null;
+}
+
+// Delivery lines and coupon / bank / exchange offers on known stores. They
+// sit outside the product markup, so they are read whichever extractor won.
+const OFFER_SELECTORS = [
+  {
+    host: /(^|\.)amazon\./i,
+    delivery: '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE, #deliveryBlockMessage, #delivery-message',
+    offers: '#vsxoffers_feature_div .a-carousel-card, .vsx-offers-desktop-lv__item, #promoPriceBlockMessage_feature_div label, #buyBackAccordionRow .a-accordion-row',
+  },
+  {
+    host: /(^|\.)flipkart\.com$/i,
+    delivery: (_, el, $) => $(el).children().length === 0 && /^(free )?delivery by/i.test($(el).text().trim()),
+    offers: (_, el, $) => el.tagName === 'li' && /^(bank offer|coupon|partner offer|special price|buy with exchange)/i.test($(el).text().trim()),
+  },
+];
+
+function offerHints($, url) {
+  const rule = OFFER_SELECTORS.find(r => r.host.test(new URL(url).hostname));
+  if (!rule) return { delivery: null, offers: [] };
+  const pick = (selector) => (typeof selector === 'function' ? $('*').filter((i, el) => selector(i, el, $)) : $(selector));
+  const texts = (selector) => pick(selector).map((_, el) => $(el).text().replace(/\s+/g, ' ').trim()).get().filter(Boolean);
+  return { delivery: texts(rule.delivery)[0] || null, offers: [...new Set(texts(rule.offers))] };
+}
+
+// Details worth keeping even when the LLM has to read the page: the LLM
+// only sees stripped text, so the product image, URL-borne IDs and the
+// store's delivery and offer lines come from here
+function extractPageHints(html, url) {
+  const hints = { image: '', identifiers: identifiersFromUrl(url), delivery: null, offers: [] };
+  try {
+    const $ = cheerio.load(html);
+    Object.assign(hints, offerHints($, url));
+    hints.image = (
+      $('meta[property="og:image"]').attr('content') ||
+      $('meta[name="twitter:image"]').attr('content') ||
+      $('link[rel="image_src"]').attr('href') ||
+      $('#landingImage').attr('data-old-hires') ||
+      ''
+    ).trim();
+  } catch { /* unparseable HTML — URL IDs only */ }
+  return hints;
+}
+
+module.exports = {
+  extractStructured,
+  extractPageHints,
+  identifiersFromUrl,
+  normalizeAvailability,
+  discountPercent,
+  EXTRACTORS,
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ── Record / replay of everything the pipeline fetches ──
+// FIXTURE_MODE=record saves each external call (page HTML, LLM replies,
+// SerpAPI results, exchange rates) under FIXTURE_DIR as it happens;
+// FIXTURE_MODE=replay answers the same calls from those files and never
+// touches the network, so /scrape and /search run offline and give the same
+// result every time. Unset (the default) means pass-through.
+//
+// A fixture is <FIXTURE_DIR>/<kind>/<slug>-<hash>.json holding
+// { kind, key, recordedAt, meta, data } or, for a call that failed,
+// { ..., error } — replaying it throws the same message. Backends still need
+// their API keys set in replay mode (any value will do) to count as enabled.
+
+class FixtureMissingError extends Error {
+  constructor(kind, key, file) {
+    super(`No ${kind} fixture for "${key}" (expected ${file})`);
+    this.name = 'FixtureMissingError';
+  }
+}
+
+function mode() {
+  const value = (process.env.FIXTURE_MODE || '').trim().toLowerCase();
+  return value === 'record' || value === 'replay' ? value : 'off';
+}
+
+function fixtureDir() {
+  return process.env.FIXTURE_DIR || 'test/fixtures';
+}
+
+// Readable-ish and stable: the start of the key plus a hash of all of it
+function fixturePath(kind, key) {
+  const slug = String(key)
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60);
+  const hash = crypto.createHash('sha1').update(String(key)).digest('hex').slice(0, 8);
+  return path.join(fixtureDir(), kind, `${slug || kind}-${hash}.json`);
+}
+
+function save(kind, key, entry) {
+  const file = fixturePath(kind, key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ kind, key, recordedAt: new Date().toISOString(), ...entry }, null, 2));
+  console.log(`📼 Recorded ${kind} fixture: ${file}`);
+}
+
+function load(kind, key) {
+  const file = fixturePath(kind, key);
+  if (!fs.existsSync(file)) throw new FixtureMissingError(kind, key, file);
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (fixture.error) throw new Error(fixture.error);
+  return fixture.data;
+}
+
+// Runs fn() for real, records its outcome, or replays a recorded one
+// depending on FIXTURE_MODE. `meta` is stored alongside for humans (e.g.
+// the prompt behind an LLM reply) and never affects lookup.
+async function withFixture(kind, key, fn, meta) {
+  const current = mode();
+  if (current === 'replay') return load(kind, key);
+  if (current === 'off') return fn();
+
+  try {
+    const data = await fn();
+    save(kind, key, { meta, data });
+    return data;
+  } catch (err) {
+    save(kind, key, { meta, error: err.message });
+    throw err;
+  }
+}
+
+module.exports = { withFixture, fixturePath, mode, save, FixtureMissingError };
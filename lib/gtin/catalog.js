@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSVObjects } = require('../csv');
+const { parseGtin } = require('./codes');
+
+// ── Local barcode catalog ──
+// GTIN_CATALOG is a CSV with a gtin (or ean / upc / barcode) column and a
+// name; brand, model, category and image are optional. The file is re-read
+// whenever it changes on disk, so it can be edited while the server runs.
+
+let index = new Map();
+let loadedMtime = 0;
+
+function catalogPath() {
+  return path.resolve(process.env.GTIN_CATALOG || 'data/gtin-catalog.csv');
+}
+
+function loadIndex() {
+  const file = catalogPath();
+  const { mtimeMs } = fs.statSync(file);
+  if (mtimeMs === loadedMtime) return index;
+
+  const next = new Map();
+  for (const row of parseCSVObjects(fs.readFileSync(file, 'utf8'))) {
+    const parsed = parseGtin(row.gtin || row.ean || row.upc || row.barcode);
+    const name = row.name || row.title;
+    if (!parsed || !name) continue;
+    next.set(parsed.gtin, {
+      name,
+      brand: row.brand || null,
+      model: row.model || row.mpn || null,
+      category: row.category || null,
+      image: row.image || '',
+    });
+  }
+  index = next;
+  loadedMtime = mtimeMs;
+  console.log(`📒 GTIN catalog loaded: ${index.size} barcodes from ${file}`);
+  return index;
+}
+
+module.exports = {
+  name: 'catalog',
+
+  isEnabled() {
+    return fs.existsSync(catalogPath());
+  },
+
+  async lookup(gtin) {
+    return loadIndex().get(gtin) || null;
+  },
+};
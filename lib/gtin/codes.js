@@ -0,0 +1,23 @@
+// ── Barcode numbers ──
+const FORMATS = { 8: 'EAN-8', 12: 'UPC-A', 13: 'EAN-13', 14: 'GTIN-14' };
+
+// GS1 check digit: weights 3,1,3,… from the digit next to the check digit
+function hasValidCheckDigit(digits) {
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    sum += Number(body[body.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// "8806 09529 9587" → { gtin: '08806095299587', code: '8806095299587', format: 'EAN-13' },
+// or null when it isn't a well-formed barcode number
+function parseGtin(input) {
+  const code = String(input || '').replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(code) || !FORMATS[code.length] || !hasValidCheckDigit(code)) return null;
+  const format = code.length === 13 && /^97[89]/.test(code) ? 'ISBN-13' : FORMATS[code.length];
+  return { gtin: code.padStart(14, '0'), code, format };
+}
+
+module.exports = { parseGtin };
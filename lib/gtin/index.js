@@ -0,0 +1,43 @@
+const { logger } = require('../logger');
+const { parseGtin } = require('./codes');
+
+// ── Barcode (EAN / UPC / GTIN) lookup ──
+// A resolver is { name, isEnabled(), lookup(gtin) } where gtin is the
+// 14-digit form and lookup resolves to { name, brand?, model?, category?,
+// image? } or null. GTIN_RESOLVERS picks which registered resolvers run
+// (comma-separated, in order); the first one that knows the code wins.
+
+const registry = new Map();
+
+function registerResolver(resolver) {
+  registry.set(resolver.name, resolver);
+}
+
+registerResolver(require('./catalog'));
+
+function enabledResolvers() {
+  return (process.env.GTIN_RESOLVERS || 'catalog')
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean)
+    .map(name => registry.get(name))
+    .filter(resolver => resolver && resolver.isEnabled());
+}
+
+// Resolves to { gtin, code, format, product, resolver } — product is null
+// when no resolver knows the code. Throws for input that isn't a barcode.
+async function resolveGtin(input) {
+  const parsed = parseGtin(input);
+  if (!parsed) throw new Error(`"${input}" is not a valid EAN/UPC/GTIN barcode`);
+  for (const resolver of enabledResolvers()) {
+    try {
+      const product = await resolver.lookup(parsed.gtin);
+      if (product) return { ...parsed, product, resolver: resolver.name };
+    } catch (err) {
+      logger.warn(`⚠️  GTIN resolver ${resolver.name} failed: ${err.message}`, { event: 'gtin_failed', resolver: resolver.name, error: err.message });
+    }
+  }
+  return { ...parsed, product: null, resolver: null };
+}
+
+module.exports = { registerResolver, enabledResolvers, parseGtin, resolveGtin };
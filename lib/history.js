@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── Price history ──
+// Append-only JSON-lines log of every price we observe. The whole log is
+// kept in memory for querying; the file is only ever appended to.
+
+// Repeated observations of an unchanged price inside this window are dropped
+const DEDUPE_WINDOW_MS = 60 * 60 * 1000;
+
+// `keyOf(url)` re-derives each loaded point's productKey, so observations
+// logged under an older keying scheme still group with new ones.
+class PriceHistory {
+  constructor(filePath, { keyOf } = {}) {
+    this.filePath = filePath;
+    this.points = [];
+    try {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const point = JSON.parse(line);
+          if (keyOf && point.url) point.productKey = keyOf(point.url);
+          this.points.push(point);
+        } catch { /* skip a torn last line */ }
+      }
+      console.log(`📈 Loaded ${this.points.length} price observations`);
+    } catch {
+      // No history yet
+    }
+  }
+
+  // point: { productKey, productName, url, retailer, price, originalPrice, currency }
+  record(point) {
+    if (!point.productKey || point.price === null || point.price === undefined) return null;
+
+    const now = Date.now();
+    const last = this.latest(point.productKey, point.retailer);
+    if (last && last.price === point.price && now - Date.parse(last.observedAt) < DEDUPE_WINDOW_MS) {
+      return null;
+    }
+
+    const entry = {
+      productKey: point.productKey,
+      productName: point.productName || null,
+      url: point.url || null,
+      retailer: point.retailer || null,
+      price: point.price,
+      originalPrice: point.originalPrice || null,
+      currency: point.currency || null,
+      observedAt: new Date(now).toISOString(),
+    };
+    this.points.push(entry);
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.warn('⚠️  History write failed:', err.message);
+    }
+    return entry;
+  }
+
+  latest(productKey, retailer) {
+    for (let i = this.points.length - 1; i >= 0; i--) {
+      const p = this.points[i];
+      if (p.productKey === productKey && p.retailer === retailer) return p;
+    }
+    return null;
+  }
+
+  byKey(productKey) {
+    return this.points.filter(p => p.productKey === productKey);
+  }
+
+  // Loose name match: every query token must appear in the product name
+  byProductName(query) {
+    const tokens = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+    return this.points.filter(p => {
+      const name = (p.productName || '').toLowerCase();
+      return tokens.every(t => name.includes(t));
+    });
+  }
+}
+
+function summarize(points) {
+  if (points.length === 0) {
+    return { count: 0, lowest: null, highest: null, first: null, last: null };
+  }
+  const sorted = [...points].sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+  let lowest = sorted[0];
+  let highest = sorted[0];
+  for (const p of sorted) {
+    if (p.price < lowest.price) lowest = p;
+    if (p.price > highest.price) highest = p;
+  }
+  return {
+    count: sorted.length,
+    lowest: { price: lowest.price, retailer: lowest.retailer, observedAt: lowest.observedAt },
+    highest: { price: highest.price, retailer: highest.retailer, observedAt: highest.observedAt },
+    first: sorted[0].observedAt,
+    last: sorted[sorted.length - 1].observedAt,
+  };
+}
+
+module.exports = { PriceHistory, summarize };
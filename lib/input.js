@@ -0,0 +1,20 @@
+const { parseGtin } = require('./gtin');
+
+// ── What was typed into the search box ──
+// A product link, a barcode, a model number ("SM-S921B", "WH-1000XM5") or a
+// plain product name. public/app.js mirrors these rules to label the input
+// as it is typed.
+
+// One token mixing letters and digits, the way manufacturers write models
+const MODEL_NUMBER = /^(?=.*\d)(?=.*[a-z])[a-z0-9][a-z0-9\-/.]{2,23}$/i;
+
+function detectInput(input) {
+  const value = String(input || '').trim().replace(/\s+/g, ' ');
+  if (/^https?:\/\/\S+$/i.test(value)) return { type: 'url', value };
+  const barcode = parseGtin(value);
+  if (barcode) return { type: 'gtin', value, ...barcode };
+  if (MODEL_NUMBER.test(value)) return { type: 'model', value };
+  return { type: 'text', value };
+}
+
+module.exports = { detectInput };
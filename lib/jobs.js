@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { parseCSV } = require('./csv');
+
+// ── Batch comparison jobs ──
+// Jobs are held in memory. Every row from every job goes through one shared
+// queue, so two large uploads can't push the server past BATCH_CONCURRENCY
+// simultaneous scrapes.
+
+const MAX_JOBS_KEPT = 50;
+
+class TaskQueue {
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.pending = [];
+  }
+
+  push(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { task, resolve, reject } = this.pending.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+}
+
+// Pulls http(s) URLs out of a CSV: the "url"/"link" column if there is a
+// header, otherwise any cell that looks like a URL.
+function urlsFromCSV(text) {
+  const rows = parseCSV(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const col = header.findIndex(h => ['url', 'link', 'product url', 'product_url'].includes(h));
+  if (col !== -1) return rows.slice(1).map(r => (r[col] || '').trim()).filter(Boolean);
+  return rows.flatMap(r => r.map(c => c.trim()).filter(c => /^https?:\/\//i.test(c)));
+}
+
+// The lowest-priced option for a row: the source page itself or any
+// confident, in-stock search match
+function cheapestOption(source, products) {
+  const options = [];
+  const inStock = (p) => p.availability !== 'out_of_stock';
+  if (source && !source.blocked && source.price && inStock(source)) {
+    options.push({ websiteName: source.websiteName, price: source.price, priceText: source.priceText, url: source.url });
+  }
+  for (const p of products || []) {
+    if (p.price && !p.lowConfidence && inStock(p)) {
+      options.push({ websiteName: p.websiteName, price: p.price, priceText: p.priceText, url: p.url });
+    }
+  }
+  if (options.length === 0) return null;
+  return options.reduce((min, o) => (o.price < min.price ? o : min));
+}
+
+class BatchJobs {
+  // runRow(url, options) resolves to { source, products }
+  constructor({ concurrency, runRow }) {
+    this.queue = new TaskQueue(concurrency);
+    this.runRow = runRow;
+    this.jobs = new Map();
+  }
+
+  create(urls, options = {}) {
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      status: 'queued',
+      options,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      rows: urls.map((url, index) => ({
+        index,
+        url,
+        status: 'pending',
+        error: null,
+        source: null,
+        products: [],
+        cheapest: null,
+      })),
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    Promise.all(job.rows.map(row => this.queue.push(() => this.processRow(job, row))))
+      .then(() => {
+        job.status = 'done';
+        job.finishedAt = new Date().toISOString();
+        console.log(`📋 Batch ${job.id} finished: ${job.rows.length} rows`);
+      });
+    return job;
+  }
+
+  async processRow(job, row) {
+    job.status = 'running';
+    row.status = 'running';
+    try {
+      const { source, products } = await this.runRow(row.url, job.options);
+      row.source = source;
+      row.products = products;
+      row.cheapest = cheapestOption(source, products);
+      row.status = 'done';
+    } catch (err) {
+      row.status = 'failed';
+      row.error = err.message;
+    }
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Drop the oldest finished jobs once we hold too many
+  prune() {
+    if (this.jobs.size <= MAX_JOBS_KEPT) return;
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= MAX_JOBS_KEPT) break;
+      if (job.status === 'done') this.jobs.delete(id);
+    }
+  }
+}
+
+// Lightweight status for polling — no per-row search results
+function jobStatus(job) {
+  const count = (status) => job.rows.filter(r => r.status === status).length;
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    total: job.rows.length,
+    completed: count('done'),
+    failed: count('failed'),
+    running: count('running'),
+    pending: count('pending'),
+    rows: job.rows.map(r => ({
+      index: r.index,
+      url: r.url,
+      status: r.status,
+      error: r.error,
+      name: r.source?.name || null,
+      blocked: r.source?.blocked || false,
+      cheapest: r.cheapest,
+    })),
+  };
+}
+
+// One flat row per URL for CSV/JSON download
+function jobReport(job) {
+  return job.rows.map(r => ({
+    url: r.url,
+    status: r.status,
+    error: r.error || '',
+    productName: r.source?.name || '',
+    blocked: r.source?.blocked ? 'yes' : 'no',
+    currency: job.options.targetCurrency || 'INR',
+    sourcePrice: r.source?.price ?? '',
+    sourcePriceText: r.source?.priceText || '',
+    cheapestRetailer: r.cheapest?.websiteName || '',
+    cheapestPrice: r.cheapest?.price ?? '',
+    cheapestPriceText: r.cheapest?.priceText || '',
+    cheapestUrl: r.cheapest?.url || '',
+    resultsFound: (r.products || []).length,
+  }));
+}
+
+const REPORT_COLUMNS = [
+  { key: 'url', label: 'URL' },
+  { key: 'status', label: 'Status' },
+  { key: 'error', label: 'Error' },
+  { key: 'productName', label: 'Product' },
+  { key: 'blocked', label: 'Blocked' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'sourcePrice', label: 'Source Price' },
+  { key: 'cheapestRetailer', label: 'Cheapest Retailer' },
+  { key: 'cheapestPrice', label: 'Cheapest Price' },
+  { key: 'cheapestUrl', label: 'Cheapest URL' },
+  { key: 'resultsFound', label: 'Results Found' },
+];
+
+module.exports = { BatchJobs, TaskQueue, urlsFromCSV, jobStatus, jobReport, REPORT_COLUMNS };
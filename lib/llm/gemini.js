@@ -0,0 +1,26 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// ── Google Gemini ──
+// GEMINI_API_KEY; models are tried in order until one answers. A model whose
+// quota is used up (429) is skipped until it resets — see lib/resilience.js.
+
+const GEMINI_MODELS = [
+  'gemini-2.0-flash',
+  'gemini-2.0-flash-001',
+  'gemini-2.5-flash',
+];
+
+let client;
+
+module.exports = {
+  name: 'gemini',
+  defaultModels: GEMINI_MODELS,
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+  async generate(prompt, model, { timeout } = {}) {
+    if (!client) client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const result = await client.getGenerativeModel({ model }, { timeout }).generateContent(prompt);
+    return result.response.text();
+  },
+};
@@ -0,0 +1,195 @@
+const { validateProduct, parseJSONReply } = require('./schema');
+const { openai, llamacpp } = require('./openai');
+const { withFixture } = require('../fixtures');
+const { logger } = require('../logger');
+const { callDependency, QuotaExceededError, CircuitOpenError } = require('../resilience');
+
+// ── LLM extraction backends ──
+// A backend is { name, defaultModels, isConfigured(), generate(prompt, model, { timeout }) }
+// where generate resolves to the raw reply text. LLM_BACKEND picks one
+// (gemini, openai, llamacpp, ollama; default gemini) and LLM_MODELS
+// optionally overrides its model list (comma-separated, tried in order).
+
+const registry = new Map();
+
+function registerBackend(backend) {
+  registry.set(backend.name, backend);
+}
+
+registerBackend(require('./gemini'));
+registerBackend(openai);
+registerBackend(llamacpp);
+registerBackend(require('./ollama'));
+
+function activeBackend() {
+  const name = (process.env.LLM_BACKEND || 'gemini').trim().toLowerCase();
+  const backend = registry.get(name);
+  if (!backend) throw new Error(`Unknown LLM_BACKEND "${name}" (expected one of: ${[...registry.keys()].join(', ')})`);
+  return backend;
+}
+
+function backendModels(backend) {
+  const override = (process.env.LLM_MODELS || '').split(',').map(m => m.trim()).filter(Boolean);
+  return override.length ? override : backend.defaultModels;
+}
+
+// Short summary for startup logs
+function describeBackend() {
+  try {
+    const backend = activeBackend();
+    return { name: backend.name, models: backendModels(backend), configured: backend.isConfigured() };
+  } catch (err) {
+    return { name: process.env.LLM_BACKEND, models: [], configured: false, error: err.message };
+  }
+}
+
+function extractionPrompt(cleanedText, url) {
+  return `You are a product data extractor for an e-commerce price comparison tool.
+From the text below (scraped from ${url}), extract the following:
+1. Product name - the main product title being sold
+2. Current selling price - the actual price with currency symbol (look for ₹, $, etc.)
+3. Three short feature/description bullet points about the product
+4. Buying details: M.R.P/list price, stock availability, seller, star rating and rating count
+5. Identifiers: brand, model number and GTIN/EAN barcode if printed on the page
+6. Delivery and offers: the delivery/shipping line, and every coupon, bank/card and exchange offer
+
+IMPORTANT:
+- For Amazon India pages, the price is usually shown as ₹X,XXX or ₹X,XX,XXX
+- Look for words like "price", "deal price", "M.R.P", "offer price"
+- Description points should be factual product features (RAM, storage, camera, etc.)
+- If you see multiple prices, pick the lowest current selling price
+- "price" is the same amount as a plain number; use null for both price fields if no price is shown
+- "mrp" is the struck-through M.R.P as a plain number, only if it is higher than the price
+- "availability" is one of "in_stock", "out_of_stock", "preorder", "limited"
+- "delivery" is the delivery line as shown (cost and date), e.g. "FREE delivery Tuesday, 12 March"
+- "offers" lists each coupon, bank/card or exchange offer line as shown; use [] if there are none
+- Use null for any detail that is not on the page — never guess
+
+Respond ONLY with valid JSON, no markdown, no explanation:
+{
+  "name": "full product name here",
+  "price": 24999,
+  "priceText": "price with currency symbol e.g. ₹24,999",
+  "currency": "INR",
+  "mrp": 29999,
+  "mrpText": "₹29,999",
+  "availability": "in_stock",
+  "seller": "seller name",
+  "rating": 4.3,
+  "reviewCount": 1520,
+  "brand": "brand name",
+  "modelNumber": "model number",
+  "gtin": null,
+  "delivery": "FREE delivery Tuesday, 12 March",
+  "offers": ["10% Instant Discount on HDFC Bank Credit Cards, up to ₹1,500 on orders of ₹5,000 and above"],
+  "description": ["feature 1", "feature 2", "feature 3"],
+  "image": ""
+}
+
+Text to analyze:
+${cleanedText}`;
+}
+
+function repairPrompt(previousReply, errors) {
+  return `Your previous reply did not match the required JSON schema.
+
+Problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous reply:
+${previousReply}
+
+Return the corrected JSON object only, with exactly these keys:
+"name" (string), "price" (positive number or null), "priceText" (string or null),
+"currency" (3-letter ISO code), "mrp" (positive number or null), "mrpText" (string or null),
+"availability" ("in_stock", "out_of_stock", "preorder", "limited" or null),
+"seller", "brand", "modelNumber" (strings or null), "rating" (0-5 or null),
+"reviewCount" (whole number or null), "gtin" (digits or null),
+"delivery" (string or null), "offers" (array of strings),
+"description" (array of strings), "image" (URL or "").`;
+}
+
+// Fixtures are keyed by page and purpose rather than the prompt itself, so
+// recorded replies keep replaying while cleanHTML or the prompt evolve.
+// Each model has its own circuit breaker, since quotas are per model.
+function generate(backend, model, purpose, url, prompt, onEvent) {
+  const label = `${backend.name}/${model}`;
+  const onRetry = ({ attempt, retries, error }) => onEvent({
+    stage: 'llm-retry',
+    backend: backend.name,
+    model,
+    attempt,
+    message: `🔁 ${label} failed (${error}) — retry ${attempt}/${retries}`,
+  });
+  return withFixture('llm', `${backend.name}|${model}|${purpose}|${url}`, () => callDependency(
+    backend.name,
+    ({ timeout }) => backend.generate(prompt, model, { timeout }),
+    { key: label, onRetry },
+  ), { prompt });
+}
+
+function failureMessage(label, err) {
+  if (err instanceof QuotaExceededError) return `⏳ ${label} is out of quota — trying the next model`;
+  if (err instanceof CircuitOpenError) return `🔌 ${label} is failing — skipping it for now`;
+  return `⚠️ ${label} failed: ${err.message}`;
+}
+
+// Parses and validates a reply; throws with every schema problem listed
+function checkReply(text) {
+  let raw;
+  try {
+    raw = parseJSONReply(text);
+  } catch (err) {
+    const error = new Error(`Reply is not valid JSON: ${err.message}`);
+    error.problems = ['reply must be a single valid JSON object'];
+    throw error;
+  }
+  const { value, errors } = validateProduct(raw);
+  if (errors.length) {
+    const error = new Error(`Reply failed schema validation: ${errors.join('; ')}`);
+    error.problems = errors;
+    throw error;
+  }
+  return value;
+}
+
+// Asks the configured backend for the product fields in the prompt above.
+// Each model gets one repair round if its reply is malformed; after that the
+// next model is tried, as it is when a model stays down through its retries
+// or is out of quota. Only validated products are ever returned.
+async function extractProduct(cleanedText, url, onEvent = () => {}) {
+  const backend = activeBackend();
+  if (!backend.isConfigured()) throw new Error(`LLM backend "${backend.name}" is not configured`);
+
+  let lastError;
+  for (const model of backendModels(backend)) {
+    const label = `${backend.name}/${model}`;
+    try {
+      onEvent({ stage: 'llm', backend: backend.name, model, message: `🤖 Asking ${label}...` });
+      const prompt = extractionPrompt(cleanedText, url);
+      const reply = await generate(backend, model, 'extract', url, prompt, onEvent);
+      logger.info(`✅ ${label} responded`, { event: 'llm_response', backend: backend.name, model });
+      try {
+        return { product: checkReply(reply), backend: backend.name, model };
+      } catch (invalid) {
+        logger.warn(`⚠️  ${label} reply rejected: ${invalid.message}`, { event: 'llm_invalid', backend: backend.name, model, problems: invalid.problems });
+        onEvent({ stage: 'llm-repair', backend: backend.name, model, message: `🔧 ${label} returned malformed data — asking it to fix the reply` });
+        const repaired = await generate(backend, model, 'repair', url, repairPrompt(reply, invalid.problems), onEvent);
+        return { product: checkReply(repaired), backend: backend.name, model };
+      }
+    } catch (err) {
+      logger.warn(`⚠️  ${label} failed: ${err.message}`, { event: 'llm_failed', backend: backend.name, model, error: err.message });
+      onEvent({
+        stage: 'llm-failed',
+        backend: backend.name,
+        model,
+        quotaExceeded: err instanceof QuotaExceededError,
+        message: failureMessage(label, err),
+      });
+      lastError = err;
+    }
+  }
+  throw new Error(`All ${backend.name} models failed. Last error: ${lastError?.message}`);
+}
+
+module.exports = { registerBackend, activeBackend, describeBackend, extractProduct };
@@ -0,0 +1,26 @@
+const axios = require('axios');
+
+// ── Ollama (local models) ──
+// OLLAMA_URL, default http://localhost:11434. `format: json` makes Ollama
+// constrain the reply to valid JSON.
+
+module.exports = {
+  name: 'ollama',
+  defaultModels: ['llama3.1'],
+  isConfigured() {
+    return true;
+  },
+  async generate(prompt, model, { timeout = 120000 } = {}) {
+    const baseUrl = (process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/$/, '');
+    const response = await axios.post(`${baseUrl}/api/chat`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      format: 'json',
+      stream: false,
+      options: { temperature: 0 },
+    }, { timeout });
+    const text = response.data?.message?.content;
+    if (!text) throw new Error('Empty completion');
+    return text;
+  },
+};
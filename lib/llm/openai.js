@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+// ── OpenAI-compatible chat completions ──
+// Works with OpenAI itself and anything speaking the same API (llama.cpp's
+// server, vLLM, LM Studio, OpenRouter...). OPENAI_BASE_URL / OPENAI_API_KEY;
+// the llamacpp backend is the same client pointed at LLAMACPP_URL.
+
+function createOpenAICompatible({ name, baseUrl, apiKey, defaultModel, needsKey }) {
+  return {
+    name,
+    defaultModels: [defaultModel],
+    isConfigured() {
+      return !needsKey() || !!apiKey();
+    },
+    async generate(prompt, model, { timeout = 60000 } = {}) {
+      const key = apiKey();
+      const response = await axios.post(`${baseUrl().replace(/\/$/, '')}/chat/completions`, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0,
+        response_format: { type: 'json_object' },
+      }, {
+        headers: key ? { Authorization: `Bearer ${key}` } : {},
+        timeout,
+      });
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (!text) throw new Error('Empty completion');
+      return text;
+    },
+  };
+}
+
+const openai = createOpenAICompatible({
+  name: 'openai',
+  baseUrl: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey: () => process.env.OPENAI_API_KEY,
+  defaultModel: 'gpt-4o-mini',
+  // A custom base URL is usually a self-hosted server that takes no key
+  needsKey: () => !process.env.OPENAI_BASE_URL,
+});
+
+const llamacpp = createOpenAICompatible({
+  name: 'llamacpp',
+  baseUrl: () => process.env.LLAMACPP_URL || 'http://localhost:8080/v1',
+  apiKey: () => process.env.LLAMACPP_API_KEY,
+  defaultModel: 'default',
+  needsKey: () => false,
+});
+
+module.exports = { openai, llamacpp, createOpenAICompatible };
@@ -0,0 +1,142 @@
+// ── Strict schema for LLM-extracted products ──
+// validateProduct(raw) → { value, errors }. `value` holds only the known
+// fields, trimmed; `errors` lists every problem so a repair prompt can quote
+// them back to the model.
+
+const MAX_NAME = 300;
+const MAX_POINTS = 6;
+const MAX_POINT_LENGTH = 300;
+const AVAILABILITY = ['in_stock', 'out_of_stock', 'preorder', 'limited'];
+const MAX_OFFERS = 12;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Optional string field: missing/empty becomes null
+function optionalString(raw, key, value, errors, { pattern, hint } = {}) {
+  const v = raw[key];
+  if (v === null || v === undefined || v === '') {
+    value[key] = null;
+  } else if (typeof v !== 'string' || (pattern && !pattern.test(v.trim()))) {
+    errors.push(`"${key}" must be ${hint || 'a string'} or null`);
+  } else {
+    value[key] = v.trim();
+  }
+}
+
+// Optional number field within [min, max]
+function optionalNumber(raw, key, value, errors, { min = 0, max = Infinity, integer = false, exclusiveMin = false, hint }) {
+  const v = raw[key];
+  if (v === null || v === undefined) {
+    value[key] = null;
+  } else if (
+    typeof v !== 'number' || !Number.isFinite(v) ||
+    (exclusiveMin ? v <= min : v < min) || v > max ||
+    (integer && !Number.isInteger(v))
+  ) {
+    errors.push(`"${key}" must be ${hint} or null`);
+  } else {
+    value[key] = v;
+  }
+}
+
+function validateProduct(raw) {
+  const errors = [];
+  if (!isPlainObject(raw)) return { value: null, errors: ['reply must be a JSON object'] };
+
+  const value = {};
+
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    errors.push('"name" must be a non-empty string');
+  } else if (raw.name.length > MAX_NAME) {
+    errors.push(`"name" must be at most ${MAX_NAME} characters`);
+  } else {
+    value.name = raw.name.trim();
+  }
+
+  // A page without a visible price is allowed, but then both fields are null
+  if (raw.price === null || raw.price === undefined) {
+    value.price = null;
+  } else if (typeof raw.price !== 'number' || !Number.isFinite(raw.price) || raw.price <= 0) {
+    errors.push('"price" must be a positive number (no currency symbol or separators) or null');
+  } else {
+    value.price = raw.price;
+  }
+
+  if (raw.priceText === null || raw.priceText === undefined) {
+    value.priceText = null;
+  } else if (typeof raw.priceText !== 'string') {
+    errors.push('"priceText" must be a string or null');
+  } else {
+    value.priceText = raw.priceText.trim() || null;
+  }
+
+  if (value.price && !value.priceText) errors.push('"priceText" is required when "price" is set');
+
+  if (raw.currency === null || raw.currency === undefined || raw.currency === '') {
+    value.currency = null;
+  } else if (typeof raw.currency !== 'string' || !/^[A-Z]{3}$/.test(raw.currency.trim())) {
+    errors.push('"currency" must be a 3-letter ISO code such as "INR"');
+  } else {
+    value.currency = raw.currency.trim();
+  }
+
+  if (!Array.isArray(raw.description)) {
+    errors.push('"description" must be an array of strings');
+  } else if (raw.description.some(p => typeof p !== 'string')) {
+    errors.push('every "description" entry must be a string');
+  } else {
+    value.description = raw.description
+      .map(p => p.trim())
+      .filter(Boolean)
+      .slice(0, MAX_POINTS)
+      .map(p => p.slice(0, MAX_POINT_LENGTH));
+  }
+
+  optionalNumber(raw, 'mrp', value, errors, { exclusiveMin: true, hint: 'a positive number' });
+  optionalString(raw, 'mrpText', value, errors);
+  optionalString(raw, 'availability', value, errors, {
+    pattern: new RegExp(`^(${AVAILABILITY.join('|')})$`),
+    hint: `one of ${AVAILABILITY.map(a => `"${a}"`).join(', ')}`,
+  });
+  optionalString(raw, 'seller', value, errors);
+  optionalNumber(raw, 'rating', value, errors, { max: 5, hint: 'a number from 0 to 5' });
+  optionalNumber(raw, 'reviewCount', value, errors, { integer: true, hint: 'a whole number of 0 or more' });
+  optionalString(raw, 'brand', value, errors);
+  optionalString(raw, 'modelNumber', value, errors);
+  optionalString(raw, 'gtin', value, errors, { pattern: /^(\d{8}|\d{12,14})$/, hint: 'an 8, 12, 13 or 14 digit GTIN/EAN' });
+  optionalString(raw, 'delivery', value, errors);
+
+  // Older replies (and recorded fixtures) have no offers at all
+  if (raw.offers === null || raw.offers === undefined) {
+    value.offers = [];
+  } else if (!Array.isArray(raw.offers) || raw.offers.some(o => typeof o !== 'string')) {
+    errors.push('"offers" must be an array of strings');
+  } else {
+    value.offers = raw.offers
+      .map(o => o.trim())
+      .filter(Boolean)
+      .slice(0, MAX_OFFERS)
+      .map(o => o.slice(0, MAX_POINT_LENGTH));
+  }
+
+  if (raw.image === null || raw.image === undefined || raw.image === '') {
+    value.image = '';
+  } else if (typeof raw.image !== 'string' || !/^https?:\/\//i.test(raw.image)) {
+    errors.push('"image" must be an http(s) URL or an empty string');
+  } else {
+    value.image = raw.image;
+  }
+
+  return { value: errors.length ? null : value, errors };
+}
+
+// Pulls the JSON object out of a reply, tolerating ```json fences and chatter
+function parseJSONReply(text) {
+  const match = String(text || '').match(/```(?:json)?\s*([\s\S]*?)```/) || String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('No JSON in response');
+  return JSON.parse(match[1] || match[0]);
+}
+
+module.exports = { validateProduct, parseJSONReply };
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ── Logging ──
+// With LOG_FORMAT=json every line — console.* calls included — becomes one
+// JSON object: time, level, msg, the current request ID and any extra
+// fields. Otherwise the usual emoji lines are printed and fields are
+// dropped. The request ID follows each request through fetches, LLM calls
+// and searches via AsyncLocalStorage, so nothing has to pass it along.
+
+const context = new AsyncLocalStorage();
+let format = 'pretty';
+
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+const PRETTY_METHODS = { info: 'log', warn: 'warn', error: 'error' };
+
+function currentRequestId() {
+  return context.getStore()?.requestId || null;
+}
+
+function newRequestId(prefix) {
+  const id = crypto.randomBytes(8).toString('hex');
+  return prefix ? `${prefix}-${id}` : id;
+}
+
+// Runs fn (and everything it awaits) under the given request ID
+function withRequestId(requestId, fn) {
+  return context.run({ requestId }, fn);
+}
+
+function writeJSON(level, msg, fields) {
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: String(msg).trim(),
+    requestId: currentRequestId(),
+    ...fields,
+  });
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function write(level, msg, fields = {}) {
+  if (format === 'json') writeJSON(level, msg, fields);
+  else console[PRETTY_METHODS[level]](msg);
+}
+
+const logger = {
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  get isJSON() {
+    return format === 'json';
+  },
+};
+
+// Picks the output format once at startup; json also reroutes console.*
+function configureLogging({ format: requested }) {
+  format = requested === 'json' ? 'json' : 'pretty';
+  if (format !== 'json') return;
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    console[method] = (...args) => writeJSON(level, util.format(...args));
+  }
+}
+
+// ── Express middleware ──
+// Honours a sane incoming X-Request-ID (from a proxy) and echoes it back
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-ID');
+    req.id = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : newRequestId();
+    res.setHeader('X-Request-ID', req.id);
+    withRequestId(req.id, next);
+  };
+}
+
+module.exports = { logger, configureLogging, requestContext, currentRequestId, newRequestId, withRequestId };
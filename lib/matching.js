@@ -0,0 +1,127 @@
+// ── Relevance scoring ──
+// Scores a search listing against the scraped source product so accessories,
+// other storage variants and other generations sink below the real thing.
+// Scores run 0–1; `reasons` explains the adjustments for the UI tooltip.
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'new', 'buy', 'online', 'best', 'price', 'in', 'of', 'a', 'an', 'by',
+  'at', 'on', 'to', 'from', 'latest', 'edition', 'pack', 'combo',
+]);
+
+const ACCESSORY_WORDS = [
+  'case', 'cover', 'charger', 'cable', 'adapter', 'adaptor', 'screen protector', 'screen guard',
+  'tempered glass', 'skin', 'pouch', 'sleeve', 'stand', 'holder', 'mount', 'strap', 'replacement',
+  'compatible with', 'for use with', 'back glass', 'lens protector',
+];
+
+const UNIT_ALIASES = { tb: 1024, gb: 1, mah: 1, ml: 1, l: 1000, kg: 1, w: 1, inch: 1, in: 1 };
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .map(t => t.replace(/^\.+|\.+$/g, ''))
+    .filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+// Tokens that mix letters and digits, e.g. "s24", "sm-s921b", "wh1000xm5"
+function modelNumbers(text) {
+  const raw = String(text || '').toLowerCase().match(/\b[a-z]*\d+[a-z0-9-]*\b|\b[a-z]+-?\d+[a-z0-9-]*\b/g) || [];
+  return [...new Set(raw.filter(t => /[a-z]/.test(t) && /\d/.test(t) && !/^\d+(gb|tb|mah|ml|l|kg|g|w|inch|in|mm|cm)$/.test(t)))];
+}
+
+// Capacity/size figures normalized to a base unit per family, e.g. { gb: [256] }.
+// Bare "g" is skipped on purpose: "5G" is far more often a network than grams.
+function capacities(text) {
+  const out = {};
+  const re = /(\d+(?:\.\d+)?)\s?(tb|gb|mah|ml|l|kg|w|inch|in|")(?![a-z])/gi;
+  let m;
+  while ((m = re.exec(String(text || ''))) !== null) {
+    let unit = m[2].toLowerCase();
+    if (unit === '"') unit = 'inch';
+    const family = unit === 'tb' ? 'gb' : unit === 'l' ? 'ml' : unit === 'in' ? 'inch' : unit;
+    const value = parseFloat(m[1]) * (UNIT_ALIASES[unit] || 1);
+    (out[family] = out[family] || []).push(value);
+  }
+  return out;
+}
+
+function scoreMatch(candidate, source) {
+  const reasons = [];
+  const sourceTokens = tokenize(source.name);
+  const candidateName = String(candidate.name || '').toLowerCase();
+  const candidateTokens = new Set(tokenize(candidate.name));
+  if (sourceTokens.length === 0) return { score: 0.5, reasons };
+
+  // Name overlap: share of the source's tokens found in the listing
+  const hits = sourceTokens.filter(t => candidateTokens.has(t)).length;
+  let score = 0.55 * (hits / sourceTokens.length);
+  reasons.push(`${hits}/${sourceTokens.length} name words match`);
+
+  // Brand: treat the first word of the source name as the brand
+  const brand = sourceTokens[0];
+  if (brand && /^[a-z]+$/.test(brand)) {
+    if (candidateTokens.has(brand)) {
+      score += 0.1;
+    } else {
+      score -= 0.1;
+      reasons.push(`brand "${brand}" missing`);
+    }
+  }
+
+  // Model numbers must agree — "S24" vs "S23" is a different product
+  const sourceModels = modelNumbers(source.name);
+  if (sourceModels.length > 0) {
+    const candidateModels = modelNumbers(candidate.name);
+    const matched = sourceModels.filter(m => candidateModels.includes(m) || candidateName.includes(m));
+    if (matched.length === sourceModels.length) {
+      score += 0.2;
+    } else if (candidateModels.length > 0) {
+      score -= 0.3;
+      reasons.push(`model ${candidateModels.join('/')} ≠ ${sourceModels.join('/')}`);
+    } else {
+      reasons.push('model number not shown');
+    }
+  }
+
+  // Capacity/size: a different storage tier is a different listing
+  const sourceCaps = capacities(source.name);
+  const candidateCaps = capacities(candidate.name);
+  for (const [family, values] of Object.entries(sourceCaps)) {
+    if (!candidateCaps[family]) continue;
+    if (values.some(v => candidateCaps[family].includes(v))) {
+      score += 0.1;
+    } else {
+      score -= 0.35;
+      reasons.push(`${family} size differs`);
+    }
+  }
+
+  // Accessories listed for the product ("case for iPhone 15")
+  const sourceName = String(source.name || '').toLowerCase();
+  const hasWord = (text, w) => new RegExp(`\\b${w}\\b`).test(text);
+  const accessory = ACCESSORY_WORDS.find(w => hasWord(candidateName, w) && !hasWord(sourceName, w));
+  if (accessory) {
+    score -= 0.45;
+    reasons.push(`looks like an accessory (${accessory})`);
+  }
+
+  // Price sanity band relative to the source price
+  if (source.price > 0 && candidate.price > 0) {
+    const ratio = candidate.price / source.price;
+    if (ratio < 0.35 || ratio > 2.5) {
+      score -= 0.3;
+      reasons.push(`price is ${ratio < 1 ? 'far below' : 'far above'} the source`);
+    } else if (ratio >= 0.7 && ratio <= 1.4) {
+      score += 0.05;
+    }
+  }
+
+  return {
+    score: Math.round(Math.max(0, Math.min(1, score)) * 100) / 100,
+    reasons,
+  };
+}
+
+module.exports = { scoreMatch, tokenize, modelNumbers, capacities };
@@ -0,0 +1,134 @@
+// ── Prometheus metrics ──
+// Just enough of the text exposition format for counters, histograms and
+// gauges whose value is read at scrape time. Label values are whatever the
+// caller passes; keep them low-cardinality (reasons, models, stages — never URLs).
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    Object.assign(this, { name, help, labelNames, type: 'counter' });
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(seriesKey(this.labelNames, labels)) || 0;
+  }
+
+  lines() {
+    return [...this.values].map(([key, value]) => `${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`);
+  }
+}
+
+// Latencies in seconds by default
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40];
+
+class Histogram {
+  constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    Object.assign(this, { name, help, labelNames, buckets, type: 'histogram' });
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns a function that records the seconds elapsed since this call
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  lines() {
+    const out = [];
+    for (const [key, series] of this.series) {
+      const labels = labelsFromKey(this.labelNames, key);
+      this.buckets.forEach((bound, i) => {
+        out.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[i]}`);
+      });
+      out.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      out.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      out.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+    return out;
+  }
+}
+
+// collect() returns [{ labels, value }] (or a bare number) when /metrics is read
+class Gauge {
+  constructor({ name, help, collect }) {
+    Object.assign(this, { name, help, collect, type: 'gauge' });
+  }
+
+  lines() {
+    const collected = this.collect();
+    const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+    return samples.map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${Number(value) || 0}`);
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(options) {
+    return this.add(new Counter(options));
+  }
+
+  histogram(options) {
+    return this.add(new Histogram(options));
+  }
+
+  gauge(options) {
+    return this.add(new Gauge(options));
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics
+      .map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n'))
+      .join('\n') + '\n';
+  }
+}
+
+module.exports = { Registry, Counter, Histogram, Gauge };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { BlockedDestinationError, checkUrl, axiosGuard } = require('./url-guard');
+const { formatPrice } = require('./currency');
+
+// ── Price-drop notification channels ──
+// Each channel exposes send(alert, target). `alert` is
+// { item, price, priceText, targetPrice, name, url, checkedAt }.
+
+function alertSubject(alert) {
+  return `Price drop: ${alert.name} is now ${alert.priceText}`;
+}
+
+function alertText(alert) {
+  return [
+    `${alert.name} dropped to ${alert.priceText} (your target: ${formatPrice(alert.targetPrice, alert.item.currency || 'INR')}).`,
+    `Checked at ${alert.checkedAt}.`,
+    alert.url,
+  ].join('\n');
+}
+
+// POSTs the alert as JSON to the configured URL. The URL goes through the
+// same destination guard as /scrape, so a webhook can't reach internal hosts.
+const webhookChannel = {
+  validate(target) {
+    try {
+      checkUrl(String(target || ''));
+      return null;
+    } catch (err) {
+      if (err instanceof BlockedDestinationError) return `Webhook URL is not allowed: ${err.reason}`;
+      throw err;
+    }
+  },
+  async send(alert, target) {
+    await axios.post(target, {
+      event: 'price_drop',
+      text: alertText(alert),
+      product: { name: alert.name, url: alert.url },
+      price: alert.price,
+      priceText: alert.priceText,
+      targetPrice: alert.targetPrice,
+      checkedAt: alert.checkedAt,
+      watchId: alert.item.id,
+    }, { timeout: 10000, maxRedirects: 0, ...axiosGuard });
+  },
+};
+
+// Sends mail through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+let transporter;
+async function sendMail({ to, subject, text }) {
+  if (!transporter) {
+    const nodemailer = require('nodemailer');
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  await transporter.sendMail({ from: process.env.SMTP_FROM || process.env.SMTP_USER, to, subject, text });
+}
+
+const emailChannel = {
+  validate(target) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target || '')) return 'A valid email address is required';
+    if (!process.env.SMTP_HOST) return 'Email alerts need SMTP_HOST configured on the server';
+    return null;
+  },
+  async send(alert, target) {
+    await sendMail({ to: target, subject: alertSubject(alert), text: alertText(alert) });
+  },
+};
+
+// Appends to a local log file — handy when nothing external is set up
+const logChannel = {
+  validate() {
+    return null;
+  },
+  async send(alert) {
+    const file = process.env.ALERT_LOG_FILE || path.join('data', 'alerts.log');
+    const line = JSON.stringify({
+      at: alert.checkedAt,
+      watchId: alert.item.id,
+      name: alert.name,
+      url: alert.url,
+      price: alert.price,
+      targetPrice: alert.targetPrice,
+    });
+    console.log(`🔔 ${alertSubject(alert)}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, line + '\n');
+  },
+};
+
+const CHANNELS = {
+  webhook: webhookChannel,
+  email: emailChannel,
+  log: logChannel,
+};
+
+function getChannel(type) {
+  return CHANNELS[type] || null;
+}
+
+module.exports = { CHANNELS, getChannel, sendMail };
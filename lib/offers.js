@@ -0,0 +1,167 @@
+// ── Shipping, coupons, bank and exchange offers ──
+// Pages and search listings describe these as free text ("10% Instant
+// Discount on HDFC Bank Credit Cards, up to ₹1,500 on orders of ₹5,000 and
+// above"). parseOffers turns those lines into numbers; landedPrice then
+// works out what the buyer actually pays: price + shipping − the best coupon
+// − the best bank offer the buyer's cards qualify for. Exchange offers need
+// a trade-in, so they are listed but never subtracted.
+
+// Bank IDs the client can send back in `banks`
+const BANKS = [
+  { id: 'hdfc', name: 'HDFC Bank', pattern: /\bhdfc\b/i },
+  { id: 'icici', name: 'ICICI Bank', pattern: /\bicici\b/i },
+  { id: 'sbi', name: 'SBI', pattern: /\bsbi\b|state bank/i },
+  { id: 'axis', name: 'Axis Bank', pattern: /\baxis\b/i },
+  { id: 'kotak', name: 'Kotak', pattern: /\bkotak\b/i },
+  { id: 'idfc', name: 'IDFC FIRST', pattern: /\bidfc\b/i },
+  { id: 'bob', name: 'Bank of Baroda', pattern: /\bbob\b|bank of baroda/i },
+  { id: 'indusind', name: 'IndusInd', pattern: /\bindusind\b/i },
+  { id: 'yes', name: 'YES Bank', pattern: /\byes bank\b/i },
+  { id: 'rbl', name: 'RBL Bank', pattern: /\brbl\b/i },
+  { id: 'au', name: 'AU Bank', pattern: /\bau (small finance )?bank\b/i },
+  { id: 'federal', name: 'Federal Bank', pattern: /\bfederal bank\b/i },
+  { id: 'hsbc', name: 'HSBC', pattern: /\bhsbc\b/i },
+  { id: 'amex', name: 'American Express', pattern: /\bamex\b|american express/i },
+  { id: 'onecard', name: 'OneCard', pattern: /\bonecard\b/i },
+];
+
+const MONEY = /(?:₹|rs\.?|inr|\$|€|£)\s*([\d,]+(?:\.\d+)?)/gi;
+
+function toAmount(digits) {
+  const n = parseFloat(String(digits).replace(/,/g, ''));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function offerType(text) {
+  // "Special Price … (price inclusive of cashback/coupon)" is already in the price
+  if (/inclusive of|already applied|included in (the )?price/i.test(text)) return 'other';
+  if (/\bexchange\b/i.test(text)) return 'exchange';
+  if (/\bbank\b|credit card|debit card|\bcards?\b|\bemi\b/i.test(text) || BANKS.some(b => b.pattern.test(text))) return 'bank';
+  if (/coupon|promo ?code|use code|apply code/i.test(text)) return 'coupon';
+  return 'other';
+}
+
+// One offer line → { type, text, bank, percent, amount, maxDiscount, minSpend }.
+// Amounts are in the currency the page shows them in.
+function parseOffer(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return null;
+  const offer = { type: offerType(clean), text: clean.slice(0, 300), bank: null, percent: null, amount: null, maxDiscount: null, minSpend: null };
+  offer.bank = BANKS.find(b => b.pattern.test(clean))?.id || null;
+
+  const percent = clean.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (percent) offer.percent = parseFloat(percent[1]);
+
+  // Classify every amount by the words just before it
+  for (const match of clean.matchAll(MONEY)) {
+    const amount = toAmount(match[1]);
+    if (!amount) continue;
+    const before = clean.slice(Math.max(0, match.index - 30), match.index).toLowerCase();
+    if (/(orders?|purchases?|transactions?|spend|min(imum)?|above|over|value)( of| above| over)?\s*$/.test(before)) {
+      offer.minSpend = offer.minSpend ?? amount;
+    } else if (offer.percent !== null && /up ?to\s*$|max(imum)?( discount)?( of)?\s*$|capped at\s*$/.test(before)) {
+      offer.maxDiscount = offer.maxDiscount ?? amount;
+    } else {
+      offer.amount = offer.amount ?? amount;
+    }
+  }
+  // "No Cost EMI" and similar have nothing to subtract
+  if (offer.type === 'other' || (offer.percent === null && offer.amount === null)) return null;
+  return offer;
+}
+
+function parseOffers(texts) {
+  return [].concat(texts || [])
+    .map(parseOffer)
+    .filter(Boolean)
+    .filter((offer, i, all) => all.findIndex(o => o.text === offer.text) === i)
+    .slice(0, 12);
+}
+
+// "FREE delivery Tuesday, 12 March" → { shipping: 0, deliveryEstimate: 'Tuesday, 12 March' }
+function parseShipping(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return { shipping: null, deliveryEstimate: null };
+
+  let shipping = null;
+  if (/free (delivery|shipping)|(delivery|shipping)[^.]{0,10}\bfree\b/i.test(clean)) {
+    shipping = 0;
+  } else {
+    const paid = clean.match(/(?:₹|rs\.?|inr|\$|€|£)\s*([\d,]+(?:\.\d+)?)\s*(?:delivery|shipping)|(?:delivery|shipping)(?: charges?| fee)?:?\s*(?:₹|rs\.?|inr|\$|€|£)\s*([\d,]+(?:\.\d+)?)/i);
+    if (paid) shipping = toAmount(paid[1] || paid[2]);
+  }
+
+  const estimate = clean.match(/\b(?:by|on|arrives|get it)\s+((?:today|tomorrow)\b[^,.]*|(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+[\w ,]+?\d{1,2}(?:\s+[a-z]{3,9})?|\d{1,2}\s+[a-z]{3,9})\b/i)
+    || clean.match(/\b(?:delivery|shipping)\s+((?:mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+\d{1,2}\s+[a-z]{3,9}|(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+[a-z]{3,9}\s+\d{1,2}|in \d+(?:-\d+)? days)\b/i);
+  return { shipping, deliveryEstimate: estimate ? estimate[1].trim() : null };
+}
+
+// Offers and shipping were read in the store's currency; `rate` converts them
+function convertOffers(offers, rate) {
+  const scale = (v) => (typeof v === 'number' ? Math.round(v * rate * 100) / 100 : v);
+  return offers.map(o => ({ ...o, amount: scale(o.amount), maxDiscount: scale(o.maxDiscount), minSpend: scale(o.minSpend) }));
+}
+
+// What an offer takes off `price`; 0 if the order is too small
+function offerSaving(offer, price) {
+  if (offer.minSpend && price < offer.minSpend) return 0;
+  let saving = offer.percent !== null ? (price * offer.percent) / 100 : offer.amount || 0;
+  if (offer.percent !== null && offer.maxDiscount) saving = Math.min(saving, offer.maxDiscount);
+  return Math.round(Math.min(saving, price) * 100) / 100;
+}
+
+function bestOffer(offers, price) {
+  return offers
+    .map(offer => ({ offer, saving: offerSaving(offer, price) }))
+    .filter(o => o.saving > 0)
+    .sort((a, b) => b.saving - a.saving)[0] || null;
+}
+
+// A bank offer counts when it names one of the buyer's banks. Offers that
+// name no bank ("10% off with any credit card") count once the buyer has
+// said they hold at least one card.
+function usableBankOffer(offer, banks) {
+  if (offer.type !== 'bank' || banks.length === 0) return false;
+  return offer.bank ? banks.includes(offer.bank) : true;
+}
+
+// { price, shipping, offers } → { effectivePrice, breakdown: [{ label, amount }], excluded: [...] }
+function landedPrice(product, { banks = [] } = {}) {
+  if (typeof product.price !== 'number' || !(product.price > 0)) return null;
+  const offers = product.offers || [];
+  const breakdown = [{ label: 'Price', amount: product.price }];
+  let total = product.price;
+
+  if (typeof product.shipping === 'number' && product.shipping > 0) {
+    breakdown.push({ label: 'Shipping', amount: product.shipping });
+    total += product.shipping;
+  }
+
+  const coupon = bestOffer(offers.filter(o => o.type === 'coupon'), product.price);
+  if (coupon) {
+    breakdown.push({ label: `Coupon: ${coupon.offer.text}`, amount: -coupon.saving });
+    total -= coupon.saving;
+  }
+
+  const bank = bestOffer(offers.filter(o => usableBankOffer(o, banks)), product.price);
+  if (bank) {
+    breakdown.push({ label: `Bank offer: ${bank.offer.text}`, amount: -bank.saving });
+    total -= bank.saving;
+  }
+
+  // Shown so the buyer knows they exist, but not in the total
+  const excluded = offers
+    .filter(o => o.type === 'exchange' || (o.type === 'bank' && o !== bank?.offer))
+    .map(o => ({ type: o.type, text: o.text }));
+
+  return { effectivePrice: Math.round(Math.max(total, 0) * 100) / 100, breakdown, excluded };
+}
+
+// Known bank IDs from "hdfc, icici" or ['hdfc', 'icici']
+function parseBanks(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  const known = new Set(BANKS.map(b => b.id));
+  return [...new Set(ids.map(id => String(id).trim().toLowerCase()).filter(id => known.has(id)))];
+}
+
+module.exports = { BANKS, parseOffer, parseOffers, parseShipping, convertOffers, landedPrice, parseBanks };
@@ -0,0 +1,199 @@
+// ── Price text parsing ──
+// parsePrice("1.299,00 €") → { amount: 1299, min: 1299, max: 1299,
+// currency: 'EUR', isRange: false, confidence: 1, raw }. Handles both
+// decimal conventions, Indian/Swiss/space grouping, ranges ("₹1,299 – ₹1,499"
+// → min/max, amount is the low end), "Rs."/ISO codes and the dollar family
+// (C$, A$, S$...). `confidence` (0–1) drops whenever a guess was needed:
+// a bare "$", a missing symbol, an ambiguous separator, stray extra numbers.
+
+// Longest tokens first so "C$" wins over "$" and "CN¥" over "¥"
+const CURRENCY_TOKENS = [
+  ['CA$', 'CAD'], ['C$', 'CAD'],
+  ['AU$', 'AUD'], ['A$', 'AUD'],
+  ['NZ$', 'NZD'], ['S$', 'SGD'], ['HK$', 'HKD'], ['US$', 'USD'], ['R$', 'BRL'],
+  ['CN¥', 'CNY'], ['RMB', 'CNY'],
+  ['Rs.', 'INR'], ['Rs', 'INR'], ['₹', 'INR'],
+  ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['円', 'JPY'],
+  ['Fr.', 'CHF'], ['د.إ', 'AED'], ['Dhs', 'AED'], ['Dh', 'AED'],
+];
+
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD'];
+const ISO_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+// Country-code TLDs whose stores price in their own currency
+const HOST_CURRENCIES = [
+  [/\.(in|co\.in)$/, 'INR'],
+  [/\.(co\.uk|uk)$/, 'GBP'],
+  [/\.(de|fr|it|es|nl|be|at|ie|fi|pt)$/, 'EUR'],
+  [/\.ca$/, 'CAD'],
+  [/\.(com\.au|au)$/, 'AUD'],
+  [/\.(co\.jp|jp)$/, 'JPY'],
+  [/\.(com\.sg|sg)$/, 'SGD'],
+  [/\.ae$/, 'AED'],
+  [/\.ch$/, 'CHF'],
+];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Letter tokens ("Rs", "Dh") must not be glued to other letters
+const TOKEN_PATTERNS = CURRENCY_TOKENS.map(([token, code]) => ({
+  code,
+  re: /^[A-Za-z]/.test(token)
+    ? new RegExp(`(^|[^A-Za-z])${escapeRegExp(token)}(?![A-Za-z])`)
+    : new RegExp(escapeRegExp(token)),
+}));
+
+// The store's likely currency from its hostname, or null
+function currencyForHost(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    const match = HOST_CURRENCIES.find(([re]) => re.test(host));
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+// An ISO code written against a number ("USD 1,049", "29.99 EUR", "CAD $49").
+// Codes elsewhere are usually words — "TOP DEAL", "ALL", "TRY NOW".
+const ISO_BY_NUMBER = /(?<![A-Za-z])[A-Z]{3}(?=\s?(?:[^\sA-Za-z\d]{1,2}\s?)?\d)|(?<=\d\s?)[A-Z]{3}(?![A-Za-z])/g;
+
+// { code, certain } for the currency written in the text, or null.
+// `certain` is false for a bare "$".
+function detectCurrency(text, { fallbackCurrency } = {}) {
+  if (!text) return null;
+  const iso = (String(text).match(ISO_BY_NUMBER) || []).find(code => ISO_CODES.has(code));
+  if (iso) return { code: iso, certain: true };
+  for (const { code, re } of TOKEN_PATTERNS) {
+    if (re.test(text)) return { code, certain: true };
+  }
+  if (text.includes('$')) {
+    const code = DOLLAR_CURRENCIES.includes(fallbackCurrency) ? fallbackCurrency : 'USD';
+    return { code, certain: false };
+  }
+  return null;
+}
+
+// Digits with optional grouping (",", ".", "'", no-break/thin space) and
+// decimals. A plain space only groups when cents follow ("1 299,00 €"), so
+// "15 128 GB ₹79,900" stays three numbers.
+const NUMBER_RE = /\d{1,3}(?: \d{3})+[.,]\d{1,2}(?!\d)|\d{1,3}(?:[,.'’\u00a0\u2009\u202f]\d{2,3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?/g;
+
+// Turns one number token into a value, deciding which mark is the decimal
+// separator. `ambiguous` is set when "1,299"/"1.299" had to be guessed.
+function parseNumberToken(token) {
+  const compact = token.replace(/['’ \u00a0\u2009\u202f]/g, '');
+  const lastDot = compact.lastIndexOf('.');
+  const lastComma = compact.lastIndexOf(',');
+  let decimalMark = null;
+  let ambiguous = false;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalMark = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const mark = lastDot !== -1 ? '.' : ',';
+    const occurrences = compact.split(mark).length - 1;
+    const digitsAfter = compact.length - compact.lastIndexOf(mark) - 1;
+    if (occurrences > 1) {
+      decimalMark = null; // 1,29,999 or 1.299.000 — grouping only
+    } else if (digitsAfter === 3) {
+      // "1,299" is always grouping; "1.299" usually is (EUR style) but could
+      // be a three-decimal amount
+      ambiguous = mark === '.';
+    } else {
+      decimalMark = mark;
+    }
+  }
+
+  let normalized = compact;
+  if (decimalMark) {
+    const groupMark = decimalMark === '.' ? ',' : '.';
+    normalized = normalized.split(groupMark).join('');
+    normalized = normalized.replace(decimalMark, '.');
+  } else {
+    normalized = normalized.replace(/[.,]/g, '');
+  }
+  const value = parseFloat(normalized);
+  return Number.isFinite(value) ? { value, ambiguous } : null;
+}
+
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to)\s*$/i;
+
+function stripCurrency(text) {
+  let out = text.replace(/(?<![A-Za-z])[A-Z]{3}(?![A-Za-z])/g, code => (ISO_CODES.has(code) ? '' : code));
+  for (const [token] of CURRENCY_TOKENS) out = out.split(token).join('');
+  return out.replace(/\$/g, '');
+}
+
+function touchesCurrency(text, { index, length }) {
+  const before = text.slice(Math.max(0, index - 4), index);
+  const after = text.slice(index + length, index + length + 4);
+  return stripCurrency(before) !== before || stripCurrency(after) !== after;
+}
+
+// `currency` is a code already known (e.g. from structured data);
+// `fallbackCurrency` is used when the text has no symbol and also settles
+// which dollar a bare "$" means.
+function parsePrice(text, { currency, fallbackCurrency } = {}) {
+  if (text === null || text === undefined) return null;
+  if (typeof text === 'number') {
+    if (!Number.isFinite(text) || text <= 0) return null;
+    const code = currency || fallbackCurrency || null;
+    return { amount: text, min: text, max: text, currency: code, isRange: false, confidence: currency ? 1 : 0.8, raw: String(text) };
+  }
+
+  const raw = String(text);
+  const cleaned = raw.trim();
+  const matches = [...cleaned.matchAll(NUMBER_RE)];
+  let numbers = matches
+    .map(m => ({ ...parseNumberToken(m[0]), index: m.index, length: m[0].length }))
+    .filter(n => n.value !== undefined && n.value > 0);
+  if (numbers.length === 0) return null;
+
+  // Numbers written next to a currency mark are the prices; the rest are
+  // model numbers, storage sizes and the like
+  const priced = numbers.filter(n => touchesCurrency(cleaned, n));
+  if (priced.length > 0) numbers = priced;
+
+  let confidence = 1;
+  const first = numbers[0];
+  let min = first.value;
+  let max = first.value;
+  let isRange = false;
+
+  if (numbers.length >= 2) {
+    const between = stripCurrency(cleaned.slice(first.index + first.length, numbers[1].index));
+    if (RANGE_SEPARATOR.test(between)) {
+      isRange = true;
+      min = Math.min(first.value, numbers[1].value);
+      max = Math.max(first.value, numbers[1].value);
+      confidence -= 0.1;
+      if (numbers.length > 2) confidence -= 0.3;
+    } else {
+      confidence -= 0.3; // "₹1,299 M.R.P ₹1,999" — took the first figure
+    }
+  }
+  if (numbers.slice(0, isRange ? 2 : 1).some(n => n.ambiguous)) confidence -= 0.1;
+
+  const detected = detectCurrency(cleaned, { fallbackCurrency });
+  let code = currency || detected?.code || fallbackCurrency || null;
+  if (!currency) {
+    if (!detected) confidence -= fallbackCurrency ? 0.2 : 0.4;
+    else if (!detected.certain) confidence -= 0.2;
+  }
+  code = code ? code.toUpperCase() : null;
+
+  return {
+    amount: min,
+    min,
+    max,
+    currency: code,
+    isRange,
+    confidence: Math.max(0, Math.round(confidence * 100) / 100),
+    raw,
+  };
+}
+
+module.exports = { parsePrice, detectCurrency, currencyForHost, ISO_CODES };
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseCSVObjects } = require('../csv');
+
+// ── Local catalog / affiliate feed ──
+// CATALOG_SOURCE points at a .json or .csv file, or an http(s) URL serving
+// either (e.g. an affiliate product feed). Rows need at least name and
+// price; url, retailer, currency, image, mrp, availability, seller, brand
+// and gtin are optional.
+
+const RELOAD_MS = 10 * 60 * 1000;
+let rows = [];
+let loadedAt = 0;
+
+function normalizeRow(row) {
+  return {
+    name: row.name || row.title,
+    priceText: row.price !== undefined ? String(row.price) : null,
+    currency: row.currency || null,
+    url: row.url || row.link || null,
+    websiteName: row.retailer || row.source || row.store || null,
+    image: row.image || row.thumbnail || '',
+    rating: row.rating ? Number(row.rating) : undefined,
+    reviews: row.reviews ? Number(row.reviews) : undefined,
+    mrpText: row.mrp !== undefined && row.mrp !== '' ? String(row.mrp) : null,
+    availability: row.availability || row.stock || null,
+    seller: row.seller || null,
+    brand: row.brand || null,
+    gtin: row.gtin || row.ean || null,
+  };
+}
+
+function parseRows(text, source) {
+  const isCSV = /\.csv($|\?)/i.test(source) || !/^\s*[[{]/.test(text);
+  const raw = isCSV ? parseCSVObjects(text) : JSON.parse(text);
+  const list = Array.isArray(raw) ? raw : raw.products || raw.items || [];
+  return list.map(normalizeRow).filter(r => r.name && r.priceText);
+}
+
+async function loadRows() {
+  const source = process.env.CATALOG_SOURCE;
+  if (Date.now() - loadedAt < RELOAD_MS) return rows;
+
+  const text = /^https?:\/\//i.test(source)
+    ? (await axios.get(source, { timeout: 10000, responseType: 'text' })).data
+    : fs.readFileSync(path.resolve(source), 'utf8');
+  rows = parseRows(text, source);
+  loadedAt = Date.now();
+  console.log(`📒 Catalog loaded: ${rows.length} products from ${source}`);
+  return rows;
+}
+
+module.exports = {
+  name: 'catalog',
+
+  isEnabled() {
+    return !!process.env.CATALOG_SOURCE;
+  },
+
+  async search(query) {
+    const tokens = query.toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 1);
+    if (tokens.length === 0) return [];
+
+    // Require most of the query tokens so "iphone 15 128gb" doesn't match every iPhone
+    const needed = Math.max(1, Math.ceil(tokens.length * 0.6));
+    return (await loadRows()).filter(row => {
+      const name = row.name.toLowerCase();
+      return tokens.filter(t => name.includes(t)).length >= needed;
+    });
+  },
+};
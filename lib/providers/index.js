@@ -0,0 +1,104 @@
+const { productKey } = require('../canonical');
+const { logger } = require('../logger');
+
+// ── Search providers ──
+// A provider is { name, isEnabled(), search(query, context) } where search
+// resolves to a list of raw listings:
+//   { name, priceText, currency?, url, websiteName, image, rating?, reviews?,
+//     delivery?, offers?, mrpText?, availability?, seller?, brand?, gtin? }
+// SEARCH_PROVIDERS picks which registered providers run (comma-separated,
+// in priority order — earlier providers win when listings are duplicates).
+
+const registry = new Map();
+
+function registerProvider(provider) {
+  registry.set(provider.name, provider);
+}
+
+registerProvider(require('./serpapi'));
+registerProvider(require('./catalog'));
+registerProvider(require('./retailers'));
+
+function enabledProviders() {
+  const names = (process.env.SEARCH_PROVIDERS || 'serpapi,catalog')
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean);
+  return names
+    .map(name => registry.get(name))
+    .filter(provider => provider && provider.isEnabled());
+}
+
+// Runs every enabled provider in parallel; one failing provider never sinks the others.
+// context.onEvent, if given, hears about each provider as soon as it settles.
+async function searchAll(query, context) {
+  const providers = enabledProviders();
+  const onEvent = context.onEvent || (() => {});
+  const settled = await Promise.allSettled(providers.map(p => p.search(query, context).then(
+    (items) => {
+      onEvent({ stage: 'provider', provider: p.name, count: items.length, message: `📦 ${p.name} returned ${items.length} listings` });
+      return items;
+    },
+    (err) => {
+      onEvent({ stage: 'provider-failed', provider: p.name, error: err.message, message: `⚠️ ${p.name} failed: ${err.message}` });
+      throw err;
+    },
+  )));
+
+  const results = [];
+  const errors = [];
+  settled.forEach((outcome, i) => {
+    const provider = providers[i].name;
+    if (outcome.status === 'fulfilled') {
+      logger.info(`📦 ${provider} returned ${outcome.value.length} results`, { event: 'provider_results', provider, count: outcome.value.length });
+      outcome.value.forEach(item => results.push({ ...item, provider }));
+    } else {
+      logger.error(`${provider} error: ${outcome.reason?.message}`, { event: 'provider_failed', provider, error: outcome.reason?.message });
+      errors.push({ provider, error: outcome.reason?.message || 'Unknown error' });
+    }
+  });
+  return { results, errors, providers: providers.map(p => p.name) };
+}
+
+// ── De-duplication ──
+// "www.Amazon.in", "Amazon India" and "amazon" are one retailer. Result
+// filtering (lib/results.js) groups retailers with the same key.
+function retailerKey(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^www\./, '')
+    .replace(/\.(com|in|co\.in|net)$/, '')
+    .replace(/\s+india$/, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function nameKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Same retailer + same product (by marketplace ID / canonical URL, or by
+// name) counts as one listing.
+// The first occurrence wins, unless only a later one carries a price.
+function dedupeResults(items) {
+  const kept = [];
+  const index = new Map();
+
+  for (const item of items) {
+    const retailer = retailerKey(item.websiteName);
+    const keys = [`${retailer}|n:${nameKey(item.name)}`];
+    if (item.url) keys.push(`${retailer}|u:${productKey(item.url)}`);
+
+    const existingAt = keys.map(k => index.get(k)).find(i => i !== undefined);
+    if (existingAt === undefined) {
+      keys.forEach(k => index.set(k, kept.length));
+      kept.push(item);
+    } else if (!kept[existingAt].priceText && item.priceText) {
+      kept[existingAt] = item;
+      keys.forEach(k => index.set(k, existingAt));
+    }
+  }
+  return kept;
+}
+
+module.exports = { registerProvider, enabledProviders, searchAll, dedupeResults, retailerKey };
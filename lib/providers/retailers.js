@@ -0,0 +1,82 @@
+const cheerio = require('cheerio');
+
+// ── Retailer search-page scrapers ──
+// Reads the first few listings straight off Amazon.in and Flipkart search
+// pages. These are the least stable source (markup changes, bot checks), so
+// every scraper fails soft and returns an empty list.
+
+const MAX_PER_RETAILER = 4;
+
+function absolute(href, base) {
+  try {
+    return new URL(href, base).toString();
+  } catch {
+    return null;
+  }
+}
+
+const SCRAPERS = [
+  {
+    websiteName: 'Amazon.in',
+    searchUrl: (q) => `https://www.amazon.in/s?k=${encodeURIComponent(q)}`,
+    parse($, base) {
+      return $('div[data-component-type="s-search-result"]').map((_, el) => {
+        const card = $(el);
+        return {
+          name: card.find('h2').first().text().trim(),
+          priceText: card.find('.a-price .a-offscreen').first().text().trim(),
+          url: absolute(card.find('h2 a, a.a-link-normal.s-no-outline').first().attr('href'), base),
+          image: card.find('img.s-image').attr('src') || '',
+          mrpText: card.find('.a-price.a-text-price .a-offscreen').first().text().trim() || null,
+          rating: parseFloat(card.find('.a-icon-alt').first().text()) || undefined,
+          reviews: parseInt(card.find('span.a-size-base.s-underline-text').first().text().replace(/[^\d]/g, ''), 10) || undefined,
+        };
+      }).get();
+    },
+  },
+  {
+    websiteName: 'Flipkart',
+    searchUrl: (q) => `https://www.flipkart.com/search?q=${encodeURIComponent(q)}`,
+    parse($, base) {
+      return $('div[data-id]').map((_, el) => {
+        const card = $(el);
+        const link = card.find('a[href*="/p/"]').first();
+        return {
+          name: (card.find('div.KzDlHZ, a.wjcEIp, div._4rR01T, a.s1Q9rs').first().text() || link.attr('title') || '').trim(),
+          priceText: card.find('div.Nx9bqj, div._30jeq3').first().text().trim(),
+          url: absolute(link.attr('href'), base),
+          image: card.find('img').first().attr('src') || '',
+          mrpText: card.find('div.yRaY8j, div._3I9_wc').first().text().trim() || null,
+          rating: parseFloat(card.find('div.XQDdHH, div._3LWZlK').first().text()) || undefined,
+          reviews: parseInt((card.find('span.Wphh3N, span._2_R_DZ').first().text().match(/[\d,]+/) || [''])[0].replace(/,/g, ''), 10) || undefined,
+          availability: /sold out|currently unavailable/i.test(card.text()) ? 'out of stock' : null,
+        };
+      }).get();
+    },
+  },
+];
+
+module.exports = {
+  name: 'retailers',
+
+  isEnabled() {
+    return true;
+  },
+
+  async search(query, { fetchHtml }) {
+    const perRetailer = await Promise.all(SCRAPERS.map(async (scraper) => {
+      const url = scraper.searchUrl(query);
+      try {
+        const $ = cheerio.load(await fetchHtml(url));
+        return scraper.parse($, url)
+          .filter(item => item.name && item.priceText && item.url)
+          .slice(0, MAX_PER_RETAILER)
+          .map(item => ({ ...item, websiteName: scraper.websiteName }));
+      } catch (err) {
+        console.warn(`⚠️  ${scraper.websiteName} search scrape failed:`, err.message);
+        return [];
+      }
+    }));
+    return perRetailer.flat();
+  },
+};
@@ -0,0 +1,50 @@
+const axios = require('axios');
+const { withFixture } = require('../fixtures');
+const { callDependency } = require('../resilience');
+
+// ── SerpAPI Google Shopping (India locale for INR prices) ──
+module.exports = {
+  name: 'serpapi',
+
+  isEnabled() {
+    const key = process.env.SERPAPI_KEY;
+    return !!key && key !== 'your_serpapi_key_here';
+  },
+
+  async search(query, context = {}) {
+    const onRetry = ({ attempt, retries, error }) => context.onEvent?.({
+      stage: 'provider-retry',
+      provider: 'serpapi',
+      attempt,
+      message: `🔁 serpapi failed (${error}) — retry ${attempt}/${retries}`,
+    });
+    const data = await withFixture('serpapi', query, () => callDependency('serpapi', async ({ timeout }) => {
+      const searchResponse = await axios.get('https://serpapi.com/search', {
+        params: {
+          engine: 'google_shopping',
+          q: query,
+          api_key: process.env.SERPAPI_KEY,
+          gl: 'in',        // India locale
+          hl: 'en',
+          num: parseInt(process.env.SERPAPI_RESULTS, 10) || 20,
+        },
+        timeout,
+      });
+      return searchResponse.data;
+    }, { onRetry }));
+
+    const results = data.shopping_results || [];
+    return results.map(item => ({
+      name: item.title,
+      priceText: item.price,
+      url: item.link || item.product_link || null,
+      websiteName: item.source,
+      image: item.thumbnail || '',
+      rating: item.rating,
+      reviews: item.reviews,
+      delivery: item.delivery,
+      offers: [item.tag, ...(item.extensions || [])].filter(Boolean),
+      mrpText: item.old_price || null,
+    }));
+  },
+};
@@ -0,0 +1,91 @@
+// ── Rate limiting ──
+// Fixed-window counters per client. Requests carrying an API key (X-API-Key
+// header or "Authorization: Bearer <key>") are counted per key against the
+// higher per-key limit; everything else is counted per IP. Keys come from
+// API_KEYS (comma-separated); an unknown key is rejected with 401 rather
+// than silently falling back to the IP limit.
+
+class RateLimiter {
+  constructor({ windowMs }) {
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  // Counts `cost` requests for `key`; { allowed, limit, remaining, resetAt }.
+  // A rejected hit takes nothing from the window.
+  hit(key, limit, cost = 1) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      if (this.windows.size >= 10000) this.prune(now);
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+    const allowed = window.count + cost <= limit;
+    if (allowed) window.count += cost;
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt,
+    };
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+function apiKeys() {
+  return new Set((process.env.API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean));
+}
+
+function presentedKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const auth = req.get('authorization') || '';
+  const bearer = auth.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : null;
+}
+
+// Express middleware counting requests in `bucket` ("scrape", "search").
+// `onLimited(req, res, body)` replaces the default 429 JSON reply (the SSE
+// route needs to answer in-stream); `cost(req)` lets one request count as
+// several (a batch counts each of its URLs).
+function rateLimit(limiter, { bucket, perIp, perKey, onLimited, cost = () => 1 }) {
+  return (req, res, next) => {
+    const key = presentedKey(req);
+    let client;
+    let limit;
+    if (key) {
+      if (!apiKeys().has(key)) return res.status(401).json({ error: 'Unknown API key' });
+      client = `key:${key}`;
+      limit = perKey;
+    } else {
+      client = `ip:${req.ip}`;
+      limit = perIp;
+    }
+
+    const result = limiter.hit(`${bucket}|${client}`, limit, cost(req));
+    const resetSeconds = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+    if (result.allowed) return next();
+
+    console.warn(`🚦 Rate limited ${bucket} for ${key ? 'API key' : req.ip}`);
+    res.set('Retry-After', String(resetSeconds));
+    const body = {
+      error: `Too many ${bucket} requests — try again in ${resetSeconds}s`,
+      retryAfter: resetSeconds,
+    };
+    if (onLimited) return onLimited(req, res, body);
+    res.status(429).json(body);
+  };
+}
+
+module.exports = { RateLimiter, rateLimit };
@@ -0,0 +1,217 @@
+const { toCSV } = require('./csv');
+
+// ── Comparison exports ──
+// A snapshot or saved comparison as spreadsheet rows, raw JSON or a
+// self-contained printable HTML page (also the input for the PDF). Every
+// shape carries the same facts: the source product, each retailer's price
+// in the display currency and in the store's own currency, the link and
+// when the prices were captured.
+
+// { id, title, capturedAt, currency, source, products, exchangeRate } from either store
+function fromSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    title: snapshot.source?.name || 'Price comparison',
+    capturedAt: snapshot.capturedAt,
+    currency: snapshot.currency,
+    source: snapshot.source,
+    products: snapshot.products || [],
+    exchangeRate: snapshot.exchangeRate,
+    permalink: `/c/${snapshot.id}`,
+  };
+}
+
+function fromSavedComparison(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    notes: item.notes,
+    capturedAt: item.savedAt,
+    currency: item.currency,
+    source: item.source,
+    products: item.products || [],
+    exchangeRate: item.source?.exchangeRate || null,
+    permalink: null,
+  };
+}
+
+function exportRow(role, product, comparison) {
+  const sourcePrice = comparison.source?.blocked ? null : comparison.source?.price;
+  const diff = role === 'Result' && typeof product.price === 'number' && typeof sourcePrice === 'number'
+    ? Math.round((product.price - sourcePrice) * 100) / 100
+    : null;
+  return {
+    role,
+    retailer: product.websiteName || '',
+    name: product.name || '',
+    price: product.price ?? '',
+    currency: comparison.currency,
+    vsSource: diff ?? '',
+    effectivePrice: product.effectivePrice ?? '',
+    originalPrice: product.originalPrice || '',
+    originalCurrency: product.currency || '',
+    exchangeRate: product.exchangeRate?.rate ?? '',
+    url: product.url && product.url !== '#' ? product.url : '',
+    matchScore: product.matchScore ?? '',
+    capturedAt: comparison.capturedAt,
+  };
+}
+
+// The source product first, then one row per retailer result
+function comparisonRows(comparison) {
+  const rows = [];
+  const source = comparison.source;
+  if (source) rows.push(exportRow(source.blocked ? 'Source (blocked)' : source.query ? 'Search' : 'Source', source, comparison));
+  for (const product of comparison.products) rows.push(exportRow('Result', product, comparison));
+  return rows;
+}
+
+const COMPARISON_COLUMNS = [
+  { key: 'role', label: 'Role' },
+  { key: 'retailer', label: 'Retailer' },
+  { key: 'name', label: 'Product' },
+  { key: 'price', label: 'Price' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'vsSource', label: 'Vs Source' },
+  { key: 'effectivePrice', label: 'Effective Price' },
+  { key: 'originalPrice', label: 'Original Price' },
+  { key: 'originalCurrency', label: 'Original Currency' },
+  { key: 'exchangeRate', label: 'Exchange Rate' },
+  { key: 'url', label: 'URL' },
+  { key: 'matchScore', label: 'Match Score' },
+  { key: 'capturedAt', label: 'Captured At' },
+];
+
+// The BOM makes Excel read the file as UTF-8 (₹, €, accented names)
+function comparisonCSV(comparison) {
+  return '\uFEFF' + toCSV(comparisonRows(comparison), COMPARISON_COLUMNS);
+}
+
+function comparisonJSON(comparison) {
+  return {
+    id: comparison.id,
+    title: comparison.title,
+    capturedAt: comparison.capturedAt,
+    currency: comparison.currency,
+    exchangeRate: comparison.exchangeRate,
+    source: comparison.source,
+    products: comparison.products,
+  };
+}
+
+// "samsung-galaxy-s24-5g-ab12cd34" for Content-Disposition
+function exportFilename(comparison, ext) {
+  const slug = String(comparison.title || 'comparison')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 50);
+  return `pricescope-${slug || 'comparison'}-${comparison.id}.${ext}`;
+}
+
+// ── Printable report ──
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Scraped pages can link anywhere (javascript:, data:), so only http(s)
+// URLs become links; anything else is shown as text
+function linkOrText(url) {
+  if (!url) return '';
+  let safe = false;
+  try {
+    safe = ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    // Not a URL at all
+  }
+  return safe ? `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>` : escapeHtml(url);
+}
+
+function money(amount, currency) {
+  if (typeof amount !== 'number') return '—';
+  try {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency, maximumFractionDigits: 2 }).format(amount);
+  } catch {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+}
+
+const REPORT_STYLES = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #6b7280; font-size: 12px; margin: 0 0 20px; }
+  .notes { background: #f3f4f6; border-radius: 6px; padding: 8px 12px; margin: 0 0 20px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 8px 6px; text-align: left; vertical-align: top; }
+  th { font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; }
+  td.num { text-align: right; white-space: nowrap; }
+  tr.source td { background: #eef2ff; font-weight: 600; }
+  tr.lowest td.price { color: #047857; font-weight: 700; }
+  a { color: #4338ca; word-break: break-all; }
+  .print-btn { margin: 0 0 20px; padding: 6px 14px; }
+  @media print { .print-btn { display: none; } body { margin: 0; } }
+`;
+
+// A standalone page with no external assets, so it prints and converts cleanly
+function comparisonReportHTML(comparison, { origin = '' } = {}) {
+  const rows = comparisonRows(comparison);
+  const prices = rows.filter(r => r.role === 'Result' && typeof r.price === 'number').map(r => r.price);
+  const lowest = prices.length ? Math.min(...prices) : null;
+  const rate = comparison.exchangeRate;
+  const meta = [
+    `Captured ${new Date(comparison.capturedAt).toUTCString()}`,
+    `prices in ${comparison.currency}`,
+    rate && rate.rate && rate.from !== rate.to ? `1 ${rate.from} = ${rate.rate} ${rate.to}` : null,
+    comparison.permalink ? `<a href="${escapeHtml(origin + comparison.permalink)}">${escapeHtml(origin + comparison.permalink)}</a>` : null,
+  ].filter(Boolean).join(' · ');
+
+  const body = rows.map(r => `
+      <tr class="${r.role === 'Result' ? (r.price === lowest ? 'lowest' : '') : 'source'}">
+        <td>${escapeHtml(r.role)}</td>
+        <td>${escapeHtml(r.retailer)}</td>
+        <td>${escapeHtml(r.name)}</td>
+        <td class="num price">${money(r.price, comparison.currency)}</td>
+        <td class="num">${r.vsSource === '' ? '' : `${r.vsSource > 0 ? '+' : ''}${money(r.vsSource, comparison.currency)}`}</td>
+        <td class="num">${escapeHtml(r.originalPrice)} ${escapeHtml(r.originalCurrency)}</td>
+        <td>${linkOrText(r.url)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(comparison.title)} — PriceScope report</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <button class="print-btn" onclick="window.print()">🖨️ Print / Save as PDF</button>
+  <h1>${escapeHtml(comparison.title)}</h1>
+  <p class="meta">${meta}</p>
+  ${comparison.notes ? `<p class="notes">${escapeHtml(comparison.notes)}</p>` : ''}
+  <table>
+    <thead>
+      <tr><th>Role</th><th>Retailer</th><th>Product</th><th>Price</th><th>Vs Source</th><th>Original Price</th><th>Link</th></tr>
+    </thead>
+    <tbody>${body}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  fromSnapshot,
+  fromSavedComparison,
+  comparisonRows,
+  comparisonCSV,
+  comparisonJSON,
+  comparisonReportHTML,
+  exportFilename,
+  COMPARISON_COLUMNS,
+};
@@ -0,0 +1,254 @@
+// ── Timeouts, retries and circuit breakers for outside services ──
+// Every call to an LLM backend, SerpAPI or the exchange-rate API goes
+// through callDependency(name, fn):
+//   - fn gets { timeout } and is abandoned once that many ms pass
+//   - timeouts, network errors, 408/429/5xx are retried with exponential
+//     backoff and full jitter (honouring Retry-After when the service sends it;
+//     a wait longer than maxDelayMs opens the breaker for that long instead)
+//   - a 429 that says the quota is used up is not retried: the breaker opens
+//     until the quota should be back, so callers move on (e.g. to the next model)
+//   - after BREAKER_FAILURES failed calls in a row the breaker opens and calls
+//     fail fast for BREAKER_RESET_MS; then one trial call decides whether it closes
+// Per-dependency overrides: <NAME>_TIMEOUT_MS, <NAME>_RETRIES and
+// <NAME>_RETRY_DELAY_MS (the first backoff step), e.g. GEMINI_TIMEOUT_MS=20000,
+// SERPAPI_RETRIES=0. Breakers are kept per key, so each Gemini model has its
+// own (quotas are per model).
+
+const DEFAULT_POLICY = { timeoutMs: 30000, retries: 2, baseDelayMs: 500, maxDelayMs: 8000 };
+
+const POLICIES = {
+  gemini: { timeoutMs: 30000, retries: 2, baseDelayMs: 1000 },
+  openai: { timeoutMs: 60000, retries: 1 },
+  llamacpp: { timeoutMs: 60000, retries: 1 },
+  ollama: { timeoutMs: 120000, retries: 1 },
+  serpapi: { timeoutMs: 12000, retries: 2 },
+  rates: { timeoutMs: 5000, retries: 1 },
+};
+
+// A quota 429 with no retry hint keeps the breaker open this long
+const QUOTA_COOLDOWN_MS = 60 * 1000;
+
+class TimeoutError extends Error {
+  constructor(name, ms) {
+    super(`${name} did not answer within ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(key, retryAt) {
+    super(`${key} is unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+class QuotaExceededError extends Error {
+  constructor(key, retryAfterMs, cause) {
+    super(`${key} quota exceeded${cause?.message ? `: ${cause.message}` : ''}`);
+    this.name = 'QuotaExceededError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function envNumber(name) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isNaN(n) ? undefined : n;
+}
+
+function policyFor(dependency) {
+  const prefix = dependency.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const policy = { ...DEFAULT_POLICY, ...POLICIES[dependency] };
+  return {
+    ...policy,
+    timeoutMs: envNumber(`${prefix}_TIMEOUT_MS`) ?? policy.timeoutMs,
+    retries: envNumber(`${prefix}_RETRIES`) ?? policy.retries,
+    baseDelayMs: envNumber(`${prefix}_RETRY_DELAY_MS`) ?? policy.baseDelayMs,
+    failureThreshold: envNumber('BREAKER_FAILURES') ?? 5,
+    resetMs: envNumber('BREAKER_RESET_MS') ?? 60 * 1000,
+  };
+}
+
+// axios errors carry response.status; the Gemini SDK puts status on the error
+function errorStatus(err) {
+  return err?.response?.status ?? err?.status ?? null;
+}
+
+// Gemini says "Resource has been exhausted (e.g. check quota)" or "You
+// exceeded your current quota"; OpenAI says "insufficient_quota"
+function isQuotaExceeded(err) {
+  if (errorStatus(err) !== 429) return false;
+  const body = JSON.stringify(err?.response?.data ?? err?.errorDetails ?? '');
+  return /quota|resource.?exhausted|resource has been exhausted/i.test(`${err.message} ${body}`);
+}
+
+const RETRYABLE_CODES = new Set(['ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'ERR_NETWORK']);
+
+// Worth another try: the service was slow, unreachable or briefly overloaded.
+// Other 4xx mean the request itself is wrong, so repeating it won't help.
+function isRetryable(err) {
+  const status = errorStatus(err);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  if (RETRYABLE_CODES.has(err?.code)) return true;
+  // The Gemini SDK reports network failures as plain "fetch failed" errors
+  return /fetch failed|socket hang up|network/i.test(err?.message || '');
+}
+
+// "Retry-After: 30", or Gemini's RetryInfo { retryDelay: "37s" }
+function retryAfterMs(err) {
+  const header = err?.response?.headers?.['retry-after'];
+  if (header && !Number.isNaN(Number(header))) return Number(header) * 1000;
+  const info = [].concat(err?.errorDetails || []).find(d => d?.retryDelay);
+  const seconds = parseFloat(info?.retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Full jitter: anywhere between 0 and the capped exponential delay
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(name, ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ── Circuit breakers ──
+const breakers = new Map();
+const listeners = [];
+
+function breakerFor(key) {
+  if (!breakers.has(key)) {
+    breakers.set(key, { state: 'closed', failures: 0, openedAt: null, retryAt: null, lastError: null, trialRunning: false });
+  }
+  return breakers.get(key);
+}
+
+function emit(event) {
+  listeners.forEach(listener => listener(event));
+}
+
+// listener({ type: retry|failure|open|close|rejected|quota, dependency, key, ... })
+function onResilienceEvent(listener) {
+  listeners.push(listener);
+}
+
+function openBreaker(breaker, dependency, key, ms, err) {
+  breaker.state = 'open';
+  breaker.openedAt = Date.now();
+  breaker.retryAt = Date.now() + ms;
+  breaker.trialRunning = false;
+  console.warn(`🔌 ${key} circuit open for ${Math.round(ms / 1000)}s: ${err.message}`);
+  emit({ type: 'open', dependency, key, retryAt: breaker.retryAt });
+}
+
+function recordSuccess(breaker, dependency, key) {
+  if (breaker.state !== 'closed') {
+    console.log(`🔌 ${key} circuit closed`);
+    emit({ type: 'close', dependency, key });
+  }
+  Object.assign(breaker, { state: 'closed', failures: 0, openedAt: null, retryAt: null, trialRunning: false });
+}
+
+// Only outages count: a 400 says our request was wrong, not that the service is down
+function recordFailure(breaker, dependency, key, err, policy) {
+  breaker.lastError = err.message;
+  if (!isRetryable(err)) {
+    breaker.trialRunning = false;
+    return;
+  }
+  breaker.failures += 1;
+  if (breaker.state === 'half-open' || breaker.failures >= policy.failureThreshold) {
+    openBreaker(breaker, dependency, key, policy.resetMs, err);
+  }
+}
+
+// Open breakers let one trial call through once their time is up
+function admit(breaker, key) {
+  if (breaker.state === 'closed') return;
+  if (Date.now() < breaker.retryAt || breaker.trialRunning) {
+    throw new CircuitOpenError(key, breaker.retryAt);
+  }
+  breaker.state = 'half-open';
+  breaker.trialRunning = true;
+}
+
+// Runs fn({ timeout }) under the dependency's policy. `key` picks the breaker
+// (default: the dependency); onRetry hears about each retry before it waits.
+async function callDependency(dependency, fn, { key = dependency, onRetry = () => {} } = {}) {
+  const policy = policyFor(dependency);
+  const breaker = breakerFor(key);
+  try {
+    admit(breaker, key);
+  } catch (err) {
+    emit({ type: 'rejected', dependency, key });
+    throw err;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await withTimeout(Promise.resolve().then(() => fn({ timeout: policy.timeoutMs })), policy.timeoutMs, key);
+      recordSuccess(breaker, dependency, key);
+      return result;
+    } catch (err) {
+      if (isQuotaExceeded(err)) {
+        const wait = retryAfterMs(err) ?? QUOTA_COOLDOWN_MS;
+        breaker.lastError = err.message;
+        emit({ type: 'quota', dependency, key });
+        openBreaker(breaker, dependency, key, wait, err);
+        throw new QuotaExceededError(key, wait, err);
+      }
+      if (!isRetryable(err) || attempt >= policy.retries) {
+        emit({ type: 'failure', dependency, key, retryable: isRetryable(err) });
+        recordFailure(breaker, dependency, key, err, policy);
+        throw err;
+      }
+      // Never sleep inside a user's request longer than maxDelayMs
+      const asked = retryAfterMs(err) ?? 0;
+      if (asked > policy.maxDelayMs) {
+        emit({ type: 'failure', dependency, key, retryable: true });
+        breaker.lastError = err.message;
+        openBreaker(breaker, dependency, key, asked, err);
+        throw err;
+      }
+      const delayMs = Math.min(policy.maxDelayMs, Math.max(backoffDelay(attempt, policy), asked));
+      console.warn(`🔁 ${key} failed (${err.message}) — retry ${attempt + 1}/${policy.retries} in ${delayMs}ms`);
+      emit({ type: 'retry', dependency, key, attempt: attempt + 1, delayMs });
+      onRetry({ attempt: attempt + 1, retries: policy.retries, delayMs, error: err.message });
+      await sleep(delayMs);
+    }
+  }
+}
+
+// For /health: every breaker that has seen a call
+function breakerStates() {
+  return Object.fromEntries([...breakers].map(([key, b]) => [key, {
+    state: b.state === 'open' && Date.now() >= b.retryAt ? 'half-open' : b.state,
+    failures: b.failures,
+    retryAt: b.retryAt ? new Date(b.retryAt).toISOString() : null,
+    lastError: b.lastError,
+  }]));
+}
+
+function resetBreakers() {
+  breakers.clear();
+}
+
+module.exports = {
+  callDependency,
+  onResilienceEvent,
+  breakerStates,
+  resetBreakers,
+  isRetryable,
+  isQuotaExceeded,
+  backoffDelay,
+  TimeoutError,
+  CircuitOpenError,
+  QuotaExceededError,
+};
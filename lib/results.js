@@ -0,0 +1,105 @@
+// ── Paging, sorting and filtering search results ──
+// searchProducts keeps (and the cache holds) every scored listing; these
+// options decide what one /search request gets back. public/app.js applies
+// the same rules to the comparison grid. Prices compare by the effective
+// (landed) price when there is one.
+
+const { retailerKey } = require('./providers');
+
+const SORTS = ['relevance', 'price', 'price-desc', 'rating'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+function listOf(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return items.map(v => retailerKey(v)).filter(Boolean);
+}
+
+function optionalNumber(value, name, { min = 0, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) {
+    return { error: max === Infinity ? `${name} must be a number of at least ${min}` : `${name} must be a number from ${min} to ${max}` };
+  }
+  return { value: n };
+}
+
+// Reads the options from a JSON body or a query string. Returns
+// { options }, or { error } for a 400.
+function parseResultOptions(input = {}) {
+  const limit = optionalNumber(input.limit, 'limit', { min: 1, max: MAX_LIMIT });
+  const offset = optionalNumber(input.offset, 'offset');
+  const minPrice = optionalNumber(input.minPrice, 'minPrice');
+  const maxPrice = optionalNumber(input.maxPrice, 'maxPrice');
+  const minRating = optionalNumber(input.minRating, 'minRating', { max: 5 });
+  const error = [limit, offset, minPrice, maxPrice, minRating].find(r => r.error)?.error;
+  if (error) return { error };
+
+  const sort = String(input.sort || 'relevance').toLowerCase();
+  if (!SORTS.includes(sort)) return { error: `sort must be one of ${SORTS.join(', ')}` };
+
+  return {
+    options: {
+      limit: Math.floor(limit.value ?? DEFAULT_LIMIT),
+      offset: Math.floor(offset.value ?? 0),
+      sort,
+      minPrice: minPrice.value,
+      maxPrice: maxPrice.value,
+      retailers: listOf(input.retailers),
+      excludeRetailers: listOf(input.excludeRetailers),
+      minRating: minRating.value,
+      inStock: input.inStock === true || input.inStock === 'true' || input.inStock === '1',
+    },
+  };
+}
+
+function comparablePrice(product) {
+  return typeof product.effectivePrice === 'number' ? product.effectivePrice : product.price;
+}
+
+function matchesFilters(product, options) {
+  const price = comparablePrice(product);
+  const retailer = retailerKey(product.websiteName);
+  const priced = typeof price === 'number';
+  if (options.minPrice !== null && !(priced && price >= options.minPrice)) return false;
+  if (options.maxPrice !== null && !(priced && price <= options.maxPrice)) return false;
+  if (options.retailers.length && !options.retailers.some(r => retailer.includes(r))) return false;
+  if (options.excludeRetailers.some(r => retailer.includes(r))) return false;
+  if (options.minRating !== null && !(typeof product.rating === 'number' && product.rating >= options.minRating)) return false;
+  if (options.inStock && product.availability === 'out_of_stock') return false;
+  return true;
+}
+
+// Listings without a price or rating always sort last
+function byNumber(get, direction) {
+  return (a, b) => {
+    const x = get(a);
+    const y = get(b);
+    if (typeof x !== 'number' || typeof y !== 'number') return (typeof x !== 'number') - (typeof y !== 'number');
+    return (x - y) * direction;
+  };
+}
+
+const COMPARATORS = {
+  relevance: () => 0,
+  price: byNumber(comparablePrice, 1),
+  'price-desc': byNumber(comparablePrice, -1),
+  rating: byNumber(p => p.rating, -1),
+};
+
+// → { products, total, matched, offset, limit, hasMore, sort }. `products`
+// arrive best match first, so ties keep that order (Array#sort is stable).
+function applyResultOptions(products, options) {
+  const matched = products.filter(p => matchesFilters(p, options)).sort(COMPARATORS[options.sort]);
+  return {
+    products: matched.slice(options.offset, options.offset + options.limit),
+    total: products.length,
+    matched: matched.length,
+    offset: options.offset,
+    limit: options.limit,
+    hasMore: options.offset + options.limit < matched.length,
+    sort: options.sort,
+  };
+}
+
+module.exports = { parseResultOptions, applyResultOptions, SORTS, DEFAULT_LIMIT, MAX_LIMIT };
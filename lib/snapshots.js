@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ── Comparison snapshots (shareable permalinks) ──
+// Every finished comparison is frozen into <dir>/<id>.json: the source
+// card, the result cards and the exchange rates they were priced with.
+// Snapshots are write-once — nothing updates or deletes them — so a shared
+// /c/<id> link always shows exactly what its sender saw. Anyone with the
+// link can read a snapshot, so it holds nothing about who made it.
+
+const ID_ALPHABET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ID_LENGTH = 8;
+
+function shortId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  return [...bytes].map(b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+}
+
+class SnapshotStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  fileFor(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  // { url, currency, source, search, captured } → the stored snapshot.
+  // `captured` marks a source read from HTML the sharer's browser sent.
+  create({ url, currency, source, search, captured = false }) {
+    const snapshot = {
+      id: shortId(),
+      capturedAt: new Date().toISOString(),
+      url,
+      currency,
+      source,
+      products: search.products || [],
+      fallback: !!search.fallback,
+      exchangeRate: source.exchangeRate || null,
+      rates: search.rates || null,
+      degraded: search.degraded || [],
+      captured,
+    };
+    fs.mkdirSync(this.dir, { recursive: true });
+    // 'wx' fails rather than overwrite, should two IDs ever collide
+    fs.writeFileSync(this.fileFor(snapshot.id), JSON.stringify(snapshot, null, 2), { flag: 'wx' });
+    return snapshot;
+  }
+
+  get(id) {
+    if (!new RegExp(`^[${ID_ALPHABET}]{${ID_LENGTH}}$`).test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.fileFor(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = { SnapshotStore };
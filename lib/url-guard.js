@@ -0,0 +1,186 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { mode: fixtureMode } = require('./fixtures');
+
+// ── Destination guard for everything /scrape fetches ──
+// Only http(s) URLs whose host resolves to public addresses may be fetched,
+// so a pasted URL can't reach localhost, the cloud metadata service
+// (169.254.169.254) or the LAN. Checked up front, again on every redirect
+// (axios) and for every request the rendered page makes (Puppeteer).
+//
+// SCRAPE_ALLOWED_DOMAINS / SCRAPE_BLOCKED_DOMAINS are optional
+// comma-separated lists; an entry matches the domain and its subdomains.
+// ALLOW_PRIVATE_URLS=1 turns the address check off for local development.
+
+const ALLOWED_SCHEMES = ['http:', 'https:'];
+
+class BlockedDestinationError extends Error {
+  constructor(url, reason) {
+    super(`Refusing to fetch ${url}: ${reason}`);
+    this.name = 'BlockedDestinationError';
+    this.reason = reason;
+  }
+}
+
+// [network, prefix length] pairs
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+];
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((n, octet) => (n << 8) + Number(octet), 0) >>> 0;
+}
+
+function isPrivateV4(ip) {
+  const addr = v4ToInt(ip);
+  return PRIVATE_V4.some(([network, bits]) => {
+    const mask = (~0 << (32 - bits)) >>> 0;
+    return (addr & mask) === (v4ToInt(network) & mask);
+  });
+}
+
+function isPrivateV6(ip) {
+  const lower = ip.toLowerCase();
+  // IPv4-mapped (::ffff:127.0.0.1) and the hex form the URL parser produces
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateV4(mapped[1]);
+  const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const n = (parseInt(mappedHex[1], 16) << 16 | parseInt(mappedHex[2], 16)) >>> 0;
+    return isPrivateV4([n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.'));
+  }
+  if (lower === '::' || lower === '::1') return true;
+  // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  return /^(f[cd][0-9a-f]{2}|fe[89ab][0-9a-f]|ff[0-9a-f]{2}):/.test(lower);
+}
+
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return isPrivateV4(ip);
+  if (family === 6) return isPrivateV6(ip);
+  return false;
+}
+
+function domainList(name) {
+  return (process.env[name] || '').split(',').map(d => d.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+}
+
+function matchesDomain(host, domains) {
+  return domains.some(d => host === d || host.endsWith(`.${d}`));
+}
+
+function privateAllowed() {
+  return process.env.ALLOW_PRIVATE_URLS === '1' || process.env.ALLOW_PRIVATE_URLS === 'true';
+}
+
+// Everything that can be decided without DNS: scheme, domain lists and IP
+// literals. Throws BlockedDestinationError; returns the parsed URL.
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedDestinationError(url, 'not a valid URL');
+  }
+  if (!ALLOWED_SCHEMES.includes(parsed.protocol)) {
+    throw new BlockedDestinationError(url, `${parsed.protocol.replace(':', '')} URLs are not allowed`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new BlockedDestinationError(url, 'URLs with credentials are not allowed');
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const blocked = domainList('SCRAPE_BLOCKED_DOMAINS');
+  if (matchesDomain(host, blocked)) throw new BlockedDestinationError(url, `${host} is on the blocked list`);
+  const allowed = domainList('SCRAPE_ALLOWED_DOMAINS');
+  if (allowed.length && !matchesDomain(host, allowed)) {
+    throw new BlockedDestinationError(url, `${host} is not on the allowed list`);
+  }
+
+  if (!privateAllowed()) {
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+      throw new BlockedDestinationError(url, `${host} is a local hostname`);
+    }
+    if (isPrivateAddress(host)) throw new BlockedDestinationError(url, `${host} is a private address`);
+  }
+  return parsed;
+}
+
+// Resolves every address of a hostname and rejects the lot if any of them
+// is private. Resolves to the addresses for reuse by lookup().
+async function resolvePublic(hostname) {
+  const addresses = await dns.lookup(hostname, { all: true });
+  const bad = addresses.find(a => isPrivateAddress(a.address));
+  if (bad && !privateAllowed()) {
+    throw new BlockedDestinationError(hostname, `${hostname} resolves to private address ${bad.address}`);
+  }
+  return addresses;
+}
+
+// Full check, DNS included. Replay mode never touches the network, so the
+// lookup is skipped there.
+async function assertPublicUrl(url) {
+  const parsed = checkUrl(url);
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) || privateAllowed() || fixtureMode() === 'replay') return parsed;
+  try {
+    await resolvePublic(host);
+  } catch (err) {
+    if (err instanceof BlockedDestinationError) throw new BlockedDestinationError(url, err.reason);
+    throw new BlockedDestinationError(url, `could not resolve ${host} (${err.code || err.message})`);
+  }
+  return parsed;
+}
+
+// axios config that applies the guard at connect time and on every
+// redirect hop. The lookup closes the gap between checking a hostname and
+// connecting to it (DNS rebinding); beforeRedirect catches IP literals,
+// which never go through lookup.
+const axiosGuard = {
+  async lookup(hostname) {
+    const [first] = await resolvePublic(hostname);
+    return [first.address, first.family];
+  },
+  beforeRedirect(options) {
+    checkUrl(options.href);
+  },
+};
+
+// Puppeteer request-interception check: navigations get the full check,
+// sub-resources only need their host vetted (data:/blob: are fine)
+const hostVerdicts = new Map();
+const HOST_VERDICT_TTL = 60 * 1000;
+
+async function isAllowedBrowserRequest(url, isNavigation) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!ALLOWED_SCHEMES.includes(parsed.protocol)) return !isNavigation;
+
+  const cached = hostVerdicts.get(parsed.host);
+  if (cached && cached.expiresAt > Date.now()) return cached.allowed;
+  let allowed = true;
+  try {
+    await assertPublicUrl(url);
+  } catch {
+    allowed = false;
+  }
+  if (hostVerdicts.size >= 1000) hostVerdicts.clear();
+  hostVerdicts.set(parsed.host, { allowed, expiresAt: Date.now() + HOST_VERDICT_TTL });
+  return allowed;
+}
+
+module.exports = {
+  BlockedDestinationError,
+  isPrivateAddress,
+  checkUrl,
+  assertPublicUrl,
+  axiosGuard,
+  isAllowedBrowserRequest,
+};
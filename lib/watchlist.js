@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getChannel } = require('./notifiers');
+const { checkUrl } = require('./url-guard');
+
+// ── Watchlist storage ──
+// Items live in memory and are written back to a JSON file on every change.
+// Each item belongs to the signed-in user who added it; the scheduler walks
+// everyone's items through list().
+
+class WatchlistStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.items = [];
+    try {
+      this.items = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      // No watchlist yet
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.items, null, 2));
+    } catch (err) {
+      console.warn('⚠️  Watchlist write failed:', err.message);
+    }
+  }
+
+  list() {
+    return this.items;
+  }
+
+  listFor(userId) {
+    return this.items.filter(i => i.userId === userId);
+  }
+
+  get(id) {
+    return this.items.find(i => i.id === id) || null;
+  }
+
+  // Only the owner gets an item back
+  getFor(userId, id) {
+    return this.items.find(i => i.id === id && i.userId === userId) || null;
+  }
+
+  add(userId, fields) {
+    const item = {
+      id: crypto.randomBytes(6).toString('hex'),
+      userId,
+      url: fields.url,
+      name: fields.name || null,
+      targetPrice: fields.targetPrice,
+      currency: fields.currency || 'INR',
+      channel: fields.channel,
+      active: true,
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastPrice: null,
+      lastError: null,
+      belowTarget: false,
+      notifiedAt: null,
+    };
+    this.items.push(item);
+    this.save();
+    return item;
+  }
+
+  update(id, fields) {
+    const item = this.get(id);
+    if (!item) return null;
+    Object.assign(item, fields);
+    this.save();
+    return item;
+  }
+
+  remove(userId, id) {
+    const before = this.items.length;
+    this.items = this.items.filter(i => !(i.id === id && i.userId === userId));
+    if (this.items.length === before) return false;
+    this.save();
+    return true;
+  }
+}
+
+// Returns an error message for bad input, or null. `partial` allows
+// PATCH bodies that only carry some of the fields.
+function validateWatchItem(body, { partial = false } = {}) {
+  if (!partial || body.url !== undefined) {
+    try {
+      new URL(body.url);
+    } catch {
+      return 'A valid product URL is required';
+    }
+    try {
+      checkUrl(body.url);
+    } catch (err) {
+      return `This URL can't be watched: ${err.reason}`;
+    }
+  }
+  if (!partial || body.targetPrice !== undefined) {
+    if (typeof body.targetPrice !== 'number' || !(body.targetPrice > 0)) {
+      return 'targetPrice must be a positive number (in the item\'s currency)';
+    }
+  }
+  if (body.active !== undefined && typeof body.active !== 'boolean') {
+    return 'active must be true or false';
+  }
+  if (body.channel !== undefined) {
+    const channel = getChannel(body.channel?.type);
+    if (!channel) return 'channel.type must be one of webhook, email or log';
+    const channelError = channel.validate(body.channel.target);
+    if (channelError) return channelError;
+  }
+  return null;
+}
+
+// ── Scheduler ──
+// Periodically re-checks every active item, one at a time, and waits
+// between requests to the same domain so retailers don't see bursts.
+// check(url, currency) resolves to a scrape result priced in that currency.
+// An item is only ever checked once at a time: a second request for the same
+// item (a manual check during a scheduled run) gets the running check's result.
+class WatchlistScheduler {
+  constructor({ store, check, intervalMs, domainDelayMs }) {
+    this.store = store;
+    this.check = check;
+    this.intervalMs = intervalMs;
+    this.domainDelayMs = domainDelayMs;
+    this.lastHitByDomain = new Map();
+    this.inFlight = new Map();
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    // Tick more often than the interval so new items are picked up promptly
+    const tickMs = Math.min(this.intervalMs, 60 * 1000);
+    this.timer = setInterval(() => this.runDue(), tickMs);
+    this.timer.unref?.();
+    console.log(`⏰ Watchlist scheduler: every ${Math.round(this.intervalMs / 60000)} min, ${this.domainDelayMs / 1000}s between hits per domain`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isDue(item, now) {
+    if (!item.active) return false;
+    if (!item.lastCheckedAt) return true;
+    return now - Date.parse(item.lastCheckedAt) >= this.intervalMs;
+  }
+
+  async runDue() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const due = this.store.list().filter(item => this.isDue(item, Date.now()));
+      for (const item of due) {
+        await this.checkItem(item);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // `manual` checks answer an HTTP request, so they note the hit but don't wait
+  async politeWait(url, { manual = false } = {}) {
+    const domain = new URL(url).hostname;
+    const last = this.lastHitByDomain.get(domain) || 0;
+    const wait = last + this.domainDelayMs - Date.now();
+    if (wait > 0 && !manual) await new Promise(r => setTimeout(r, wait));
+    this.lastHitByDomain.set(domain, Date.now());
+  }
+
+  checkItem(item, options = {}) {
+    if (!this.inFlight.has(item.id)) {
+      const running = this.runCheck(item, options).finally(() => this.inFlight.delete(item.id));
+      this.inFlight.set(item.id, running);
+    }
+    return this.inFlight.get(item.id);
+  }
+
+  async runCheck(item, { manual = false } = {}) {
+    await this.politeWait(item.url, { manual });
+    const checkedAt = new Date().toISOString();
+    console.log(`👀 Watchlist check: ${item.url}`);
+
+    let result;
+    try {
+      result = await this.check(item.url, item.currency || 'INR');
+    } catch (err) {
+      return this.store.update(item.id, { lastCheckedAt: checkedAt, lastError: err.message });
+    }
+
+    if (result.blocked || result.price === null || result.price === undefined) {
+      return this.store.update(item.id, {
+        lastCheckedAt: checkedAt,
+        lastError: result.blockReason || 'Price not found',
+      });
+    }
+
+    const belowTarget = result.price <= item.targetPrice;
+    const updates = {
+      name: item.name || result.name,
+      lastCheckedAt: checkedAt,
+      lastPrice: result.price,
+      lastError: null,
+      belowTarget,
+    };
+
+    // Alert once per drop; re-arm when the price climbs back above target
+    if (belowTarget && !item.belowTarget) {
+      try {
+        await getChannel(item.channel.type).send({
+          item,
+          name: result.name,
+          url: item.url,
+          price: result.price,
+          priceText: result.priceText,
+          targetPrice: item.targetPrice,
+          checkedAt,
+        }, item.channel.target);
+        updates.notifiedAt = checkedAt;
+      } catch (err) {
+        console.warn(`⚠️  ${item.channel.type} alert failed:`, err.message);
+        // Leave belowTarget unset so the next check retries the alert
+        updates.belowTarget = false;
+        updates.lastError = `Alert failed: ${err.message}`;
+      }
+    }
+
+    return this.store.update(item.id, updates);
+  }
+}
+
+module.exports = { WatchlistStore, WatchlistScheduler, validateWatchItem };
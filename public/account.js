@@ -0,0 +1,304 @@
+/* ============================================================
+   PriceScope — Accounts, welcome banner & saved comparisons
+   ============================================================ */
+
+let currentUser = null;
+let authMode = 'login';
+let pendingComparison = null; // the comparison on screen, ready to save
+let currentSavedId = null;    // set when that comparison is already saved
+
+const welcomeEl = document.getElementById('welcomeMessage');
+const authPanel = document.getElementById('authPanel');
+const authStatus = document.getElementById('authStatus');
+const accountToggle = document.getElementById('accountToggle');
+const logoutBtn = document.getElementById('logoutBtn');
+const captureToggle = document.getElementById('captureToggle');
+const capturePanel = document.getElementById('capturePanel');
+const captureStatus = document.getElementById('captureStatus');
+const saveForm = document.getElementById('saveComparison');
+const saveNotes = document.getElementById('saveNotes');
+const saveStatus = document.getElementById('saveStatus');
+const savedSection = document.getElementById('savedSection');
+const savedItems = document.getElementById('savedItems');
+
+async function postJSON(path, body) {
+    const res = await fetch(`${API_BASE}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+    });
+    const data = res.status === 204 ? {} : await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+// ── Profile & welcome banner ──
+async function loadProfile() {
+    try {
+        const res = await fetch(`${API_BASE}/me`);
+        currentUser = res.ok ? (await res.json()).user : null;
+    } catch {
+        currentUser = null;
+    }
+    renderAccount();
+    if (currentUser) {
+        loadSavedComparisons();
+        loadWatchlist();
+    }
+}
+
+function renderAccount() {
+    welcomeEl.textContent = currentUser ? `WELCOME ${currentUser.displayName.toUpperCase()}` : '';
+    accountToggle.classList.toggle('hidden', !!currentUser);
+    logoutBtn.classList.toggle('hidden', !currentUser);
+    logoutBtn.textContent = currentUser ? `Sign out ${currentUser.username}` : 'Sign out';
+    captureToggle.classList.toggle('hidden', !currentUser);
+    if (!currentUser) capturePanel.classList.add('hidden');
+    saveForm.classList.toggle('hidden', !currentUser || !pendingComparison);
+    if (!currentUser) savedSection.classList.add('hidden');
+    if (!currentUser) watchlistSection.classList.add('hidden');
+}
+
+// ── Sign in / create account ──
+function toggleAuthPanel() {
+    authPanel.classList.toggle('hidden');
+    authStatus.textContent = '';
+    if (!authPanel.classList.contains('hidden')) document.getElementById('authLogin').focus();
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    const registering = mode === 'register';
+    document.getElementById('authTabLogin').classList.toggle('active', !registering);
+    document.getElementById('authTabRegister').classList.toggle('active', registering);
+    document.getElementById('authDisplayName').classList.toggle('hidden', !registering);
+    document.getElementById('authEmail').classList.toggle('hidden', !registering);
+    document.getElementById('authMagic').classList.toggle('hidden', registering);
+    document.getElementById('authLogin').placeholder = registering ? 'Username' : 'Username or email';
+    document.getElementById('authPassword').autocomplete = registering ? 'new-password' : 'current-password';
+    document.getElementById('authPassword').placeholder = registering ? 'Password (8+ characters)' : 'Password';
+    document.getElementById('authSubmit').textContent = registering ? 'Create account' : 'Sign in';
+    authStatus.textContent = '';
+}
+
+async function submitAuth(event) {
+    event.preventDefault();
+    const login = document.getElementById('authLogin').value.trim();
+    const password = document.getElementById('authPassword').value;
+    const submit = document.getElementById('authSubmit');
+    submit.disabled = true;
+    try {
+        const data = authMode === 'register'
+            ? await postJSON('/auth/register', {
+                username: login,
+                password: password || undefined,
+                displayName: document.getElementById('authDisplayName').value.trim() || undefined,
+                email: document.getElementById('authEmail').value.trim() || undefined,
+            })
+            : await postJSON('/auth/login', { login, password });
+        currentUser = data.user;
+        document.getElementById('authForm').reset();
+        authPanel.classList.add('hidden');
+        renderAccount();
+        loadSavedComparisons();
+        loadWatchlist();
+    } catch (err) {
+        authStatus.textContent = `⚠️ ${err.message}`;
+    } finally {
+        submit.disabled = false;
+    }
+}
+
+async function requestMagicLink() {
+    const login = document.getElementById('authLogin').value.trim();
+    if (!login) {
+        authStatus.textContent = 'Enter your username or email first.';
+        return;
+    }
+    try {
+        const data = await postJSON('/auth/magic', { login });
+        authStatus.textContent = `✉️ ${data.message}`;
+    } catch (err) {
+        authStatus.textContent = `⚠️ ${err.message}`;
+    }
+}
+
+async function signOut() {
+    await postJSON('/auth/logout').catch(() => {});
+    currentUser = null;
+    currentSavedId = null;
+    renderAccount();
+}
+
+// ── Capture bookmarklet ──
+// The token is only shown once, so the bookmarklet is built right after it
+// is created. It posts the page as a form (page CSPs block fetch, not form
+// posts) and opens the comparison in a new tab.
+function toggleCapturePanel() {
+    capturePanel.classList.toggle('hidden');
+    captureStatus.textContent = currentUser && currentUser.captureTokenCreatedAt
+        ? `A bookmarklet was created ${new Date(currentUser.captureTokenCreatedAt).toLocaleString()}. Creating a new one stops the old one working.`
+        : '';
+    document.getElementById('captureRevoke').classList.toggle('hidden', !(currentUser && currentUser.captureTokenCreatedAt));
+}
+
+function bookmarkletSource(token, currency) {
+    const fields = JSON.stringify({ token, currency });
+    return `javascript:(function(){var d=${fields};d.url=location.href;d.html=document.documentElement.outerHTML;`
+        + `var f=document.createElement('form');f.method='post';f.target='_blank';f.acceptCharset='UTF-8';`
+        + `f.action=${JSON.stringify(`${window.location.origin}/scrape/html`)};`
+        + `for(var k in d){var i=document.createElement('input');i.type='hidden';i.name=k;i.value=d[k];f.appendChild(i);}`
+        + `document.body.appendChild(f);f.submit();f.remove();})();`;
+}
+
+async function createCaptureToken() {
+    try {
+        const { token, user } = await postJSON('/me/capture-token');
+        currentUser = user;
+        document.getElementById('captureLink').href = bookmarkletSource(token, selectedCurrency());
+        document.getElementById('captureLinkRow').classList.remove('hidden');
+        document.getElementById('captureRevoke').classList.remove('hidden');
+        captureStatus.textContent = `✅ Prices will be shown in ${selectedCurrency()}. Any older bookmarklet no longer works.`;
+    } catch (err) {
+        captureStatus.textContent = `⚠️ ${err.message}`;
+    }
+}
+
+async function revokeCaptureToken() {
+    await fetch(`${API_BASE}/me/capture-token`, { method: 'DELETE' });
+    currentUser = { ...currentUser, captureTokenCreatedAt: null };
+    document.getElementById('captureLinkRow').classList.add('hidden');
+    document.getElementById('captureRevoke').classList.add('hidden');
+    captureStatus.textContent = 'Bookmarklet revoked.';
+}
+
+// ── Saving the comparison on screen ──
+// Called from startComparison once the grid is rendered
+function offerSave(comparison) {
+    pendingComparison = comparison;
+    currentSavedId = null;
+    saveNotes.value = '';
+    saveStatus.textContent = '';
+    document.getElementById('saveBtn').textContent = '💾 Save comparison';
+    renderAccount();
+}
+
+async function saveComparison() {
+    if (!currentUser || !pendingComparison) return;
+    const saveBtn = document.getElementById('saveBtn');
+    saveBtn.disabled = true;
+    try {
+        if (currentSavedId) {
+            const res = await fetch(`${API_BASE}/comparisons/${currentSavedId}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ notes: saveNotes.value }),
+            });
+            if (!res.ok) throw new Error((await res.json()).error || 'Could not update notes');
+            saveStatus.textContent = '✅ Notes updated.';
+        } else {
+            const item = await postJSON('/comparisons', { ...pendingComparison, notes: saveNotes.value });
+            currentSavedId = item.id;
+            saveBtn.textContent = '💾 Update notes';
+            saveStatus.textContent = '✅ Saved — find it under Saved Comparisons on any device.';
+        }
+        loadSavedComparisons();
+    } catch (err) {
+        saveStatus.textContent = `⚠️ ${err.message}`;
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// ── Saved comparisons list ──
+async function loadSavedComparisons() {
+    if (!currentUser) return;
+    try {
+        const res = await fetch(`${API_BASE}/comparisons`);
+        if (!res.ok) return;
+        renderSavedComparisons((await res.json()).items || []);
+    } catch {
+        // Saved comparisons are optional; stay hidden if the server can't be reached
+    }
+}
+
+function renderSavedComparisons(items) {
+    savedItems.innerHTML = '';
+    if (items.length === 0) {
+        savedSection.classList.add('hidden');
+        return;
+    }
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'watchlist-item';
+
+        const info = document.createElement('div');
+        info.className = 'watchlist-info';
+
+        const name = document.createElement('button');
+        name.className = 'watchlist-name saved-open';
+        name.textContent = item.title;
+        name.onclick = () => openSavedComparison(item.id);
+        info.appendChild(name);
+
+        const meta = document.createElement('div');
+        meta.className = 'watchlist-meta';
+        const lowest = item.lowestPrice !== null ? ` · lowest ${formatMoney(item.lowestPrice, item.currency)}` : '';
+        meta.textContent = `${item.resultCount} result${item.resultCount === 1 ? '' : 's'}${lowest} · saved ${new Date(item.savedAt).toLocaleString()}`;
+        info.appendChild(meta);
+
+        if (item.notes) {
+            const notes = document.createElement('div');
+            notes.className = 'saved-notes';
+            notes.textContent = item.notes;
+            info.appendChild(notes);
+        }
+        li.appendChild(info);
+
+        const remove = document.createElement('button');
+        remove.className = 'watchlist-remove';
+        remove.textContent = 'Delete';
+        remove.onclick = () => deleteSavedComparison(item.id);
+        li.appendChild(remove);
+
+        savedItems.appendChild(li);
+    });
+    savedSection.classList.remove('hidden');
+}
+
+async function openSavedComparison(id) {
+    const res = await fetch(`${API_BASE}/comparisons/${id}`);
+    if (!res.ok) return;
+    const item = await res.json();
+
+    const section = showComparison(item.source, item.products);
+
+    showShareLink(null);
+    showExportLinks(`/comparisons/${item.id}/export`);
+    offerSave({ source: item.source, products: item.products, currency: item.currency });
+    currentSavedId = item.id;
+    saveNotes.value = item.notes;
+    saveStatus.textContent = `Saved ${new Date(item.savedAt).toLocaleString()} — prices as they were then.`;
+    document.getElementById('saveBtn').textContent = '💾 Update notes';
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteSavedComparison(id) {
+    await fetch(`${API_BASE}/comparisons/${id}`, { method: 'DELETE' });
+    if (id === currentSavedId) {
+        offerSave(pendingComparison);
+        showExportLinks(null);
+    }
+    loadSavedComparisons();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Coming back from an expired or already-used magic link
+    if (new URLSearchParams(window.location.search).get('login') === 'expired') {
+        toggleAuthPanel();
+        authStatus.textContent = '⚠️ That sign-in link has expired or was already used. Request a new one.';
+        history.replaceState(null, '', window.location.pathname);
+    }
+    loadProfile();
+});
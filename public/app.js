@@ -6,36 +6,155 @@ const API_BASE = ''; // Use relative path so it works on any domain (localhost o
 
 let isLoading = false;
 
+// ── Target currency (saved per browser) ──
+const CURRENCY_LOCALES = {
+    INR: 'en-IN', USD: 'en-US', EUR: 'en-IE', GBP: 'en-GB', JPY: 'ja-JP',
+    CAD: 'en-CA', AUD: 'en-AU', SGD: 'en-SG', AED: 'en-AE', CHF: 'de-CH',
+};
+const currencySelect = document.getElementById('currencySelect');
+currencySelect.value = localStorage.getItem('preferredCurrency') || 'INR';
+currencySelect.addEventListener('change', () => {
+    localStorage.setItem('preferredCurrency', currencySelect.value);
+});
+
+function selectedCurrency() {
+    return currencySelect.value || 'INR';
+}
+
+function formatMoney(amount, currency = selectedCurrency()) {
+    const digits = currency === 'INR' || currency === 'JPY' ? 0 : 2;
+    try {
+        return new Intl.NumberFormat(CURRENCY_LOCALES[currency] || 'en-US', {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits,
+        }).format(amount);
+    } catch {
+        return `${currency} ${amount}`;
+    }
+}
+
+// ── Bank cards the buyer holds (saved per browser) ──
+// Bank offers only count toward the effective price for these banks
+const bankOptions = document.getElementById('bankOptions');
+const bankPickerSummary = document.getElementById('bankPickerSummary');
+
+function selectedBanks() {
+    return (localStorage.getItem('preferredBanks') || '').split(',').filter(Boolean);
+}
+
+function updateBankSummary() {
+    const count = selectedBanks().length;
+    bankPickerSummary.textContent = count ? `💳 My cards (${count})` : '💳 My cards';
+}
+
+async function loadBankOptions() {
+    try {
+        const res = await fetch(`${API_BASE}/offers/banks`);
+        const { banks } = await res.json();
+        const chosen = new Set(selectedBanks());
+        bankOptions.innerHTML = '';
+        banks.forEach(bank => {
+            const label = document.createElement('label');
+            label.className = 'bank-option';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.value = bank.id;
+            box.checked = chosen.has(bank.id);
+            label.append(box, ` ${bank.name}`);
+            bankOptions.appendChild(label);
+        });
+    } catch {
+        bankOptions.textContent = 'Could not load banks';
+    }
+    updateBankSummary();
+}
+
+bankOptions.addEventListener('change', () => {
+    const ids = [...bankOptions.querySelectorAll('input:checked')].map(box => box.value);
+    localStorage.setItem('preferredBanks', ids.join(','));
+    updateBankSummary();
+});
+
+loadBankOptions();
+
 // ── DOM refs ──
 const productUrlInput = document.getElementById('productUrl');
 const compareBtn = document.getElementById('compareBtn');
 const loadingSection = document.getElementById('loadingSection');
 const errorSection = document.getElementById('errorSection');
 const blockedSection = document.getElementById('blockedSection');
+const querySection = document.getElementById('querySection');
 const errorMessage = document.getElementById('errorMessage');
 const sourceSection = document.getElementById('sourceSection');
 const comparisonSection = document.getElementById('comparisonSection');
 const comparisonGrid = document.getElementById('comparisonGrid');
+const hideWeakMatchesInput = document.getElementById('hideWeakMatches');
 
 const loadStep1 = document.getElementById('loadStep1');
 const loadStep2 = document.getElementById('loadStep2');
 const loadStep3 = document.getElementById('loadStep3');
+const loadLog = document.getElementById('loadLog');
 
 // ── Allow Enter key ──
 productUrlInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !isLoading) startComparison();
 });
 
+// ── What kind of input was typed (mirrors lib/input.js) ──
+const GTIN_FORMATS = { 8: 'EAN-8', 12: 'UPC-A', 13: 'EAN-13', 14: 'GTIN-14' };
+
+// "EAN-13" for a barcode number with a valid GS1 check digit, else null
+function gtinFormat(text) {
+    const code = text.replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(code) || !GTIN_FORMATS[code.length]) return null;
+    const digits = [...code].map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((total, d, i) => total + d * (i % 2 === 0 ? 3 : 1), 0);
+    if ((10 - (sum % 10)) % 10 !== check) return null;
+    return code.length === 13 && /^97[89]/.test(code) ? 'ISBN-13' : GTIN_FORMATS[code.length];
+}
+
+function detectInputKind(text) {
+    const value = text.trim().replace(/\s+/g, ' ');
+    if (/^https?:\/\/\S+$/i.test(value)) return { type: 'url', value };
+    const format = gtinFormat(value);
+    if (format) return { type: 'gtin', value, format };
+    if (/^(?=.*\d)(?=.*[a-z])[a-z0-9][a-z0-9\-/.]{2,23}$/i.test(value)) return { type: 'model', value };
+    return { type: 'text', value };
+}
+
+const inputHint = document.getElementById('inputHint');
+const DEFAULT_INPUT_HINT = inputHint.textContent;
+
+function describeInputKind(kind) {
+    switch (kind.type) {
+        case 'url': return '🔗 Product link — we\'ll read the page, then search for the same product';
+        case 'gtin': return `📦 Barcode (${kind.format}) — we'll look it up, then search`;
+        case 'model': return '🏷️ Model number — searched as typed';
+        default: return '🔎 Product name — searched as typed';
+    }
+}
+
+productUrlInput.addEventListener('input', () => {
+    const text = productUrlInput.value.trim();
+    inputHint.textContent = text ? describeInputKind(detectInputKind(text)) : DEFAULT_INPUT_HINT;
+});
+
 // ── Main flow ──
-async function startComparison() {
-    const url = productUrlInput.value.trim();
+// `capture` is the ID of a page posted to /scrape/html by the bookmarklet.
+// Anything that isn't a link is searched directly: no page to read.
+async function startComparison({ capture } = {}) {
+    const input = productUrlInput.value.trim();
 
-    if (!url) {
+    if (!input) {
         shakeInput();
         return;
     }
 
-    if (!isValidUrl(url)) {
+    const kind = detectInputKind(input);
+    if (kind.type === 'url' && !isValidUrl(kind.value)) {
         showError('Please enter a valid URL starting with http:// or https://');
         return;
     }
@@ -48,39 +167,21 @@ async function startComparison() {
     compareBtn.disabled = true;
     show(loadingSection);
     setLoadStep(1);
+    loadLog.innerHTML = '';
 
     try {
-        // Step 1: Scrape product
-        const scrapeData = await scrapeProduct(url);
-        setLoadStep(2);
-
-        if (scrapeData.blocked) {
-            // Site blocked — show banner, skip source card, search by slug
-            showBlockedBanner(scrapeData);
-            const searchData = await searchProducts(scrapeData.searchQuery || scrapeData.name);
-            setLoadStep(3);
-            await sleep(400);
-            renderComparison(searchData.products, null);
-            hide(loadingSection);
-            show(blockedSection);
-            show(comparisonSection);
-        } else {
-            // Normal flow
-            renderSourceProduct(scrapeData);
-            const searchData = await searchProducts(scrapeData.searchQuery || scrapeData.name);
-            setLoadStep(3);
-            await sleep(600);
-            renderComparison(searchData.products, scrapeData);
-            hide(loadingSection);
-            show(sourceSection);
-            show(comparisonSection);
-        }
+        // Scrape + search run server-side; progress streams back as it happens
+        const { source: scrapeData, search: searchData, snapshotId, shareUrl } = await streamComparison(
+            kind.type === 'url' ? { url: kind.value, capture } : { q: kind.value },
+        );
+
+        const firstResult = showComparison(scrapeData, searchData.products, searchData.degraded);
+        offerSave({ source: scrapeData, products: searchData.products, currency: selectedCurrency() });
+        showShareLink(shareUrl);
+        showExportLinks(snapshotId ? `/snapshots/${snapshotId}/export` : null);
 
         // Smooth scroll to results
         setTimeout(() => {
-            const firstResult = document.getElementById('blockedSection').classList.contains('hidden')
-                ? sourceSection
-                : blockedSection;
             firstResult.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }, 100);
 
@@ -94,40 +195,134 @@ async function startComparison() {
 }
 
 // ── API calls ──
-async function scrapeProduct(url) {
-    const res = await fetch(`${API_BASE}/scrape`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url }),
+// Which loading step each server stage belongs to
+const STAGE_STEPS = {
+    fetch: 1, fetched: 1, 'fetch-fallback': 1, 'fetch-failed': 1, blocked: 1, cache: 1,
+    lookup: 1, 'lookup-found': 1, 'lookup-missed': 1,
+    llm: 2, 'llm-repair': 2, 'llm-retry': 2, 'llm-failed': 2, extracted: 2,
+    converted: 3, search: 3, provider: 3, 'provider-retry': 3, 'provider-failed': 3, result: 3,
+};
+
+// Exactly one of `url` (optionally with a bookmarklet `capture`) or `q`
+function streamComparison({ url, capture, q }) {
+    return new Promise((resolve, reject) => {
+        const params = new URLSearchParams({ currency: selectedCurrency() });
+        if (url) params.set('url', url);
+        if (capture) params.set('capture', capture);
+        if (q) params.set('q', q);
+        if (selectedBanks().length) params.set('banks', selectedBanks().join(','));
+        const stream = new EventSource(`${API_BASE}/compare/stream?${params}`);
+        let finished = false;
+
+        stream.addEventListener('progress', (e) => {
+            const event = JSON.parse(e.data);
+            if (STAGE_STEPS[event.stage]) setLoadStep(STAGE_STEPS[event.stage]);
+            appendLoadLog(event.message);
+        });
+        stream.addEventListener('source', () => setLoadStep(3));
+        stream.addEventListener('done', (e) => {
+            finished = true;
+            stream.close();
+            resolve(JSON.parse(e.data));
+        });
+        stream.addEventListener('failure', (e) => {
+            finished = true;
+            stream.close();
+            reject(new Error(JSON.parse(e.data).error));
+        });
+        // Connection dropped (EventSource would otherwise silently reconnect)
+        stream.onerror = () => {
+            if (finished) return;
+            stream.close();
+            reject(new Error('Lost connection to the server while comparing prices'));
+        };
     });
+}
 
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.error || 'Failed to read product page');
-    return data;
+// ── Render: the source (product card, blocked banner or typed-in search) and the grid ──
+// Returns the section to scroll to. `degraded` lists the search's fallbacks;
+// the source's own come with it.
+function showComparison(source, products, degraded = []) {
+    hideAll();
+    renderDegradedNotice([...(source.degraded || []), ...(degraded || [])]);
+    let section = sourceSection;
+    if (source.blocked) {
+        // Site blocked — show banner, skip source card, search by slug
+        showBlockedBanner(source);
+        renderComparison(products, null);
+        section = blockedSection;
+    } else if (source.query) {
+        renderQuerySource(source);
+        renderComparison(products, null);
+        section = querySection;
+    } else {
+        renderSourceProduct(source);
+        renderComparison(products, source);
+    }
+    show(section);
+    show(comparisonSection);
+    return section;
 }
 
-async function searchProducts(productName) {
-    const res = await fetch(`${API_BASE}/search`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ productName }),
+// ── Render: what had to fall back (rates, search, AI extraction) ──
+function renderDegradedNotice(degraded) {
+    const notice = document.getElementById('degradedNotice');
+    const messages = [...new Set(degraded.map(d => d.message))];
+    notice.innerHTML = '';
+    messages.forEach(message => {
+        const li = document.createElement('li');
+        li.textContent = `⚠️ ${message}`;
+        notice.appendChild(li);
     });
+    notice.classList.toggle('hidden', messages.length === 0);
+}
 
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.error || 'Failed to search for products');
-    return data;
+// ── Render: summary for a typed-in name, model number or barcode ──
+function renderQuerySource(source) {
+    const found = source.lookup;
+    let icon = '🔎';
+    let title = `Product name: ${source.input}`;
+    let message = 'There was no page to read, so results are matched against the name as typed.';
+    if (source.inputType === 'model') {
+        icon = '🏷️';
+        title = `Model number: ${source.input}`;
+        message = 'Results are matched against the model number as typed.';
+    } else if (source.inputType === 'gtin') {
+        icon = '📦';
+        title = `${source.gtinFormat} ${source.identifiers.gtin}`;
+        message = found
+            ? `Found in the ${found.resolver} barcode catalog${[found.brand, found.model, found.category].some(Boolean) ? `: ${[found.brand, found.model, found.category].filter(Boolean).join(' · ')}` : ''}.`
+            : 'This barcode isn\'t in any catalog yet, so we\'re searching for the code itself.';
+    }
+    document.getElementById('queryIcon').textContent = icon;
+    document.getElementById('queryTitle').textContent = title;
+    document.getElementById('queryMessage').textContent = message;
+    document.getElementById('querySearchText').textContent = source.searchQuery;
 }
 
 // ── Render: Source Product ──
 function renderSourceProduct(product) {
     document.getElementById('sourceName').textContent = product.name;
 
-    // Show INR price; also show original if different currency
-    let priceDisplay = product.priceText || 'Price not found';
+    // Show converted price; also show original if different currency
+    let priceDisplay = displayPrice(product) || 'Price not found';
     if (product.originalPrice && product.originalPrice !== product.priceText) {
-        priceDisplay = `${product.priceText} (${product.originalPrice})`;
+        priceDisplay = `${priceDisplay} (${product.originalPrice})`;
     }
-    document.getElementById('sourcePrice').textContent = priceDisplay;
+    const sourcePriceEl = document.getElementById('sourcePrice');
+    sourcePriceEl.textContent = priceDisplay;
+    sourcePriceEl.title = priceConfidenceNote(product);
+    renderExchangeRate(product.exchangeRate);
+
+    const effectiveEl = document.getElementById('sourceEffective');
+    effectiveEl.innerHTML = '';
+    const effective = buildEffectivePrice(product);
+    if (effective) effectiveEl.appendChild(effective);
+
+    const detailsEl = document.getElementById('sourceDetails');
+    detailsEl.innerHTML = '';
+    detailsEl.appendChild(buildBuyingDetails(product));
+    document.getElementById('sourceIds').textContent = describeIdentifiers(product.identifiers);
 
     const descList = document.getElementById('sourceDesc');
     descList.innerHTML = '';
@@ -160,25 +355,342 @@ function renderSourceProduct(product) {
         img.onerror = () => { imgWrap.innerHTML = ''; };
         imgWrap.appendChild(img);
     }
+
+    loadPriceHistory(product.url);
+    prepareWatchForm(product);
+}
+
+// ── Price text: "₹1,299 – ₹1,499" for ranges, "≈" when the parse was a guess ──
+const LOW_PRICE_CONFIDENCE = 0.7;
+
+function displayPrice(product) {
+    if (!product.priceText) return '';
+    const text = product.priceRange
+        ? `${formatMoney(product.priceRange.min, product.targetCurrency || selectedCurrency())} – ${formatMoney(product.priceRange.max, product.targetCurrency || selectedCurrency())}`
+        : product.priceText;
+    return typeof product.priceConfidence === 'number' && product.priceConfidence < LOW_PRICE_CONFIDENCE ? `≈ ${text}` : text;
+}
+
+function priceConfidenceNote(product) {
+    if (typeof product.priceConfidence !== 'number') return '';
+    return product.priceConfidence < LOW_PRICE_CONFIDENCE
+        ? `Read from "${product.originalPrice}" with low confidence — check on the site`
+        : '';
+}
+
+// ── Discount, stock, rating and seller chips (source card and result cards) ──
+const AVAILABILITY_LABELS = {
+    in_stock: '✅ In stock',
+    out_of_stock: '⛔ Out of stock',
+    preorder: '🕒 Pre-order',
+    limited: '⏳ Few left',
+};
+
+function buildBuyingDetails(product) {
+    const wrap = document.createDocumentFragment();
+    const chip = (className, text, title) => {
+        const el = document.createElement('span');
+        el.className = `detail-chip ${className}`;
+        el.textContent = text;
+        if (title) el.title = title;
+        wrap.appendChild(el);
+    };
+
+    if (product.discountPercent) {
+        chip('chip-discount', `${product.discountPercent}% off`, product.mrpText ? `M.R.P ${product.mrpText}` : '');
+    }
+    if (product.mrpText) chip('chip-mrp', product.mrpText, 'M.R.P / list price');
+    if (product.availability && AVAILABILITY_LABELS[product.availability]) {
+        chip(`chip-stock chip-${product.availability}`, AVAILABILITY_LABELS[product.availability]);
+    }
+    if (product.rating) {
+        const count = product.reviewCount ? ` (${product.reviewCount.toLocaleString('en-IN')})` : '';
+        chip('chip-rating', `★ ${product.rating.toFixed(1)}${count}`, 'Customer rating out of 5');
+    }
+    if (product.seller && product.seller !== product.websiteName) chip('chip-seller', `Sold by ${product.seller}`);
+    if (product.shippingText || product.deliveryEstimate) {
+        const cost = product.shipping === 0 ? 'Free delivery' : (product.shippingText ? `${product.shippingText} shipping` : 'Delivery');
+        chip('chip-delivery', `🚚 ${cost}${product.deliveryEstimate ? ` · ${product.deliveryEstimate}` : ''}`);
+    }
+    if (product.offers && product.offers.length) {
+        const count = product.offers.length;
+        chip('chip-offers', `🏷️ ${count} offer${count === 1 ? '' : 's'}`, product.offers.map(o => o.text).join('\n'));
+    }
+    return wrap;
+}
+
+// ── Effective (landed) price: price + shipping − coupon − usable bank offer ──
+function comparablePrice(product) {
+    return typeof product.effectivePrice === 'number' ? product.effectivePrice : product.price;
+}
+
+// "₹54,999 Price / + ₹99 Shipping / − ₹1,500 Bank offer: …" for the tooltip
+function describeBreakdown(product) {
+    const currency = product.targetCurrency || selectedCurrency();
+    const lines = (product.priceBreakdown || []).map((line, i) => {
+        const sign = i === 0 ? '' : (line.amount < 0 ? '− ' : '+ ');
+        return `${sign}${formatMoney(Math.abs(line.amount), currency)}  ${line.label}`;
+    });
+    (product.excludedOffers || []).forEach(o => {
+        lines.push(`Not applied (${o.type === 'exchange' ? 'needs a trade-in' : 'not one of your cards'}): ${o.text}`);
+    });
+    return lines.join('\n');
+}
+
+// Only shown when shipping or an offer moves the price
+function buildEffectivePrice(product) {
+    if (typeof product.effectivePrice !== 'number' || product.effectivePrice === product.price) return null;
+    const el = document.createElement('div');
+    el.className = 'effective-price';
+    el.textContent = `Effective ${product.effectivePriceText || formatMoney(product.effectivePrice)} ⓘ`;
+    el.title = describeBreakdown(product);
+    return el;
+}
+
+// "ASIN B0CS5XW6TN · Model SM-S921B · Samsung"
+function describeIdentifiers(ids) {
+    if (!ids) return '';
+    return [
+        ids.brand,
+        ids.modelNumber ? `Model ${ids.modelNumber}` : null,
+        ids.asin ? `ASIN ${ids.asin}` : null,
+        ids.flipkartPid ? `PID ${ids.flipkartPid}` : null,
+        ids.gtin ? `GTIN ${ids.gtin}` : null,
+    ].filter(Boolean).join(' · ');
+}
+
+// "1 USD = ₹83.12 · rates 4 min old" under the source price
+function renderExchangeRate(info) {
+    const rateEl = document.getElementById('sourceRate');
+    if (!info || !info.rate || info.from === info.to) {
+        rateEl.textContent = '';
+        return;
+    }
+    let age = 'approximate fallback rate';
+    if (!info.fallback && info.ageSeconds !== null) {
+        const minutes = Math.round(info.ageSeconds / 60);
+        age = minutes < 1 ? 'rates just updated' : `rates ${minutes} min old`;
+    }
+    rateEl.textContent = `1 ${info.from} = ${formatMoney(info.rate, info.to).replace(/\.00$/, '')} · ${age}`;
+}
+
+// ── Render: Price history chart for the source product ──
+async function loadPriceHistory(url) {
+    const historyEl = document.getElementById('sourceHistory');
+    historyEl.innerHTML = '';
+    hide(historyEl);
+    if (!url) return;
+
+    try {
+        const res = await fetch(`${API_BASE}/history?url=${encodeURIComponent(url)}&currency=${selectedCurrency()}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        renderPriceHistory(historyEl, data);
+    } catch {
+        // History is a nice-to-have; never block the comparison on it
+    }
+}
+
+function renderPriceHistory(historyEl, data) {
+    const points = (data.points || []).filter(p => typeof p.price === 'number');
+    if (points.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = `📈 Price history (${points.length} observation${points.length === 1 ? '' : 's'})`;
+    historyEl.appendChild(title);
+
+    if (points.length > 1) {
+        historyEl.appendChild(buildHistoryChart(points, data.currency));
+    }
+
+    const { lowest, highest } = data.stats;
+    const stats = document.createElement('div');
+    stats.className = 'history-stats';
+    stats.innerHTML = `
+        <span>Lowest: <span class="history-low">${formatMoney(lowest.price, data.currency)}</span></span>
+        <span>Highest: <span class="history-high">${formatMoney(highest.price, data.currency)}</span></span>
+        <span>Since ${new Date(data.stats.first).toLocaleDateString()}</span>
+    `;
+    historyEl.appendChild(stats);
+    show(historyEl);
+}
+
+function buildHistoryChart(points, currency) {
+    const width = 400;
+    const height = 80;
+    const pad = 6;
+    const times = points.map(p => Date.parse(p.observedAt));
+    const prices = points.map(p => p.price);
+    const minT = Math.min(...times), maxT = Math.max(...times);
+    const minP = Math.min(...prices), maxP = Math.max(...prices);
+
+    const x = t => pad + (maxT === minT ? 0.5 : (t - minT) / (maxT - minT)) * (width - pad * 2);
+    const y = p => pad + (maxP === minP ? 0.5 : 1 - (p - minP) / (maxP - minP)) * (height - pad * 2);
+
+    const coords = points.map((p, i) => [x(times[i]), y(p.price)]);
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('class', 'history-chart');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    const line = document.createElementNS(ns, 'polyline');
+    line.setAttribute('class', 'history-line');
+    line.setAttribute('points', coords.map(c => c.join(',')).join(' '));
+    svg.appendChild(line);
+
+    coords.forEach(([cx, cy], i) => {
+        const dot = document.createElementNS(ns, 'circle');
+        dot.setAttribute('class', 'history-dot');
+        dot.setAttribute('cx', cx);
+        dot.setAttribute('cy', cy);
+        dot.setAttribute('r', 3);
+        const tip = document.createElementNS(ns, 'title');
+        tip.textContent = `${formatMoney(points[i].price, currency)} — ${new Date(points[i].observedAt).toLocaleString()}`;
+        dot.appendChild(tip);
+        svg.appendChild(dot);
+    });
+
+    return svg;
 }
 
 // ── Render: Comparison Grid ──
-function renderComparison(products, sourceProduct) {
-    comparisonGrid.innerHTML = '';
+// Every result arrives at once; sorting, filtering and "Show more" happen
+// here, by the same rules /search applies to its limit/sort/filter options
+// (lib/results.js)
+const GRID_PAGE_SIZE = 9;
+let lastComparison = { products: [], sourceProduct: null };
+let visibleCount = GRID_PAGE_SIZE;
+let excludedRetailers = new Set();
+
+const sortResultsSelect = document.getElementById('sortResults');
+const filterMinPrice = document.getElementById('filterMinPrice');
+const filterMaxPrice = document.getElementById('filterMaxPrice');
+const filterRating = document.getElementById('filterRating');
+const filterInStock = document.getElementById('filterInStock');
+const retailerFilters = document.getElementById('retailerFilters');
+const resultCount = document.getElementById('resultCount');
+const loadMoreResults = document.getElementById('loadMoreResults');
+
+document.querySelectorAll('.grid-control').forEach(control => {
+    control.addEventListener('change', () => {
+        visibleCount = GRID_PAGE_SIZE;
+        drawComparisonGrid();
+    });
+});
+
+loadMoreResults.addEventListener('click', () => {
+    visibleCount += GRID_PAGE_SIZE;
+    drawComparisonGrid();
+});
+
+function retailerName(product) {
+    return product.websiteName || product.retailer || 'Other';
+}
+
+// One toggle per retailer in the results; a crossed-out retailer is hidden
+function renderRetailerFilters() {
+    retailerFilters.innerHTML = '';
+    const names = [...new Set(lastComparison.products.map(retailerName))];
+    if (names.length < 2) return;
+    names.forEach(name => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'retailer-chip';
+        chip.textContent = name;
+        chip.title = `Show or hide ${name}`;
+        chip.addEventListener('click', () => {
+            if (excludedRetailers.has(name)) excludedRetailers.delete(name);
+            else excludedRetailers.add(name);
+            chip.classList.toggle('excluded', excludedRetailers.has(name));
+            visibleCount = GRID_PAGE_SIZE;
+            drawComparisonGrid();
+        });
+        retailerFilters.appendChild(chip);
+    });
+}
+
+// Listings without a price or rating always sort last
+function byNumber(get, direction) {
+    return (a, b) => {
+        const x = get(a);
+        const y = get(b);
+        if (typeof x !== 'number' || typeof y !== 'number') return (typeof x !== 'number') - (typeof y !== 'number');
+        return (x - y) * direction;
+    };
+}
+
+const RESULT_SORTS = {
+    relevance: () => 0,
+    price: byNumber(comparablePrice, 1),
+    'price-desc': byNumber(comparablePrice, -1),
+    rating: byNumber(p => p.rating, -1),
+};
+
+function filterAndSortResults(products) {
+    const min = filterMinPrice.value === '' ? null : Number(filterMinPrice.value);
+    const max = filterMaxPrice.value === '' ? null : Number(filterMaxPrice.value);
+    const minRating = filterRating.value === '' ? null : Number(filterRating.value);
+    return products.filter(p => {
+        const price = comparablePrice(p);
+        const priced = typeof price === 'number';
+        if (hideWeakMatchesInput.checked && p.lowConfidence) return false;
+        if (min !== null && !(priced && price >= min)) return false;
+        if (max !== null && !(priced && price <= max)) return false;
+        if (minRating !== null && !(typeof p.rating === 'number' && p.rating >= minRating)) return false;
+        if (filterInStock.checked && p.availability === 'out_of_stock') return false;
+        return !excludedRetailers.has(retailerName(p));
+    }).sort(RESULT_SORTS[sortResultsSelect.value] || RESULT_SORTS.relevance);
+}
+
+function renderComparison(allProducts, sourceProduct) {
+    lastComparison = { products: allProducts || [], sourceProduct };
+    visibleCount = GRID_PAGE_SIZE;
+    excludedRetailers = new Set();
+    renderRetailerFilters();
+    drawComparisonGrid();
+}
+
+// "14 results found across the web" or "Showing 9 of 11 matching · 14 found across the web"
+function describeResultCount(shown, matched, total) {
+    const found = `${total} result${total === 1 ? '' : 's'} found across the web`;
+    if (matched === total && shown === total) return found;
+    return `Showing ${shown} of ${matched} matching · ${found}`;
+}
 
-    if (!products || products.length === 0) {
-        comparisonGrid.innerHTML = '<p style="color:var(--text-muted);text-align:center;grid-column:1/-1">No comparison results found.</p>';
+function drawComparisonGrid() {
+    const all = lastComparison.products;
+    const products = filterAndSortResults(all);
+    const shown = products.slice(0, visibleCount);
+    comparisonGrid.innerHTML = '';
+    resultCount.textContent = describeResultCount(shown.length, products.length, all.length);
+    loadMoreResults.classList.toggle('hidden', products.length <= visibleCount);
+    loadMoreResults.textContent = `Show ${Math.min(GRID_PAGE_SIZE, products.length - visibleCount)} more`;
+
+    if (products.length === 0) {
+        let message = 'No comparison results found.';
+        if (all.length > 0) {
+            message = hideWeakMatchesInput.checked && all.every(p => p.lowConfidence)
+                ? 'Only weak matches were found. Untick "Hide weak matches" to see them.'
+                : 'No results match these filters.';
+        }
+        comparisonGrid.innerHTML = `<p style="color:var(--text-muted);text-align:center;grid-column:1/-1">${message}</p>`;
         return;
     }
 
-    // Determine min/max prices
-    const prices = products.map(p => p.price).filter(p => p !== null && p !== undefined && !isNaN(p));
+    // Determine min/max effective prices — an out-of-stock listing can't be the best buy
+    const prices = products
+        .filter(p => p.availability !== 'out_of_stock')
+        .map(comparablePrice)
+        .filter(p => p !== null && p !== undefined && !isNaN(p));
     const minPrice = prices.length > 0 ? Math.min(...prices) : null;
     const maxPrice = prices.length > 0 ? Math.max(...prices) : null;
 
-    products.forEach((product, index) => {
-        const isLowest = minPrice !== null && product.price === minPrice && prices.filter(p => p === minPrice).length >= 1;
-        const isHighest = maxPrice !== null && product.price === maxPrice && minPrice !== maxPrice;
+    shown.forEach((product, index) => {
+        const inStock = product.availability !== 'out_of_stock';
+        const isLowest = inStock && minPrice !== null && comparablePrice(product) === minPrice;
+        const isHighest = inStock && maxPrice !== null && comparablePrice(product) === maxPrice && minPrice !== maxPrice;
 
         const card = buildProductCard(product, isLowest, isHighest, index);
         comparisonGrid.appendChild(card);
@@ -193,6 +705,7 @@ function buildProductCard(product, isLowest, isHighest, index) {
 
     if (isLowest) card.classList.add('price-lowest');
     else if (isHighest) card.classList.add('price-highest');
+    if (product.availability === 'out_of_stock') card.classList.add('product-out-of-stock');
 
     // Price badge
     if (isLowest) {
@@ -220,16 +733,41 @@ function buildProductCard(product, isLowest, isHighest, index) {
     if (siteName) {
         const siteTag = document.createElement('div');
         siteTag.className = 'card-website';
-        siteTag.innerHTML = `<span class="card-website-dot"></span>${siteName}`;
+        const dot = document.createElement('span');
+        dot.className = 'card-website-dot';
+        const siteLabel = document.createElement('span');
+        siteLabel.textContent = siteName;
+        siteTag.append(dot, siteLabel);
+        if (product.provider) {
+            const providerTag = document.createElement('span');
+            providerTag.className = 'card-provider';
+            providerTag.textContent = `via ${product.provider}`;
+            siteTag.appendChild(providerTag);
+        }
         card.appendChild(siteTag);
     }
 
+    // Relevance to the source product
+    if (typeof product.matchScore === 'number') {
+        const matchEl = document.createElement('div');
+        matchEl.className = product.lowConfidence ? 'card-match card-match-weak' : 'card-match';
+        const pct = Math.round(product.matchScore * 100);
+        matchEl.textContent = product.lowConfidence ? `⚠️ Weak match · ${pct}%` : `🎯 Match ${pct}%`;
+        matchEl.title = (product.matchReasons || []).join('\n');
+        card.appendChild(matchEl);
+    }
+
     // Product name
     const nameEl = document.createElement('h3');
     nameEl.className = 'card-name';
     nameEl.textContent = product.name;
     card.appendChild(nameEl);
 
+    const details = document.createElement('div');
+    details.className = 'buying-details';
+    details.appendChild(buildBuyingDetails(product));
+    if (details.childNodes.length) card.appendChild(details);
+
     // Description points
     const descList = document.createElement('ul');
     descList.className = 'card-desc';
@@ -248,11 +786,14 @@ function buildProductCard(product, isLowest, isHighest, index) {
     const footer = document.createElement('div');
     footer.className = 'card-footer';
 
-    // Price (always in ₹ INR)
+    // Price (in the selected currency)
     const priceEl = document.createElement('div');
     if (product.price !== null && product.price !== undefined && !isNaN(product.price)) {
         priceEl.className = 'card-price';
-        priceEl.textContent = product.priceText || `₹${Number(product.price).toLocaleString('en-IN')}`;
+        priceEl.textContent = displayPrice(product) || formatMoney(Number(product.price));
+        priceEl.title = priceConfidenceNote(product);
+        const effective = buildEffectivePrice(product);
+        if (effective) priceEl.appendChild(effective);
     } else {
         priceEl.className = 'card-price-na';
         priceEl.textContent = product.priceText || 'Check website';
@@ -288,6 +829,7 @@ function hideAll() {
     hide(loadingSection);
     hide(errorSection);
     hide(blockedSection);
+    hide(querySection);
     hide(sourceSection);
     hide(comparisonSection);
 }
@@ -312,6 +854,14 @@ function resetUI() {
     window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
+function appendLoadLog(message) {
+    if (!message) return;
+    const li = document.createElement('li');
+    li.textContent = message;
+    loadLog.appendChild(li);
+    loadLog.scrollTop = loadLog.scrollHeight;
+}
+
 function setLoadStep(step) {
     [loadStep1, loadStep2, loadStep3].forEach((el, i) => {
         el.classList.remove('active', 'done');
@@ -335,8 +885,6 @@ function isValidUrl(str) {
     } catch { return false; }
 }
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
 // Add shake keyframe dynamically
 const style = document.createElement('style');
 style.textContent = `
@@ -349,3 +897,13 @@ style.textContent = `
   }
 `;
 document.head.appendChild(style);
+
+// ── Opened from the bookmarklet: /?capture=…&url=…&currency=… ──
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.get('capture') || !params.get('url')) return;
+    productUrlInput.value = params.get('url');
+    if (params.get('currency')) currencySelect.value = params.get('currency');
+    history.replaceState(null, '', window.location.pathname);
+    startComparison({ capture: params.get('capture') });
+});
@@ -0,0 +1,132 @@
+/* ============================================================
+   PriceScope — Batch mode
+   ============================================================ */
+
+const API_BASE = ''; // Use relative path so it works on any domain (localhost or Render)
+const POLL_MS = 2000;
+
+let pollTimer = null;
+
+// ── DOM refs ──
+const batchUrlsInput = document.getElementById('batchUrls');
+const batchFileInput = document.getElementById('batchFile');
+const batchStartBtn = document.getElementById('batchStartBtn');
+const batchError = document.getElementById('batchError');
+const batchProgressSection = document.getElementById('batchProgressSection');
+const batchSummary = document.getElementById('batchSummary');
+const batchProgressFill = document.getElementById('batchProgressFill');
+const batchRows = document.getElementById('batchRows');
+const currencySelect = document.getElementById('currencySelect');
+
+currencySelect.value = localStorage.getItem('preferredCurrency') || 'INR';
+
+// ── Start a job from the textarea or the uploaded CSV ──
+async function startBatch() {
+    batchError.textContent = '';
+    const file = batchFileInput.files[0];
+    const currency = currencySelect.value;
+
+    let request;
+    if (file) {
+        request = {
+            headers: { 'Content-Type': 'text/csv' },
+            body: await file.text(),
+        };
+    } else {
+        const urls = batchUrlsInput.value.split('\n').map(u => u.trim()).filter(Boolean);
+        if (urls.length === 0) {
+            batchError.textContent = 'Paste at least one product URL or choose a CSV file.';
+            return;
+        }
+        request = {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ urls, currency }),
+        };
+    }
+
+    batchStartBtn.disabled = true;
+    try {
+        const res = await fetch(`${API_BASE}/compare/batch?currency=${currency}`, { method: 'POST', ...request });
+        const data = await res.json();
+        if (!res.ok) {
+            const detail = data.invalid ? ` — e.g. ${data.invalid.slice(0, 3).join(', ')}` : '';
+            throw new Error(`${data.error || 'Could not start batch'}${detail}`);
+        }
+        watchJob(data.id);
+    } catch (err) {
+        batchError.textContent = `⚠️ ${err.message}`;
+        batchStartBtn.disabled = false;
+    }
+}
+
+// ── Poll job status until every row is finished ──
+function watchJob(id) {
+    clearTimeout(pollTimer);
+    document.getElementById('downloadCsv').href = `${API_BASE}/jobs/${id}/report?format=csv`;
+    document.getElementById('downloadJson').href = `${API_BASE}/jobs/${id}/report?format=json`;
+    batchProgressSection.classList.remove('hidden');
+
+    const poll = async () => {
+        try {
+            const res = await fetch(`${API_BASE}/jobs/${id}`);
+            const job = await res.json();
+            if (!res.ok) throw new Error(job.error || 'Job not found');
+            renderJob(job);
+            if (job.status !== 'done') {
+                pollTimer = setTimeout(poll, POLL_MS);
+            } else {
+                batchStartBtn.disabled = false;
+            }
+        } catch (err) {
+            batchError.textContent = `⚠️ ${err.message}`;
+            batchStartBtn.disabled = false;
+        }
+    };
+    poll();
+}
+
+function renderJob(job) {
+    const finished = job.completed + job.failed;
+    batchSummary.textContent = `${finished} of ${job.total} done · ${job.failed} failed · ${job.running} running`;
+    batchProgressFill.style.width = `${Math.round((finished / job.total) * 100)}%`;
+
+    batchRows.innerHTML = '';
+    job.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = `batch-row batch-${row.status}`;
+
+        const indexCell = document.createElement('td');
+        indexCell.textContent = row.index + 1;
+        tr.appendChild(indexCell);
+
+        const nameCell = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = row.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = row.name || row.url;
+        nameCell.appendChild(link);
+        tr.appendChild(nameCell);
+
+        const statusCell = document.createElement('td');
+        statusCell.textContent = row.status === 'failed'
+            ? `❌ ${row.error}`
+            : { pending: '⏳ Queued', running: '🔄 Running', done: row.blocked ? '⛔ Blocked (searched by URL)' : '✅ Done' }[row.status];
+        tr.appendChild(statusCell);
+
+        const cheapestCell = document.createElement('td');
+        if (row.cheapest) {
+            const a = document.createElement('a');
+            a.href = row.cheapest.url;
+            a.target = '_blank';
+            a.rel = 'noopener noreferrer';
+            a.textContent = `${row.cheapest.priceText} · ${row.cheapest.websiteName}`;
+            cheapestCell.appendChild(a);
+        } else {
+            cheapestCell.textContent = row.status === 'done' ? 'No priced match' : '—';
+        }
+        tr.appendChild(cheapestCell);
+
+        batchRows.appendChild(tr);
+    });
+}
@@ -0,0 +1,94 @@
+/* ============================================================
+   PriceScope — Shared snapshots (/c/:id), permalinks & exports
+   ============================================================ */
+
+let activeSnapshot = null;
+
+const snapshotSection = document.getElementById('snapshotSection');
+const shareRow = document.getElementById('shareRow');
+const shareLink = document.getElementById('shareLink');
+const exportRow = document.getElementById('exportRow');
+
+// Called after a live comparison finishes; null hides the row
+function showShareLink(shareUrl) {
+    if (!shareUrl) {
+        shareRow.classList.add('hidden');
+        return;
+    }
+    shareLink.href = shareUrl;
+    shareLink.textContent = new URL(shareUrl, window.location.origin).href;
+    shareRow.classList.remove('hidden');
+}
+
+async function copyShareLink() {
+    try {
+        await navigator.clipboard.writeText(shareLink.textContent);
+        shareRow.dataset.copied = 'true';
+        setTimeout(() => { delete shareRow.dataset.copied; }, 1500);
+    } catch {
+        // Clipboard blocked (e.g. plain http) — the link is still there to copy by hand
+    }
+}
+
+// `basePath` is a snapshot's or saved comparison's export route; null hides the row
+function showExportLinks(basePath) {
+    if (!basePath) {
+        exportRow.classList.add('hidden');
+        return;
+    }
+    exportRow.querySelectorAll('.export-link').forEach(link => {
+        link.href = `${API_BASE}${basePath}?format=${link.dataset.format}`;
+    });
+    exportRow.classList.remove('hidden');
+}
+
+// ── Read-only view of a snapshot ──
+async function loadSnapshot(id) {
+    document.body.classList.add('read-only');
+    try {
+        const res = await fetch(`${API_BASE}/snapshots/${encodeURIComponent(id)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Snapshot not found');
+        activeSnapshot = data;
+    } catch (err) {
+        showError(`This shared comparison could not be loaded: ${err.message}`);
+        return;
+    }
+
+    showComparison(activeSnapshot.source, activeSnapshot.products, activeSnapshot.degraded);
+    showExportLinks(`/snapshots/${activeSnapshot.id}/export`);
+    document.getElementById('snapshotMeta').textContent = describeSnapshot(activeSnapshot);
+    show(snapshotSection);
+}
+
+// "Captured 12 Mar 2026, 10:04 · prices in INR · 1 USD = ₹83.12 (rates from 09:58)"
+function describeSnapshot(snapshot) {
+    const parts = [`Captured ${new Date(snapshot.capturedAt).toLocaleString()}`, `prices in ${snapshot.currency}`];
+    const rate = snapshot.exchangeRate;
+    if (rate && rate.rate && rate.from !== rate.to) {
+        const asOf = rate.fetchedAt ? ` (rates from ${new Date(rate.fetchedAt).toLocaleString()})` : '';
+        parts.push(`1 ${rate.from} = ${formatMoney(rate.rate, rate.to).replace(/\.00$/, '')}${asOf}`);
+    }
+    if (snapshot.fallback) parts.push('no live prices were found at the time');
+    if (snapshot.captured) parts.push('product details come from a page the sharer captured in their own browser');
+    return parts.join(' · ');
+}
+
+// Leaves the snapshot and runs the same URL (or typed-in search) through the live pipeline
+function rerunSnapshot() {
+    if (!activeSnapshot) return;
+    document.body.classList.remove('read-only');
+    hide(snapshotSection);
+    history.pushState(null, '', '/');
+    productUrlInput.value = activeSnapshot.url || activeSnapshot.source.input;
+    if ([...currencySelect.options].some(o => o.value === activeSnapshot.currency)) {
+        currencySelect.value = activeSnapshot.currency;
+    }
+    activeSnapshot = null;
+    startComparison();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const match = window.location.pathname.match(/^\/c\/([A-Za-z0-9]+)\/?$/);
+    if (match) loadSnapshot(match[1]);
+});
@@ -0,0 +1,138 @@
+/* ============================================================
+   PriceScope — Watchlist panel
+   ============================================================ */
+
+let watchSourceProduct = null;
+
+const watchlistSection = document.getElementById('watchlistSection');
+const watchlistItems = document.getElementById('watchlistItems');
+const watchTargetInput = document.getElementById('watchTarget');
+const watchChannelSelect = document.getElementById('watchChannel');
+const watchChannelTargetInput = document.getElementById('watchChannelTarget');
+const watchStatus = document.getElementById('watchStatus');
+const watchCurrencyLabel = document.getElementById('watchCurrency');
+
+watchChannelSelect.addEventListener('change', () => {
+    const needsTarget = watchChannelSelect.value !== 'log';
+    watchChannelTargetInput.classList.toggle('hidden', !needsTarget);
+    watchChannelTargetInput.placeholder = watchChannelSelect.value === 'email' ? 'you@example.com' : 'https://hooks.example.com/...';
+});
+
+// Called from renderSourceProduct so the form targets the product on screen
+function prepareWatchForm(product) {
+    watchSourceProduct = product;
+    watchStatus.textContent = '';
+    // Suggest 10% under the current price as a starting target, in the
+    // currency the product is shown in
+    watchCurrencyLabel.textContent = product.targetCurrency || 'INR';
+    watchTargetInput.value = product.price ? Math.round(product.price * 0.9) : '';
+}
+
+async function addToWatchlist() {
+    if (!watchSourceProduct) return;
+    if (!currentUser) {
+        watchStatus.textContent = 'Sign in to get price-drop alerts.';
+        return;
+    }
+
+    const currency = watchSourceProduct.targetCurrency || 'INR';
+    const targetPrice = Number(watchTargetInput.value);
+    if (!targetPrice || targetPrice <= 0) {
+        watchStatus.textContent = `Enter a target price in ${currency}.`;
+        return;
+    }
+
+    const channel = { type: watchChannelSelect.value };
+    if (channel.type !== 'log') channel.target = watchChannelTargetInput.value.trim();
+
+    const watchBtn = document.getElementById('watchBtn');
+    watchBtn.disabled = true;
+    try {
+        const res = await fetch(`${API_BASE}/watchlist`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: watchSourceProduct.url,
+                name: watchSourceProduct.name,
+                targetPrice,
+                currency,
+                channel,
+            }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Could not add to watchlist');
+        watchStatus.textContent = `✅ Watching — we'll alert you below ${formatMoney(targetPrice, currency)}.`;
+        loadWatchlist();
+    } catch (err) {
+        watchStatus.textContent = `⚠️ ${err.message}`;
+    } finally {
+        watchBtn.disabled = false;
+    }
+}
+
+// Watched items belong to the signed-in user; account.js loads them on sign-in
+async function loadWatchlist() {
+    if (!currentUser) return;
+    try {
+        const res = await fetch(`${API_BASE}/watchlist`);
+        if (!res.ok) return;
+        const data = await res.json();
+        renderWatchlist(data.items || []);
+    } catch {
+        // Watchlist is optional; stay hidden if the server can't be reached
+    }
+}
+
+function renderWatchlist(items) {
+    watchlistItems.innerHTML = '';
+    if (items.length === 0) {
+        watchlistSection.classList.add('hidden');
+        return;
+    }
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'watchlist-item';
+        if (item.belowTarget) li.classList.add('below-target');
+
+        const info = document.createElement('div');
+        info.className = 'watchlist-info';
+
+        const name = document.createElement('a');
+        name.className = 'watchlist-name';
+        name.href = item.url;
+        name.target = '_blank';
+        name.rel = 'noopener noreferrer';
+        name.textContent = item.name || item.url;
+        info.appendChild(name);
+
+        const meta = document.createElement('div');
+        meta.className = 'watchlist-meta';
+        const currency = item.currency || 'INR';
+        const current = item.lastPrice ? formatMoney(item.lastPrice, currency) : 'not checked yet';
+        const checked = item.lastCheckedAt ? ` · checked ${new Date(item.lastCheckedAt).toLocaleString()}` : '';
+        meta.textContent = `Target ${formatMoney(item.targetPrice, currency)} · now ${current} · via ${item.channel.type}${checked}`;
+        if (item.lastError) {
+            const err = document.createElement('span');
+            err.className = 'watchlist-error';
+            err.textContent = ` · ${item.lastError}`;
+            meta.appendChild(err);
+        }
+        info.appendChild(meta);
+        li.appendChild(info);
+
+        const remove = document.createElement('button');
+        remove.className = 'watchlist-remove';
+        remove.textContent = 'Remove';
+        remove.onclick = () => removeFromWatchlist(item.id);
+        li.appendChild(remove);
+
+        watchlistItems.appendChild(li);
+    });
+    watchlistSection.classList.remove('hidden');
+}
+
+async function removeFromWatchlist(id) {
+    await fetch(`${API_BASE}/watchlist/${id}`, { method: 'DELETE' });
+    loadWatchlist();
+}
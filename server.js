@@ -1,80 +1,176 @@
 require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const puppeteer = require('puppeteer');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { extractStructured, extractPageHints, identifiersFromUrl, normalizeAvailability, discountPercent } = require('./lib/extractors');
+const { extractProduct, describeBackend } = require('./lib/llm');
+const { Cache, createStore, normalizeQuery, cacheMiddleware } = require('./lib/cache');
+const { canonicalize, productKey, resolveCanonical } = require('./lib/canonical');
+const { PriceHistory, summarize } = require('./lib/history');
+const { WatchlistStore, WatchlistScheduler, validateWatchItem } = require('./lib/watchlist');
+const { searchAll, dedupeResults, enabledProviders } = require('./lib/providers');
+const serpapi = require('./lib/providers/serpapi');
+const { scoreMatch } = require('./lib/matching');
+const { loadRates, ratesMeta, getRate, convert, toINR, formatPrice, resolveCurrency, RATES_TTL_MS } = require('./lib/currency');
+const { BatchJobs, urlsFromCSV, jobStatus, jobReport, REPORT_COLUMNS } = require('./lib/jobs');
+const { toCSV } = require('./lib/csv');
+const { parsePrice, currencyForHost } = require('./lib/price');
+const { BrowserPool } = require('./lib/browser-pool');
+const { withFixture, mode: fixtureMode } = require('./lib/fixtures');
+const { BlockedDestinationError, assertPublicUrl, axiosGuard, isAllowedBrowserRequest } = require('./lib/url-guard');
+const { RateLimiter, rateLimit } = require('./lib/rate-limit');
+const { AccountStore, publicUser, validateRegistration, sessionMiddleware, requireUser, setSessionCookie, clearSessionCookie } = require('./lib/accounts');
+const { ComparisonStore, summarizeComparison, validateComparison } = require('./lib/comparisons');
+const { sendMail } = require('./lib/notifiers');
+const { SnapshotStore } = require('./lib/snapshots');
+const { logger, configureLogging, requestContext, currentRequestId, newRequestId, withRequestId } = require('./lib/logger');
+const { Registry } = require('./lib/metrics');
+const { onResilienceEvent, breakerStates } = require('./lib/resilience');
+const { captureBodyParser, captureToken, validateCapture } = require('./lib/capture');
+const { parseResultOptions, applyResultOptions } = require('./lib/results');
+const { resolveGtin, enabledResolvers } = require('./lib/gtin');
+const { detectInput } = require('./lib/input');
+const { BANKS, parseOffers, parseShipping, convertOffers, landedPrice, parseBanks } = require('./lib/offers');
+const { fromSnapshot, fromSavedComparison, comparisonCSV, comparisonJSON, comparisonReportHTML, exportFilename } = require('./lib/report');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-// Available confirmed models (in priority order)
-const GEMINI_MODELS = [
-  'gemini-2.0-flash',
-  'gemini-2.0-flash-001',
-  'gemini-2.5-flash',
-];
-
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
-
-// ── Currency: live exchange rate cache ──
-let exchangeRates = {};
-let ratesFetchedAt = 0;
+// ── Logging: LOG_FORMAT=json (default in production) or pretty ──
+configureLogging({ format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty') });
+
+// ── Metrics (GET /metrics) ──
+// Label values stay low-cardinality: outcomes, reasons, models, stages.
+const metrics = new Registry();
+const httpRequests = metrics.counter({ name: 'pricescope_http_requests_total', help: 'HTTP requests by route and status', labelNames: ['method', 'route', 'status'] });
+const httpDuration = metrics.histogram({ name: 'pricescope_http_request_duration_seconds', help: 'HTTP request latency (whole stream for SSE)', labelNames: ['route'] });
+const scrapeOutcomes = metrics.counter({ name: 'pricescope_scrapes_total', help: 'Scrapes by outcome (ok, blocked, refused, error) and blocked reason', labelNames: ['outcome', 'reason'] });
+const pageFetches = metrics.counter({ name: 'pricescope_page_fetches_total', help: 'Page fetch attempts by fetcher and outcome', labelNames: ['fetcher', 'outcome'] });
+const extractions = metrics.counter({ name: 'pricescope_extractions_total', help: 'Product data found, by extractor', labelNames: ['extractor'] });
+const llmRequests = metrics.counter({ name: 'pricescope_llm_requests_total', help: 'LLM extraction attempts per model (success, invalid reply, failure)', labelNames: ['backend', 'model', 'outcome'] });
+const gtinLookups = metrics.counter({ name: 'pricescope_gtin_lookups_total', help: 'Barcode lookups by resolver and outcome', labelNames: ['resolver', 'outcome'] });
+const providerRequests = metrics.counter({ name: 'pricescope_search_provider_requests_total', help: 'Search provider calls by outcome', labelNames: ['provider', 'outcome'] });
+const stageDuration = metrics.histogram({ name: 'pricescope_stage_duration_seconds', help: 'Time spent per pipeline stage', labelNames: ['stage'] });
+metrics.gauge({
+  name: 'pricescope_browser_pages',
+  help: 'Puppeteer tabs in use and requests waiting for one',
+  collect: () => {
+    const stats = browserPool.getStats();
+    return [{ labels: { state: 'active' }, value: stats.activePages }, { labels: { state: 'queued' }, value: stats.queued }];
+  },
+});
+metrics.gauge({ name: 'pricescope_browser_launches', help: 'Puppeteer browser launches since start', collect: () => browserPool.getStats().launches });
+metrics.gauge({ name: 'pricescope_exchange_rates_age_seconds', help: 'Age of the exchange-rate table (-1 before the first load)', collect: () => ratesMeta().ageSeconds ?? -1 });
+const dependencyEvents = metrics.counter({ name: 'pricescope_dependency_events_total', help: 'Retries, failures, quota errors and breaker trips per outside service', labelNames: ['dependency', 'event'] });
+onResilienceEvent(e => dependencyEvents.inc({ dependency: e.dependency, event: e.type }));
+metrics.gauge({
+  name: 'pricescope_circuit_open',
+  help: 'Circuit breakers currently open (1) or closed (0), per dependency key',
+  collect: () => Object.entries(breakerStates()).map(([key, b]) => ({ labels: { breaker: key }, value: b.state === 'closed' ? 0 : 1 })),
+});
 
-async function getINRRate(fromCurrency = 'USD') {
-  const now = Date.now();
-  // Refresh rates every 30 minutes
-  if (now - ratesFetchedAt > 30 * 60 * 1000 || !exchangeRates[fromCurrency]) {
-    try {
-      const res = await axios.get(
-        `https://api.exchangerate-api.com/v4/latest/INR`,
-        { timeout: 5000 }
-      );
-      // rates are relative to INR, so we invert
-      const rates = res.data.rates;
-      exchangeRates = rates;
-      ratesFetchedAt = now;
-    } catch {
-      // fallback approximate rates
-      exchangeRates = { USD: 0.012, EUR: 0.011, GBP: 0.0095, JPY: 1.8, INR: 1 };
-    }
+// Progress events already describe every pipeline step, so they double as
+// the source for the fetch, LLM and provider counters
+function observeEvent(e) {
+  switch (e.stage) {
+    case 'fetched': pageFetches.inc({ fetcher: e.fetcher, outcome: 'ok' }); break;
+    case 'fetch-fallback': pageFetches.inc({ fetcher: 'puppeteer', outcome: 'failed' }); break;
+    case 'fetch-failed': pageFetches.inc({ fetcher: 'axios', outcome: 'failed' }); break;
+    case 'llm-repair': llmRequests.inc({ backend: e.backend, model: e.model, outcome: 'invalid' }); break;
+    case 'llm-failed': llmRequests.inc({ backend: e.backend, model: e.model, outcome: 'failure' }); break;
+    case 'extracted':
+      extractions.inc({ extractor: e.extractor });
+      if (e.model) llmRequests.inc({ backend: e.extractor, model: e.model, outcome: 'success' });
+      break;
+    case 'provider': providerRequests.inc({ provider: e.provider, outcome: 'ok' }); break;
+    case 'provider-failed': providerRequests.inc({ provider: e.provider, outcome: 'failed' }); break;
+    case 'lookup-found': gtinLookups.inc({ resolver: e.resolver, outcome: 'found' }); break;
+    case 'lookup-missed': gtinLookups.inc({ resolver: 'none', outcome: 'missed' }); break;
   }
-  const upper = fromCurrency.toUpperCase();
-  // exchangeRates[X] = how many X per 1 INR → to convert X to INR: divide by rate
-  if (upper === 'INR') return 1;
-  const rate = exchangeRates[upper];
-  return rate ? (1 / rate) : 83; // default USD→INR fallback
 }
 
-async function toINR(amount, currency = 'USD') {
-  if (!amount || isNaN(amount)) return null;
-  const rate = await getINRRate(currency);
-  return Math.round(amount * rate);
+function observed(onEvent) {
+  return (e) => {
+    observeEvent(e);
+    onEvent(e);
+  };
 }
 
-// ── Helper: detect currency from price string ──
-function detectCurrency(priceStr) {
-  if (!priceStr) return 'USD';
-  if (priceStr.includes('₹') || priceStr.toLowerCase().includes('inr')) return 'INR';
-  if (priceStr.includes('€')) return 'EUR';
-  if (priceStr.includes('£')) return 'GBP';
-  if (priceStr.includes('¥')) return 'JPY';
-  return 'USD';
+// Behind a proxy (Render, Railway, nginx) set TRUST_PROXY to the number of
+// hops so rate limits see the client's IP rather than the proxy's
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+app.use(requestContext());
+app.use((req, res, next) => {
+  const endTimer = httpDuration.startTimer();
+  res.on('finish', () => {
+    // Unmatched requests are static files or 404s; never label by raw path
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : (res.statusCode === 404 ? 'unmatched' : 'static');
+    const seconds = endTimer({ route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    if (logger.isJSON) {
+      logger.info('request', { method: req.method, path: req.path, route, status: res.statusCode, durationMs: Math.round(seconds * 1000) });
+    }
+  });
+  next();
+});
+app.use(cors());
+// Captured pages are far bigger than API bodies, so /scrape/html has its own
+// limit (CAPTURE_MAX_MB) and parses its own body
+app.use('/scrape/html', captureBodyParser({ limit: `${parseFloat(process.env.CAPTURE_MAX_MB) || 8}mb` }));
+app.use(express.json());
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }));
+app.use(express.static('public'));
+
+// ── Accounts: the session cookie sets req.user on every request ──
+const accounts = new AccountStore(process.env.ACCOUNTS_FILE || 'data/accounts.json');
+app.use(sessionMiddleware(accounts));
+
+// ── Response cache for /scrape and /search ──
+// CACHE_STORE=memory (default) or file; TTLs are in minutes.
+const responseCache = new Cache(createStore(process.env.CACHE_STORE || 'memory', {
+  file: process.env.CACHE_FILE,
+}));
+const SCRAPE_CACHE_TTL = (parseFloat(process.env.SCRAPE_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+const SEARCH_CACHE_TTL = (parseFloat(process.env.SEARCH_CACHE_TTL_MINUTES) || 30) * 60 * 1000;
+
+// Keyed by the product rather than the pasted URL, so a short link, the
+// mobile page and a tracking-laden link all share one entry
+async function scrapeCacheKey(url, currency) {
+  const { url: canonicalUrl, productId } = await resolveCanonical(url);
+  return `${productId || canonicalUrl}|${String(currency || 'INR').toUpperCase()}`;
 }
 
-// ── Helper: extract numeric price from string ──
-function parseNumericPrice(str) {
-  if (!str) return null;
-  const cleaned = str.replace(/[^\d.,]/g, '').replace(/,/g, '');
-  const num = parseFloat(cleaned);
-  return isNaN(num) ? null : num;
+// Match scores depend on the source price, so it is part of the key
+// (along with the currency that price is expressed in, and the source
+// listing that is left out of the results)
+function searchCacheKey(productName, source, currency) {
+  return `${normalizeQuery(productName)}|${source?.price || ''}|${source?.productId || ''}|${String(currency || 'INR').toUpperCase()}`;
 }
 
+// ── Rate limits for /scrape and /search (per IP, or per API key) ──
+// Limits are requests per RATE_LIMIT_WINDOW_SECONDS; API keys get
+// API_KEY_RATE_MULTIPLIER times the per-IP allowance.
+const rateLimiter = new RateLimiter({ windowMs: (parseFloat(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000 });
+const KEY_MULTIPLIER = parseFloat(process.env.API_KEY_RATE_MULTIPLIER) || 5;
+const SCRAPE_PER_IP = parseInt(process.env.RATE_LIMIT_SCRAPE, 10) || 10;
+const SEARCH_PER_IP = parseInt(process.env.RATE_LIMIT_SEARCH, 10) || 30;
+const scrapeLimit = { bucket: 'scrape', perIp: SCRAPE_PER_IP, perKey: Math.round(SCRAPE_PER_IP * KEY_MULTIPLIER) };
+const searchLimit = { bucket: 'search', perIp: SEARCH_PER_IP, perKey: Math.round(SEARCH_PER_IP * KEY_MULTIPLIER) };
+// Password guessing and magic-link spam share one small allowance
+const LOGIN_PER_IP = parseInt(process.env.RATE_LIMIT_LOGIN, 10) || 10;
+const loginLimit = { bucket: 'login', perIp: LOGIN_PER_IP, perKey: LOGIN_PER_IP };
+
+// ── Price history (every INR price we observe) ──
+const priceHistory = new PriceHistory(process.env.HISTORY_FILE || 'data/history.jsonl', { keyOf: productKey });
+
 // ── Helper: get website name from URL ──
 function getWebsiteName(url) {
+  const { retailer } = canonicalize(url);
+  if (retailer) return retailer;
   try {
     const hostname = new URL(url).hostname.replace('www.', '');
     const parts = hostname.split('.');
@@ -143,24 +239,40 @@ const BROWSER_HEADERS = {
   'DNT': '1',
 };
 
-// ── Puppeteer: fetch rendered HTML (local only) ──
-async function fetchRenderedHTML(url) {
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--window-size=1280,800',
-        '--disable-blink-features=AutomationControlled',
-      ],
-    });
+// ── Puppeteer: one shared browser, at most BROWSER_MAX_PAGES tabs at a time ──
+const browserPool = new BrowserPool({
+  puppeteer,
+  launchOptions: {
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--window-size=1280,800',
+      '--disable-blink-features=AutomationControlled',
+    ],
+  },
+  maxPages: Number(process.env.BROWSER_MAX_PAGES) || 2,
+  recycleAfter: Number(process.env.BROWSER_RECYCLE_AFTER) || 100,
+  idleMs: (Number(process.env.BROWSER_IDLE_MINUTES) || 5) * 60 * 1000,
+});
 
-    const page = await browser.newPage();
+// What to wait for once the network settles, per site. Amazon and Flipkart
+// fill in prices with JS; anything else is ready after networkidle2.
+const SITE_WAIT_RULES = [
+  { host: /(^|\.)amazon\./, selector: '#corePrice_feature_div .a-offscreen, #priceblock_ourprice, #priceblock_dealprice, .a-price .a-offscreen', timeout: 5000 },
+  { host: /(^|\.)flipkart\.com$/, selector: 'div.Nx9bqj, div._30jeq3, h1 span', timeout: 5000 },
+];
 
+function waitRuleFor(url) {
+  const host = new URL(url).hostname;
+  return SITE_WAIT_RULES.find(rule => rule.host.test(host)) || null;
+}
+
+// ── Puppeteer: fetch rendered HTML (local only) ──
+async function fetchRenderedHTML(url) {
+  return withFixture('html', url, () => browserPool.withPage(async (page) => {
     // Spoof a real modern browser more aggressively
     await page.setUserAgent(BROWSER_HEADERS['User-Agent']);
     await page.setExtraHTTPHeaders({
@@ -183,47 +295,54 @@ async function fetchRenderedHTML(url) {
       Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3] });
     });
 
-    // Only block media/fonts — allow stylesheets so price elements load
+    // Only block media/fonts — allow stylesheets so price elements load.
+    // Every other request (redirected navigations included) must pass the
+    // destination guard.
     await page.setRequestInterception(true);
-    page.on('request', (req) => {
+    page.on('request', async (req) => {
       const type = req.resourceType();
-      if (['image', 'font', 'media'].includes(type)) {
-        req.abort();
-      } else {
-        req.continue();
-      }
+      if (['image', 'font', 'media'].includes(type)) return req.abort();
+      if (await isAllowedBrowserRequest(req.url(), req.isNavigationRequest())) return req.continue();
+      console.warn(`🛡️  Blocked browser request to ${req.url()}`);
+      req.abort('blockedbyclient');
     });
 
     // Navigate and wait for network to settle
     await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
 
-    // Extra wait for dynamic price elements (Amazon loads prices via JS)
-    await new Promise(r => setTimeout(r, 3000));
+    // Wait for the site's price element rather than a fixed sleep; a page
+    // without it (blocked, out of stock) is still returned as-is
+    const rule = waitRuleFor(url);
+    if (rule) {
+      try {
+        await page.waitForSelector(rule.selector, { timeout: rule.timeout });
+      } catch {
+        console.warn(`⚠️  Wait rule for ${new URL(url).hostname} timed out after ${rule.timeout}ms`);
+      }
+    }
 
     // Try to dismiss cookie/location popups
     try { await page.click('#sp-cc-accept', { timeout: 1000 }); } catch { }
     try { await page.click('.a-button-input[aria-labelledby="a-autoid-0-announce"]', { timeout: 1000 }); } catch { }
 
-    const html = await page.content();
-    return html;
-  } finally {
-    if (browser) await browser.close();
-  }
+    return page.content();
+  }));
 }
 
 // ── Axios: fetch HTML with browser-like headers ──
 async function fetchWithAxios(url) {
-  const response = await axios.get(url, {
-    headers: BROWSER_HEADERS,
-    timeout: 20000,
-    maxRedirects: 5,
-    validateStatus: (status) => status < 400,
+  return withFixture('html', url, async () => {
+    const response = await axios.get(url, {
+      headers: BROWSER_HEADERS,
+      timeout: 20000,
+      maxRedirects: 5,
+      validateStatus: (status) => status < 400,
+      ...axiosGuard,
+    });
+    return response.data;
   });
-  return response.data;
 }
 
-
-
 // ── Cleaner: strip junk from HTML ──
 function cleanHTML(html) {
   // Remove script, style, nav, footer, header, aside, ads
@@ -245,117 +364,211 @@ function cleanHTML(html) {
     .replace(/\s{2,}/g, ' ')          // collapse whitespace
     .trim();
 
-  // Truncate to ~8000 chars to stay within Gemini token limits
+  // Truncate to ~8000 chars to stay within LLM context limits
   return cleaned.slice(0, 8000);
 }
 
-// ── Gemini AI: extract product data ──
-async function extractWithGemini(cleanedText, url) {
-  let lastError;
-  for (const modelName of GEMINI_MODELS) {
-    try {
-      const model = genAI.getGenerativeModel({ model: modelName });
-
-      const prompt = `You are a product data extractor for an e-commerce price comparison tool.
-From the text below (scraped from ${url}), extract the following:
-1. Product name - the main product title being sold
-2. Current selling price - the actual price with currency symbol (look for ₹, $, etc.)
-3. Three short feature/description bullet points about the product
-
-IMPORTANT:
-- For Amazon India pages, the price is usually shown as ₹X,XXX or ₹X,XX,XXX
-- Look for words like "price", "deal price", "M.R.P", "offer price"
-- Description points should be factual product features (RAM, storage, camera, etc.)
-- If you see multiple prices, pick the lowest current selling price
-
-Respond ONLY with valid JSON, no markdown, no explanation:
-{
-  "name": "full product name here",
-  "priceText": "price with currency symbol e.g. ₹24,999",
-  "currency": "INR",
-  "description": ["feature 1", "feature 2", "feature 3"],
-  "image": ""
+// ── Currency parameter shared by /scrape and /search ──
+// Resolves req.body.currency (default INR); null means it isn't supported.
+async function requestedCurrency(req) {
+  return resolveCurrency(req.body.currency || 'INR');
 }
 
-Text to analyze:
-${cleanedText}`;
+// ── Degraded data ──
+// Responses list what they had to make do without as `degraded`:
+// [{ dependency, message }], empty when everything was live
+function ratesDegradation() {
+  const rates = ratesMeta();
+  if (rates.fallback) {
+    return [{ dependency: 'exchange-rates', message: 'Live exchange rates were unavailable; prices use approximate fallback rates' }];
+  }
+  if (rates.stale) {
+    return [{ dependency: 'exchange-rates', message: `Live exchange rates were unavailable; prices use rates from ${Math.round(rates.ageSeconds / 60)} min ago` }];
+  }
+  return [];
+}
 
-      const result = await model.generateContent(prompt);
-      const text = result.response.text();
-      console.log(`✅ Gemini model ${modelName} responded`);
+// The rate used for a conversion plus how old the rate table is
+async function exchangeRateInfo(from, to) {
+  return { from, to, rate: await getRate(from, to), ...ratesMeta() };
+}
 
-      // Extract JSON - handle markdown code blocks too
-      const jsonMatch = text.match(/```json\s*([\s\S]*?)```/) || text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) throw new Error('No JSON in response');
-      const jsonStr = jsonMatch[1] || jsonMatch[0];
-      return JSON.parse(jsonStr);
-    } catch (err) {
-      console.warn(`⚠️  Model ${modelName} failed:`, err.message);
-      lastError = err;
-    }
-  }
-  throw new Error(`All Gemini models failed. Last error: ${lastError?.message}`);
+// A parsed "₹1,299 – ₹1,499" range in the target currency; null for single prices
+async function convertRange(parsed, targetCurrency) {
+  if (!parsed?.isRange) return null;
+  return {
+    min: await convert(parsed.min, parsed.currency, targetCurrency),
+    max: await convert(parsed.max, parsed.currency, targetCurrency),
+  };
 }
 
-// ── POST /scrape ──
-app.post('/scrape', async (req, res) => {
-  const { url } = req.body;
-  if (!url) return res.status(400).json({ error: 'URL is required' });
+// Shipping cost, delivery date and parsed offers in the target currency,
+// from the delivery line and offer lines the page or listing showed
+async function deliveryAndOffers({ delivery, offers }, currency, targetCurrency) {
+  const { shipping, deliveryEstimate } = parseShipping(delivery);
+  const converted = shipping === 0 ? 0 : await convert(shipping, currency, targetCurrency);
+  return {
+    shipping: converted,
+    shippingText: converted === null ? null : (converted === 0 ? 'Free' : formatPrice(converted, targetCurrency)),
+    deliveryEstimate,
+    offers: convertOffers(parseOffers(offers), await getRate(currency, targetCurrency) ?? 1),
+  };
+}
 
-  const websiteName = getWebsiteName(url);
+// Adds effectivePrice and its breakdown for the buyer's banks. Not cached:
+// the same listing lands at a different price for a different wallet.
+function withLandedPrice(product, banks, currency) {
+  const landed = landedPrice(product, { banks });
+  return {
+    ...product,
+    effectivePrice: landed?.effectivePrice ?? null,
+    effectivePriceText: landed ? formatPrice(landed.effectivePrice, currency) : null,
+    priceBreakdown: landed?.breakdown || [],
+    excludedOffers: landed?.excluded || [],
+  };
+}
+
+// `banks` from the JSON body or the query string ("hdfc,icici")
+function requestedBanks(req) {
+  return parseBanks(req.body?.banks ?? req.query.banks);
+}
+
+// ── Scrape pipeline: fetch → extract → convert ──
+// Shared by /scrape, /scrape/html, the compare stream, batch jobs and the
+// watchlist scheduler. Resolves to the /scrape response body with prices in
+// `targetCurrency`; a blocked page resolves with `blocked: true` rather than
+// throwing. Only unexpected errors reject. `onEvent` receives progress events.
+// `html` is a page the user's own browser captured; it replaces the fetch.
+async function scrapeProduct(url, { targetCurrency = 'INR', onEvent = () => {}, html } = {}) {
+  const endTimer = stageDuration.startTimer({ stage: 'scrape' });
+  let outcome = 'error';
+  let reason = '';
+  try {
+    const result = await runScrapePipeline(url, { targetCurrency, onEvent: observed(onEvent), capturedHtml: html });
+    outcome = result.blocked ? 'blocked' : 'ok';
+    reason = result.blockReason || '';
+    return result;
+  } catch (err) {
+    if (err instanceof BlockedDestinationError) outcome = 'refused';
+    throw err;
+  } finally {
+    scrapeOutcomes.inc({ outcome, reason });
+    const seconds = endTimer();
+    logger.info(`🏁 Scrape ${outcome}${reason ? ` (${reason})` : ''} in ${seconds.toFixed(2)}s`, {
+      event: 'scrape', url, outcome, reason: reason || null, durationMs: Math.round(seconds * 1000),
+    });
+  }
+}
+
+async function runScrapePipeline(url, { targetCurrency, onEvent, capturedHtml }) {
+  // Short links are followed and tracking noise dropped before anything is
+  // fetched; `url` stays what the user pasted. A captured page is never
+  // fetched, so its URL is only tidied.
+  const endResolve = stageDuration.startTimer({ stage: 'resolve' });
+  const canonical = capturedHtml ? canonicalize(url) : await resolveCanonical(url);
+  endResolve();
+  const pageUrl = canonical.url;
+  if (!capturedHtml) await assertPublicUrl(pageUrl);
+  const websiteName = getWebsiteName(pageUrl);
+  if (canonical.resolvedFrom) onEvent({ stage: 'resolved', url: pageUrl, message: `🔗 Short link leads to ${websiteName}` });
 
   // ── Helper: build a blocked-site response from URL slug ──
-  function blockedResponse(reason) {
-    const slugName = extractProductNameFromUrl(url);
-    console.warn(`⛔ Blocked/failed (${reason}). Slug extracted: "${slugName}"`);
-    return res.json({
+  function blockedResponse(reason, degraded = []) {
+    const slugName = extractProductNameFromUrl(pageUrl);
+    logger.warn(`⛔ Blocked/failed (${reason}). Slug extracted: "${slugName}"`, { event: 'blocked', url: pageUrl, retailer: websiteName, reason });
+    onEvent({ stage: 'blocked', reason, message: `⛔ ${websiteName} blocked us (${reason}) — searching by the URL instead` });
+    return {
       blocked: true,
       name: slugName || 'Product',
       searchQuery: slugName,
       price: null,
       priceText: null,
+      mrp: null,
+      mrpText: null,
+      discountPercent: null,
+      availability: null,
+      seller: null,
+      rating: null,
+      reviewCount: null,
+      identifiers: { ...identifiersFromUrl(pageUrl), gtin: null, brand: null, modelNumber: null },
+      shipping: null,
+      shippingText: null,
+      deliveryEstimate: null,
+      offers: [],
       description: [],
       image: '',
       url,
+      canonicalUrl: pageUrl,
+      productId: canonical.productId,
       websiteName,
       blockerMessage: `⛔ ${websiteName} has blocked access to this page. We've extracted the product name from the URL and will search for similar products.`,
-    });
+      blockReason: reason,
+      degraded,
+    };
   }
 
-  try {
-    console.log(`\n🌐 Fetching: ${url} [${IS_CLOUD ? 'CLOUD/Axios' : 'LOCAL/Puppeteer'}]`);
+  // Step 1: Fetch HTML — use Puppeteer locally, Axios on cloud
+  const endFetch = stageDuration.startTimer({ stage: 'fetch' });
+  let html = capturedHtml;
+  let fetchFailed = false;
 
-    // Step 1: Fetch HTML — use Puppeteer locally, Axios on cloud
-    let html;
-    let fetchFailed = false;
+  if (html) {
+    logger.info(`\n📥 Captured page: ${pageUrl} (${html.length} chars)`, { event: 'fetched', fetcher: 'capture', url: pageUrl, retailer: websiteName, chars: html.length });
+    onEvent({ stage: 'fetched', fetcher: 'capture', chars: html.length, message: `📥 Using the ${websiteName} page your browser captured (${html.length.toLocaleString()} chars)` });
+  } else {
+    logger.info(`\n🌐 Fetching: ${pageUrl} [${IS_CLOUD ? 'CLOUD/Axios' : 'LOCAL/Puppeteer'}]`, { event: 'fetch', url: pageUrl, retailer: websiteName });
+  }
 
-    if (!IS_CLOUD) {
-      // LOCAL: Try Puppeteer first for JS-rendered pages
-      try {
-        html = await fetchRenderedHTML(url);
-        console.log(`✅ Puppeteer fetched ${html.length} chars`);
-      } catch (puppeteerErr) {
-        console.warn('⚠️  Puppeteer failed, trying axios:', puppeteerErr.message);
-      }
+  if (!html && !IS_CLOUD) {
+    // LOCAL: Try Puppeteer first for JS-rendered pages
+    onEvent({ stage: 'fetch', fetcher: 'puppeteer', message: `🌐 Rendering ${websiteName} page with Puppeteer...` });
+    try {
+      html = await fetchRenderedHTML(pageUrl);
+      logger.info(`✅ Puppeteer fetched ${html.length} chars`, { event: 'fetched', fetcher: 'puppeteer', chars: html.length });
+      onEvent({ stage: 'fetched', fetcher: 'puppeteer', chars: html.length, message: `✅ Page rendered (${html.length.toLocaleString()} chars)` });
+    } catch (puppeteerErr) {
+      logger.warn(`⚠️  Puppeteer failed, trying axios: ${puppeteerErr.message}`, { event: 'fetch_failed', fetcher: 'puppeteer', error: puppeteerErr.message });
+      onEvent({ stage: 'fetch-fallback', fetcher: 'axios', error: puppeteerErr.message, message: `⚠️ Puppeteer failed (${puppeteerErr.message}) — falling back to a plain HTTP fetch` });
     }
+  }
 
-    // CLOUD or Puppeteer failed: use Axios with browser headers
-    if (!html) {
-      try {
-        html = await fetchWithAxios(url);
-        console.log(`✅ Axios fetched ${html?.length} chars`);
-      } catch (axiosErr) {
-        console.warn('⚠️  Axios also failed:', axiosErr.message);
-        fetchFailed = true;
-      }
+  // CLOUD or Puppeteer failed: use Axios with browser headers
+  if (!html) {
+    if (IS_CLOUD) onEvent({ stage: 'fetch', fetcher: 'axios', message: `🌐 Fetching ${websiteName} page...` });
+    try {
+      html = await fetchWithAxios(pageUrl);
+      logger.info(`✅ Axios fetched ${html?.length} chars`, { event: 'fetched', fetcher: 'axios', chars: html?.length || 0 });
+      onEvent({ stage: 'fetched', fetcher: 'axios', chars: html?.length || 0, message: `✅ Page fetched (${(html?.length || 0).toLocaleString()} chars)` });
+    } catch (axiosErr) {
+      // A redirect into a private network is refused, not a blocked site
+      const guardErr = [axiosErr, axiosErr.cause].find(e => e instanceof BlockedDestinationError);
+      if (guardErr) throw guardErr;
+      logger.warn(`⚠️  Axios also failed: ${axiosErr.message}`, { event: 'fetch_failed', fetcher: 'axios', error: axiosErr.message });
+      onEvent({ stage: 'fetch-failed', error: axiosErr.message, message: `⚠️ HTTP fetch failed too: ${axiosErr.message}` });
+      fetchFailed = true;
     }
+  }
 
-    // If both fetchers failed — site is blocking us
-    if (fetchFailed || !html || html.length < 500) {
-      return blockedResponse('fetch failed or empty HTML');
-    }
+  endFetch();
+
+  // If both fetchers failed — site is blocking us
+  if (fetchFailed || !html || html.length < 500) {
+    return blockedResponse('fetch failed or empty HTML');
+  }
 
-    // Step 2: Clean HTML
+  // Step 2: Structured data (JSON-LD, microdata, OpenGraph, site rules)
+  let extracted;
+  let extractor;
+  const hints = extractPageHints(html, pageUrl);
+  const structured = extractStructured(html, pageUrl);
+  if (structured) {
+    extracted = structured.product;
+    extractor = structured.extractor;
+    if (!extracted.image) extracted.image = hints.image;
+    console.log(`🧩 ${extractor} extracted:`, extracted.name, extracted.priceText);
+    onEvent({ stage: 'extracted', extractor, message: `🧩 Found product data in the page's ${extractor} markup` });
+  } else {
+    // Step 3: Clean HTML
     const cleanedText = cleanHTML(html);
     console.log(`🧹 Cleaned to ${cleanedText.length} chars`);
 
@@ -364,50 +577,138 @@ app.post('/scrape', async (req, res) => {
       return blockedResponse('bot-check / CAPTCHA detected');
     }
 
-    // Step 3: Gemini AI extraction
-    console.log(`🤖 Sending to Gemini AI...`);
-    let extracted;
+    // Step 4: LLM extraction (validated against the product schema)
+    console.log(`🤖 Sending to LLM backend...`);
+    const endLLM = stageDuration.startTimer({ stage: 'llm' });
     try {
-      extracted = await extractWithGemini(cleanedText, url);
-      console.log(`✨ Gemini extracted:`, extracted.name, extracted.priceText);
-    } catch (geminiErr) {
-      console.warn('⚠️  Gemini failed:', geminiErr.message);
-      return blockedResponse('AI extraction failed');
+      const result = await extractProduct(cleanedText, pageUrl, onEvent);
+      const { gtin, brand, modelNumber, ...fields } = result.product;
+      extracted = {
+        ...fields,
+        discountPercent: discountPercent(fields.price, fields.mrp),
+        identifiers: { ...hints.identifiers, gtin, brand, modelNumber },
+        // The LLM only saw stripped text, so the page's own image is better
+        image: hints.image || fields.image,
+      };
+      extractor = result.backend;
+      console.log(`✨ ${result.backend}/${result.model} extracted:`, extracted.name, extracted.priceText);
+      onEvent({ stage: 'extracted', extractor, model: result.model, message: `✨ AI extracted "${extracted.name}"` });
+    } catch (llmErr) {
+      console.warn('⚠️  LLM extraction failed:', llmErr.message);
+      return blockedResponse('AI extraction failed', [
+        { dependency: 'llm', message: 'AI extraction was unavailable, so the product name was read from the URL' },
+      ]);
+    } finally {
+      endLLM();
     }
+  }
 
-    // If Gemini couldn’t find the product name — treat as blocked
-    const isUnknown = !extracted.name ||
-      extracted.name.toLowerCase().includes('unknown') ||
-      extracted.name.trim().length < 3;
+  // If the extractor couldn’t find the product name — treat as blocked
+  const isUnknown = !extracted.name ||
+    extracted.name.toLowerCase().includes('unknown') ||
+    extracted.name.trim().length < 3;
 
-    if (isUnknown) {
-      return blockedResponse('product name not found in page content');
-    }
+  if (isUnknown) {
+    return blockedResponse('product name not found in page content');
+  }
 
-    // Step 4: Convert price to INR
-    const numericPrice = parseNumericPrice(extracted.priceText);
-    const currency = extracted.currency || detectCurrency(extracted.priceText);
-    const priceINR = await toINR(numericPrice, currency);
-
-    res.json({
-      blocked: false,
-      name: extracted.name,
-      searchQuery: extracted.name,
-      price: priceINR,
-      priceText: priceINR ? `₹${priceINR.toLocaleString('en-IN')}` : extracted.priceText,
-      originalPrice: extracted.priceText,
-      currency,
-      description: (extracted.description || []).slice(0, 3),
-      image: extracted.image || '',
-      url,
-      websiteName,
-    });
+  // Step 5: Convert price to the target currency (history is always kept in INR).
+  // A bare "$" or a missing symbol is read in the store's own currency.
+  const endConvert = stageDuration.startTimer({ stage: 'convert' });
+  const priceOptions = { currency: extracted.currency, fallbackCurrency: currencyForHost(pageUrl) || 'USD' };
+  const parsedPrice = parsePrice(extracted.priceText, priceOptions) || parsePrice(extracted.price, priceOptions);
+  const numericPrice = typeof extracted.price === 'number' ? extracted.price : parsedPrice?.amount ?? null;
+  const currency = parsedPrice?.currency || priceOptions.fallbackCurrency;
+  const priceINR = await toINR(numericPrice, currency);
+  const price = await convert(numericPrice, currency, targetCurrency);
+  const mrp = await convert(extracted.mrp, currency, targetCurrency);
+  endConvert();
+  onEvent({
+    stage: 'converted',
+    from: currency,
+    to: targetCurrency,
+    message: currency === targetCurrency
+      ? `💱 Price is already in ${targetCurrency}: ${formatPrice(price, targetCurrency) || extracted.priceText}`
+      : `💱 Converted ${extracted.priceText} → ${formatPrice(price, targetCurrency)}`,
+  });
+
+  // Captured pages come from the client, so they stay out of the shared history
+  if (!capturedHtml) priceHistory.record({
+    productKey: canonical.productId || pageUrl,
+    productName: extracted.name,
+    url: pageUrl,
+    retailer: websiteName,
+    price: priceINR,
+    originalPrice: extracted.priceText,
+    currency,
+  });
 
+  return {
+    blocked: false,
+    name: extracted.name,
+    searchQuery: extracted.name,
+    price,
+    priceText: price ? formatPrice(price, targetCurrency) : extracted.priceText,
+    priceINR,
+    originalPrice: extracted.priceText,
+    currency,
+    targetCurrency,
+    exchangeRate: await exchangeRateInfo(currency, targetCurrency),
+    priceConfidence: parsedPrice?.confidence ?? null,
+    priceRange: await convertRange(parsedPrice, targetCurrency),
+    mrp,
+    mrpText: mrp ? formatPrice(mrp, targetCurrency) : null,
+    discountPercent: extracted.discountPercent ?? null,
+    availability: extracted.availability || null,
+    seller: extracted.seller || null,
+    rating: extracted.rating ?? null,
+    reviewCount: extracted.reviewCount ?? null,
+    identifiers: extracted.identifiers,
+    ...await deliveryAndOffers({
+      delivery: extracted.delivery || hints.delivery,
+      offers: [...(extracted.offers || []), ...hints.offers],
+    }, currency, targetCurrency),
+    description: (extracted.description || []).slice(0, 3),
+    image: extracted.image || '',
+    url,
+    canonicalUrl: pageUrl,
+    productId: canonical.productId,
+    websiteName,
+    extractor,
+    degraded: currency === targetCurrency ? [] : ratesDegradation(),
+  };
+}
+
+// ── POST /scrape ──
+// Blocked and degraded responses are not cached so the next attempt can try
+// the site (or the service that was down) again
+const scrapeCache = cacheMiddleware(responseCache, {
+  namespace: 'scrape',
+  ttlMs: SCRAPE_CACHE_TTL,
+  key: async (req) => req.body.url && scrapeCacheKey(req.body.url, req.body.currency),
+  shouldCache: (body) => !body.blocked && !body.degraded?.length,
+  present: (body, req) => withLandedPrice(body, requestedBanks(req), body.targetCurrency),
+});
+
+app.post('/scrape', rateLimit(rateLimiter, scrapeLimit), scrapeCache, async (req, res) => {
+  const { url } = req.body;
+  if (!url) return res.status(400).json({ error: 'URL is required' });
+
+  const targetCurrency = await requestedCurrency(req);
+  if (!targetCurrency) return res.status(400).json({ error: `Unsupported currency: ${req.body.currency}` });
+
+  try {
+    res.json(await scrapeProduct(url, { targetCurrency }));
   } catch (err) {
+    if (err instanceof BlockedDestinationError) {
+      console.warn(`🛡️  ${err.message}`);
+      return res.status(400).json({ error: `This URL can't be fetched: ${err.reason}` });
+    }
     console.error('❌ Scrape error:', err.message);
     // Even on unexpected errors, try slug fallback gracefully
     const slugName = extractProductNameFromUrl(url);
     if (slugName) {
+      const websiteName = getWebsiteName(url);
       return res.json({
         blocked: true,
         name: slugName,
@@ -425,61 +726,170 @@ app.post('/scrape', async (req, res) => {
   }
 });
 
-// ── POST /search ──
-app.post('/search', async (req, res) => {
-  const { productName } = req.body;
-  if (!productName) return res.status(400).json({ error: 'Product name is required' });
+// ── POST /scrape/html ──
+// { url, html, currency?, banks? } from the bookmarklet or any client that
+// can see the page. Needs the user's capture token. The result is held for
+// CAPTURE_TTL and opened via /?capture=<id>, where the compare stream picks
+// it up instead of fetching the page itself — for the token's owner only. It never enters the shared
+// scrape cache: the HTML is only as trustworthy as whoever sent it.
+const captures = new Cache(createStore('memory'));
+const CAPTURE_TTL = 15 * 60 * 1000;
+
+app.post('/scrape/html', rateLimit(rateLimiter, scrapeLimit), async (req, res) => {
+  const user = accounts.captureUser(captureToken(req));
+  if (!user) return res.status(401).json({ error: 'A valid capture token is required — create one from your account' });
+  const error = validateCapture(req.body);
+  if (error) return res.status(400).json({ error });
+  const targetCurrency = await requestedCurrency(req);
+  if (!targetCurrency) return res.status(400).json({ error: `Unsupported currency: ${req.body.currency}` });
+
+  const { url, html } = req.body;
+  try {
+    const source = await scrapeProduct(url, { targetCurrency, html });
+    const captureId = crypto.randomBytes(8).toString('hex');
+    captures.set(captureId, { source, targetCurrency, userId: user.id }, CAPTURE_TTL);
+    const compareUrl = `/?${new URLSearchParams({ capture: captureId, url, currency: targetCurrency })}`;
+
+    // The bookmarklet's form post lands the shopper straight in the comparison
+    if (req.is('urlencoded')) return res.redirect(303, compareUrl);
+    res.json({ ...withLandedPrice(source, requestedBanks(req), targetCurrency), captureId, compareUrl });
+  } catch (err) {
+    console.error('❌ Capture scrape error:', err.message);
+    res.status(500).json({ error: `Failed to extract product data: ${err.message}` });
+  }
+});
 
-  const serpApiKey = process.env.SERPAPI_KEY;
+app.post('/me/capture-token', requireUser, (req, res) => {
+  res.status(201).json({ token: accounts.createCaptureToken(req.user.id), user: publicUser(accounts.get(req.user.id)) });
+});
 
-  // Try SerpAPI Google Shopping (India locale for INR prices)
-  if (serpApiKey && serpApiKey !== 'your_serpapi_key_here') {
-    try {
-      console.log(`\n🔍 Searching SerpAPI for: ${productName}`);
-      const searchResponse = await axios.get('https://serpapi.com/search', {
-        params: {
-          engine: 'google_shopping',
-          q: productName,
-          api_key: serpApiKey,
-          gl: 'in',        // India locale
-          hl: 'en',
-          num: 6,
-        },
-        timeout: 12000,
-      });
+app.delete('/me/capture-token', requireUser, (req, res) => {
+  accounts.revokeCaptureToken(req.user.id);
+  res.status(204).end();
+});
 
-      const results = searchResponse.data.shopping_results || [];
-      console.log(`📦 SerpAPI returned ${results.length} results`);
-
-      const products = await Promise.all(
-        results.slice(0, 3).map(async (item) => {
-          const numericPrice = parseNumericPrice(item.price);
-          const currency = detectCurrency(item.price);
-          const priceINR = await toINR(numericPrice, currency);
-          const productUrl = item.link || item.product_link || '#';
-
-          return {
-            name: item.title || productName,
-            price: priceINR,
-            priceText: priceINR ? `₹${priceINR.toLocaleString('en-IN')}` : (item.price || 'N/A'),
-            originalPrice: item.price,
-            description: [
-              item.source ? `Sold by: ${item.source}` : null,
-              item.rating ? `Rating: ${item.rating}/5 (${item.reviews || 0} reviews)` : null,
-              item.delivery ? `Delivery: ${item.delivery}` : 'Check website for delivery info',
-            ].filter(Boolean),
-            image: item.thumbnail || '',
-            url: productUrl,
-            websiteName: item.source || getWebsiteName(productUrl),
-          };
-        })
-      );
-
-      return res.json({ products });
-    } catch (err) {
-      console.error('SerpAPI error:', err.message);
-      // Fall through to fallback
+// ── Search pipeline: providers → convert → score ──
+// Shared by /search and batch jobs. `source` ({ name, price, productId }) is
+// the scraped product; when present, listings are scored against it instead
+// of against the bare query, and its own listing is left out.
+// Listings scoring below MATCH_DROP_BELOW are discarded; below MATCH_FLAG_BELOW
+// they are returned with lowConfidence: true so the grid can hide them.
+// Up to MAX_SEARCH_RESULTS are kept, best match first; /search pages
+// through them (lib/results.js).
+const MATCH_DROP_BELOW = parseFloat(process.env.MATCH_DROP_BELOW) || 0.2;
+const MATCH_FLAG_BELOW = parseFloat(process.env.MATCH_FLAG_BELOW) || 0.5;
+const MAX_SEARCH_RESULTS = parseInt(process.env.MAX_SEARCH_RESULTS, 10) || 50;
+
+async function searchProducts(productName, { source, targetCurrency = 'INR', onEvent: notify = () => {} } = {}) {
+  const onEvent = observed(notify);
+  logger.info(`\n🔍 Searching for: ${productName}`, { event: 'search', query: productName });
+  onEvent({ stage: 'search', query: productName, message: `🔍 Searching retailers for "${productName}"...` });
+  const endSearch = stageDuration.startTimer({ stage: 'search' });
+  const { results, errors, providers } = await searchAll(productName, { fetchHtml: fetchWithAxios, onEvent });
+  endSearch();
+  const listings = dedupeResults(results);
+
+  if (listings.length > 0) {
+    const candidates = await Promise.all(
+      listings.map(async (item) => {
+        // Listings come from Indian-locale searches, so unmarked prices are rupees
+        const parsedPrice = parsePrice(item.priceText, {
+          currency: item.currency,
+          fallbackCurrency: currencyForHost(item.url) || 'INR',
+        });
+        const numericPrice = parsedPrice?.amount ?? null;
+        const currency = parsedPrice?.currency || item.currency || 'INR';
+        const priceINR = await toINR(numericPrice, currency);
+        const price = await convert(numericPrice, currency, targetCurrency);
+        const mrp = await convert(parsePrice(item.mrpText, { currency })?.amount, currency, targetCurrency);
+        const productUrl = item.url || '#';
+        const websiteName = item.websiteName || getWebsiteName(productUrl);
+        const { productId } = canonicalize(productUrl);
+        const rating = Number(item.rating);
+        const reviewCount = parseInt(String(item.reviews ?? '').replace(/,/g, ''), 10);
+
+        return {
+          name: item.name || productName,
+          price,
+          priceText: price ? formatPrice(price, targetCurrency) : (item.priceText || 'N/A'),
+          priceINR,
+          originalPrice: item.priceText,
+          currency,
+          exchangeRate: { from: currency, to: targetCurrency, rate: await getRate(currency, targetCurrency) },
+          priceConfidence: parsedPrice?.confidence ?? null,
+          priceRange: await convertRange(parsedPrice, targetCurrency),
+          mrp: mrp && price && mrp > price ? mrp : null,
+          mrpText: mrp && price && mrp > price ? formatPrice(mrp, targetCurrency) : null,
+          discountPercent: discountPercent(price, mrp),
+          availability: normalizeAvailability(item.availability),
+          seller: item.seller || item.websiteName || null,
+          rating: rating > 0 && rating <= 5 ? rating : null,
+          reviewCount: Number.isNaN(reviewCount) ? null : reviewCount,
+          identifiers: {
+            ...identifiersFromUrl(productUrl),
+            gtin: item.gtin || null,
+            brand: item.brand || null,
+            modelNumber: null,
+          },
+          ...await deliveryAndOffers(item, currency, targetCurrency),
+          description: [
+            item.websiteName ? `Sold by: ${item.websiteName}` : null,
+            item.delivery ? `Delivery: ${item.delivery}` : 'Check website for delivery info',
+          ].filter(Boolean),
+          image: item.image || '',
+          url: productUrl,
+          productId,
+          websiteName,
+          provider: item.provider,
+        };
+      })
+    );
+
+    // The page being compared can come back as a listing of itself
+    const others = source?.productId ? candidates.filter(p => p.productId !== source.productId) : candidates;
+
+    // Score every candidate, drop the hopeless ones, flag the doubtful ones
+    const reference = { name: source?.name || productName, price: source?.price || null };
+    const scored = others
+      .map((product) => {
+        const { score, reasons } = scoreMatch(product, reference);
+        return { ...product, matchScore: score, matchReasons: reasons, lowConfidence: score < MATCH_FLAG_BELOW };
+      })
+      .filter(product => product.matchScore >= MATCH_DROP_BELOW)
+      .sort((a, b) => b.matchScore - a.matchScore);
+    const products = scored.slice(0, MAX_SEARCH_RESULTS);
+    products.forEach(product => onEvent({
+      stage: 'result',
+      product,
+      message: `🏷️ ${product.websiteName}: ${product.priceText}`,
+    }));
+
+    for (const product of products) {
+      if (product.url === '#') continue;
+      priceHistory.record({
+        productKey: product.productId || productKey(product.url),
+        productName: product.name,
+        url: product.url,
+        retailer: product.websiteName,
+        price: product.priceINR,
+        originalPrice: product.originalPrice,
+        currency: product.currency,
+      });
     }
+
+    const converted = products.some(p => p.currency && p.currency !== targetCurrency);
+    return {
+      products,
+      targetCurrency,
+      rates: ratesMeta(),
+      providers,
+      providerErrors: errors,
+      droppedLowMatches: others.length - scored.length,
+      degraded: [
+        ...errors.map(({ provider, error }) => ({ dependency: provider, message: `${provider} failed (${error}); results are from the other providers` })),
+        ...(converted ? ratesDegradation() : []),
+      ],
+    };
   }
 
   // Fallback: major Indian retailers
@@ -501,14 +911,669 @@ app.post('/search', async (req, res) => {
     image: '',
     url: `https://www.${retailer.domain}/${retailer.searchPath}${encodeURIComponent(productName)}`,
     websiteName: retailer.name,
+    provider: 'fallback',
   }));
 
-  return res.json({ products, fallback: true });
+  const degraded = [{
+    dependency: 'search',
+    message: errors.length
+      ? `Search failed (${errors.map(e => e.provider).join(', ')}); showing retailer search links instead of prices`
+      : 'No listings were found; showing retailer search links instead of prices',
+  }];
+  return { products, fallback: true, targetCurrency, providers, providerErrors: errors, degraded };
+}
+
+// ── POST /search ──
+// Static fallback links and degraded results are not cached so SerpAPI is
+// retried next time.
+// The cache holds every result; limit, offset, sort and the filters
+// (lib/results.js) only shape the response.
+function resultOptions(req, res, next) {
+  const { options, error } = parseResultOptions(req.body);
+  if (error) return res.status(400).json({ error });
+  req.resultOptions = options;
+  next();
+}
+
+const searchCache = cacheMiddleware(responseCache, {
+  namespace: 'search',
+  ttlMs: SEARCH_CACHE_TTL,
+  key: (req) => req.body.productName &&
+    searchCacheKey(req.body.productName, req.body.source, req.body.currency),
+  shouldCache: (body) => !body.fallback && !body.degraded?.length,
+  present: (body, req) => ({
+    ...body,
+    ...applyResultOptions(
+      body.products.map(p => withLandedPrice(p, requestedBanks(req), body.targetCurrency)),
+      req.resultOptions,
+    ),
+  }),
+});
+
+app.post('/search', rateLimit(rateLimiter, searchLimit), resultOptions, searchCache, async (req, res) => {
+  const { productName, source } = req.body;
+  if (!productName) return res.status(400).json({ error: 'Product name is required' });
+  const targetCurrency = await requestedCurrency(req);
+  if (!targetCurrency) return res.status(400).json({ error: `Unsupported currency: ${req.body.currency}` });
+
+  try {
+    res.json(await searchProducts(productName, { source, targetCurrency }));
+  } catch (err) {
+    console.error('❌ Search error:', err.message);
+    res.status(500).json({ error: `Search failed: ${err.message}` });
+  }
+});
+
+// ── Snapshots: every finished comparison gets a permalink ──
+const snapshots = new SnapshotStore(process.env.SNAPSHOT_DIR || 'data/snapshots');
+
+function saveSnapshot(fields) {
+  try {
+    return snapshots.create(fields);
+  } catch (err) {
+    console.warn('⚠️  Snapshot write failed:', err.message);
+    return null;
+  }
+}
+
+// ── Typed-in searches: a product name, model number or barcode ──
+// Stands in for the scraped source product so the compare stream can go
+// straight to the search. Barcodes are looked up first; one no resolver
+// knows is searched as the bare code.
+async function querySource(detected, notify = () => {}) {
+  const onEvent = observed(notify);
+  let name = detected.value;
+  let lookup = null;
+  if (detected.type === 'gtin') {
+    onEvent({ stage: 'lookup', message: `📦 Looking up ${detected.format} ${detected.code}...` });
+    const endLookup = stageDuration.startTimer({ stage: 'lookup' });
+    const resolved = await resolveGtin(detected.code);
+    endLookup();
+    if (resolved.product) {
+      lookup = { ...resolved.product, resolver: resolved.resolver };
+      name = resolved.product.brand && !resolved.product.name.toLowerCase().startsWith(resolved.product.brand.toLowerCase())
+        ? `${resolved.product.brand} ${resolved.product.name}`
+        : resolved.product.name;
+      onEvent({ stage: 'lookup-found', resolver: resolved.resolver, message: `📦 ${detected.code} is "${name}"` });
+    } else {
+      onEvent({ stage: 'lookup-missed', message: `📦 ${detected.code} isn't in any barcode catalog — searching for the code itself` });
+    }
+  }
+
+  return {
+    blocked: false,
+    query: true,
+    inputType: detected.type,
+    input: detected.value,
+    name,
+    searchQuery: name,
+    gtinFormat: detected.format || null,
+    lookup,
+    price: null,
+    priceText: null,
+    identifiers: {
+      gtin: detected.code || null,
+      brand: lookup?.brand || null,
+      modelNumber: detected.type === 'model' ? detected.value : lookup?.model || null,
+    },
+    description: [],
+    image: lookup?.image || '',
+    url: null,
+    websiteName: null,
+  };
+}
+
+// ── GET /gtin/:code ──
+app.get('/gtin/:code', async (req, res) => {
+  let resolved;
+  try {
+    resolved = await resolveGtin(req.params.code);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!resolved.product) return res.status(404).json({ error: `No catalog knows ${resolved.format} ${resolved.code}`, ...resolved });
+  res.json(resolved);
+});
+
+// ── GET /compare/stream?url=…&currency=…[&capture=…] ──
+// (or ?q=… for a product name, model number or barcode)
+// Server-Sent Events version of scrape + search. Emits `progress` events as
+// the pipeline moves (one with stage "result" per comparison card), `source`
+// once the product is known, then `done` with both payloads and the
+// snapshot's permalink (or `failure`). With `capture`, the product comes
+// from a page posted to /scrape/html and the prices stay in its currency.
+// EventSource can't read an error response's body (a 429, a missing input,
+// an expired capture, an unknown currency), so the stream reports those in-band
+function streamFailure(req, res, body) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  res.end(`event: failure\ndata: ${JSON.stringify(body)}\n\n`);
+}
+
+app.get('/compare/stream', rateLimit(rateLimiter, { ...scrapeLimit, onLimited: streamFailure }), async (req, res) => {
+  const detected = req.query.q ? detectInput(req.query.q) : null;
+  const url = req.query.url || (detected?.type === 'url' ? detected.value : null);
+  const typed = !url && detected?.value ? detected : null;
+  if (!url && !typed) return streamFailure(req, res, { error: 'A URL, product name, model number or barcode is required' });
+  const capture = req.query.capture ? captures.get(String(req.query.capture))?.value : null;
+  if (req.query.capture && !capture) return streamFailure(req, res, { error: 'That captured page has expired — capture it again' });
+  if (capture && capture.userId !== req.user?.id) {
+    res.status(403);
+    return streamFailure(req, res, { error: 'That captured page belongs to another account — sign in as its owner' });
+  }
+  const targetCurrency = capture ? capture.targetCurrency : await resolveCurrency(req.query.currency || 'INR');
+  if (!targetCurrency) return streamFailure(req, res, { error: `Unsupported currency: ${req.query.currency}` });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const banks = requestedBanks(req);
+  const landed = (product) => withLandedPrice(product, banks, targetCurrency);
+  const onEvent = (e) => send('progress', e.stage === 'result' ? { ...e, product: landed(e.product) } : e);
+  const fresh = req.query.fresh === '1';
+
+  try {
+    let source;
+    if (typed) {
+      source = await querySource(typed, onEvent);
+    } else if (capture) {
+      source = capture.source;
+      onEvent({ stage: 'cache', message: '📥 Using the page your browser captured' });
+    } else {
+      const scrapeKey = `scrape:${await scrapeCacheKey(url, targetCurrency)}`;
+      source = !fresh && responseCache.get(scrapeKey)?.value;
+      if (source) {
+        onEvent({ stage: 'cache', message: '💾 Using a recent result for this page' });
+      } else {
+        source = await scrapeProduct(url, { targetCurrency, onEvent });
+        if (!source.blocked && !source.degraded?.length) responseCache.set(scrapeKey, source, SCRAPE_CACHE_TTL);
+      }
+    }
+    send('source', landed(source));
+
+    const query = source.searchQuery || source.name;
+    const sourceRef = source.blocked ? undefined : { name: source.name, price: source.price, productId: source.productId };
+    const searchKey = `search:${searchCacheKey(query, sourceRef, targetCurrency)}`;
+    let search = !fresh && responseCache.get(searchKey)?.value;
+    if (search) {
+      onEvent({ stage: 'cache', message: '💾 Using recent search results' });
+      search.products.forEach(product => onEvent({ stage: 'result', product, message: `🏷️ ${product.websiteName}: ${product.priceText}` }));
+    } else {
+      search = await searchProducts(query, { source: sourceRef, targetCurrency, onEvent });
+      if (!search.fallback && !search.degraded?.length) responseCache.set(searchKey, search, SEARCH_CACHE_TTL);
+    }
+
+    // The snapshot keeps the landed prices this buyer saw
+    source = landed(source);
+    search = { ...search, products: search.products.map(landed) };
+    const snapshot = saveSnapshot({ url: url || null, currency: targetCurrency, source, search, captured: !!capture });
+    send('done', { source, search, snapshotId: snapshot?.id || null, shareUrl: snapshot ? `/c/${snapshot.id}` : null });
+  } catch (err) {
+    console.error('❌ Compare stream error:', err.message);
+    send('failure', {
+      error: err instanceof BlockedDestinationError
+        ? `This URL can't be fetched: ${err.reason}`
+        : `Failed to compare prices: ${err.message}`,
+    });
+  }
+  res.end();
+});
+
+// ── GET /offers/banks ──
+// The banks whose card offers the comparison can apply (for the picker)
+app.get('/offers/banks', (req, res) => {
+  res.json({ banks: BANKS.map(({ id, name }) => ({ id, name })) });
+});
+
+// ── GET /snapshots/:id (JSON) and /c/:id (the read-only page) ──
+app.get('/snapshots/:id', (req, res) => {
+  const snapshot = snapshots.get(req.params.id);
+  if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+  // Older snapshots recorded their creator's account ID; it stays private
+  const { createdBy, ...shared } = snapshot;
+  res.json(shared);
+});
+
+// The main page renders the snapshot itself; an unknown ID still gets a 404
+app.get('/c/:id', (req, res) => {
+  if (!snapshots.get(req.params.id)) return res.status(404).send('Snapshot not found');
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// ── Comparison exports: ?format=csv (default), json, html or pdf ──
+// The PDF is the HTML report printed by the shared Puppeteer browser, so
+// it is only offered where Puppeteer runs (not on cloud hosts).
+const EXPORT_FORMATS = ['csv', 'json', 'html', 'pdf'];
+
+async function sendExport(req, res, comparison) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const disposition = (ext) => `attachment; filename="${exportFilename(comparison, ext)}"`;
+
+  if (format === 'json') {
+    res.setHeader('Content-Disposition', disposition('json'));
+    return res.json(comparisonJSON(comparison));
+  }
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', disposition('csv'));
+    return res.send(comparisonCSV(comparison));
+  }
+
+  const html = comparisonReportHTML(comparison, { origin: process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}` });
+  if (format === 'html') return res.type('html').send(html);
+
+  if (IS_CLOUD) return res.status(501).json({ error: 'PDF export needs Puppeteer, which is off on this server. Open format=html and print it to PDF instead.' });
+  // Exports never queue for a tab that scrapes are waiting on
+  if (browserPool.isFull()) {
+    res.setHeader('Retry-After', '10');
+    return res.status(503).json({ error: 'The PDF renderer is busy. Try again shortly, or open format=html and print it to PDF.' });
+  }
+  try {
+    const pdf = await browserPool.withPage(async (page) => {
+      await page.setContent(html, { waitUntil: 'load' });
+      return page.pdf({ format: 'A4', printBackground: true, margin: { top: '16mm', bottom: '16mm', left: '12mm', right: '12mm' } });
+    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', disposition('pdf'));
+    res.send(Buffer.from(pdf));
+  } catch (err) {
+    console.error('❌ PDF export failed:', err.message);
+    res.status(503).json({ error: `Could not render the PDF (${err.message}). Open format=html and print it to PDF instead.` });
+  }
+}
+
+app.get('/snapshots/:id/export', rateLimit(rateLimiter, scrapeLimit), (req, res) => {
+  const snapshot = snapshots.get(req.params.id);
+  if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+  sendExport(req, res, fromSnapshot(snapshot));
+});
+
+// ── GET /history?url=… or ?product=… ──
+// Prices are stored in INR; ?currency= converts them at today's rate.
+app.get('/history', rateLimit(rateLimiter, scrapeLimit), async (req, res) => {
+  const { url, product } = req.query;
+  if (!url && !product) return res.status(400).json({ error: 'url or product is required' });
+  const currency = await resolveCurrency(req.query.currency || 'INR');
+  if (!currency) return res.status(400).json({ error: `Unsupported currency: ${req.query.currency}` });
+
+  const rate = await getRate('INR', currency);
+  const canonical = url && await resolveCanonical(url);
+  const points = (url ? priceHistory.byKey(canonical.productId || canonical.url) : priceHistory.byProductName(product))
+    .sort((a, b) => a.observedAt.localeCompare(b.observedAt))
+    .map(p => (currency === 'INR' ? p : { ...p, priceINR: p.price, price: Math.round(p.price * rate * 100) / 100 }));
+
+  res.json({
+    query: url ? { url: canonical.url, productId: canonical.productId } : { product },
+    currency,
+    exchangeRate: { from: 'INR', to: currency, rate, ...ratesMeta() },
+    points,
+    stats: summarize(points),
+  });
+});
+
+// ── GET /rates — the cached exchange-rate table (per 1 INR) ──
+app.get('/rates', async (req, res) => {
+  const rates = await loadRates();
+  res.json({ ...ratesMeta(), rates });
+});
+
+// ── GET /pool — shared Puppeteer browser usage ──
+app.get('/pool', (req, res) => {
+  res.json({ enabled: !IS_CLOUD, ...browserPool.getStats() });
+});
+
+// ── GET /health — dependencies and configuration, never the keys themselves ──
+// status is "degraded" when something the pipeline leans on is missing;
+// the endpoint itself always answers 200 so it can double as a liveness probe.
+function puppeteerHealth() {
+  if (IS_CLOUD) return { enabled: false, available: false };
+  let available = false;
+  let error;
+  try {
+    available = fs.existsSync(puppeteer.executablePath());
+  } catch (err) {
+    error = err.message.split('\n')[0];
+  }
+  const { browserRunning, activePages, queued, crashes } = browserPool.getStats();
+  return { enabled: true, available, ...(error && { error }), browserRunning, activePages, queued, crashes };
+}
+
+app.get('/health', (req, res) => {
+  const llm = describeBackend();
+  const providers = enabledProviders().map(p => p.name);
+  const rates = ratesMeta();
+  const checks = {
+    puppeteer: puppeteerHealth(),
+    llm: { backend: llm.name, models: llm.models, configured: llm.configured, ...(llm.error && { error: llm.error }) },
+    gemini: { keyConfigured: !!process.env.GEMINI_API_KEY, active: llm.name === 'gemini' },
+    serpapi: { keyConfigured: serpapi.isEnabled(), active: providers.includes('serpapi') },
+    searchProviders: providers,
+    gtinResolvers: enabledResolvers().map(r => r.name),
+    exchangeRates: {
+      ...rates,
+      loaded: rates.fetchedAt !== null || rates.fallback,
+      // Rates refresh lazily, so allow one missed refresh before calling them stale
+      stale: rates.fallback || rates.stale || (rates.ageSeconds !== null && rates.ageSeconds * 1000 > RATES_TTL_MS * 2),
+    },
+    circuitBreakers: breakerStates(),
+  };
+  const openBreakers = Object.entries(checks.circuitBreakers).filter(([, b]) => b.state !== 'closed').map(([key]) => key);
+  const degraded = [
+    checks.puppeteer.enabled && !checks.puppeteer.available && 'puppeteer',
+    !llm.configured && 'llm',
+    providers.length === 0 && 'search',
+    checks.exchangeRates.stale && 'exchange-rates',
+    ...openBreakers,
+  ].filter(Boolean);
+
+  res.json({
+    status: degraded.length ? 'degraded' : 'ok',
+    degraded,
+    uptimeSeconds: Math.round(process.uptime()),
+    environment: IS_CLOUD ? 'cloud' : 'local',
+    fixtures: fixtureMode(),
+    checks,
+  });
+});
+
+// ── GET /metrics — Prometheus text format ──
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// ── Watchlist: scheduled re-checks with price-drop alerts ──
+const watchlist = new WatchlistStore(process.env.WATCHLIST_FILE || 'data/watchlist.json');
+const watchScheduler = new WatchlistScheduler({
+  store: watchlist,
+  // Scheduled checks get their own request ID so their log lines group together
+  check: (url, currency) => withRequestId(currentRequestId() || newRequestId('watch'), () => scrapeProduct(url, { targetCurrency: currency })),
+  intervalMs: (parseFloat(process.env.WATCHLIST_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  domainDelayMs: (parseFloat(process.env.WATCHLIST_DOMAIN_DELAY_SECONDS) || 30) * 1000,
+});
+
+// Items are per signed-in user, like saved comparisons. Target and checked
+// prices are in the item's `currency` (default INR).
+app.get('/watchlist', requireUser, (req, res) => {
+  res.json({ items: watchlist.listFor(req.user.id) });
+});
+
+app.post('/watchlist', requireUser, async (req, res) => {
+  const body = { ...req.body, channel: req.body.channel || { type: 'log' } };
+  const error = validateWatchItem(body);
+  if (error) return res.status(400).json({ error });
+  const currency = await requestedCurrency(req);
+  if (!currency) return res.status(400).json({ error: `Unsupported currency: ${req.body.currency}` });
+
+  const item = watchlist.add(req.user.id, {
+    url: body.url,
+    name: body.name,
+    targetPrice: body.targetPrice,
+    currency,
+    channel: { type: body.channel.type, target: body.channel.target || null },
+  });
+  res.status(201).json(item);
+});
+
+app.get('/watchlist/:id', requireUser, (req, res) => {
+  const item = watchlist.getFor(req.user.id, req.params.id);
+  if (!item) return res.status(404).json({ error: 'Watchlist item not found' });
+  res.json(item);
+});
+
+app.patch('/watchlist/:id', requireUser, (req, res) => {
+  if (!watchlist.getFor(req.user.id, req.params.id)) return res.status(404).json({ error: 'Watchlist item not found' });
+  const error = validateWatchItem(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  const updates = {};
+  for (const key of ['url', 'name', 'targetPrice', 'active']) {
+    if (req.body[key] !== undefined) updates[key] = req.body[key];
+  }
+  if (req.body.channel !== undefined) {
+    updates.channel = { type: req.body.channel.type, target: req.body.channel.target || null };
+  }
+  // A new target re-arms the alert; a new URL also forgets the old page's price
+  if (updates.targetPrice !== undefined) updates.belowTarget = false;
+  if (updates.url !== undefined) {
+    Object.assign(updates, { lastCheckedAt: null, lastPrice: null, lastError: null, belowTarget: false });
+  }
+  res.json(watchlist.update(req.params.id, updates));
+});
+
+app.delete('/watchlist/:id', requireUser, (req, res) => {
+  if (!watchlist.remove(req.user.id, req.params.id)) return res.status(404).json({ error: 'Watchlist item not found' });
+  res.status(204).end();
+});
+
+// Runs a check right away instead of waiting for the scheduler
+app.post('/watchlist/:id/check', requireUser, rateLimit(rateLimiter, scrapeLimit), async (req, res) => {
+  const item = watchlist.getFor(req.user.id, req.params.id);
+  if (!item) return res.status(404).json({ error: 'Watchlist item not found' });
+  try {
+    res.json(await watchScheduler.checkItem(item, { manual: true }));
+  } catch (err) {
+    res.status(500).json({ error: `Check failed: ${err.message}` });
+  }
+});
+
+// ── Sign-up, sign-in (password or magic link) and profile ──
+app.post('/auth/register', rateLimit(rateLimiter, loginLimit), async (req, res) => {
+  const error = validateRegistration(req.body, accounts);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const user = await accounts.register(req.body);
+    if (!user) return res.status(400).json({ error: validateRegistration(req.body, accounts) || 'That username is taken' });
+    setSessionCookie(req, res, accounts.createSession(user.id));
+    console.log(`👤 New account: ${user.username}`);
+    res.status(201).json({ user: publicUser(user) });
+  } catch (err) {
+    console.error('❌ Registration error:', err.message);
+    res.status(500).json({ error: 'Could not create the account' });
+  }
+});
+
+app.post('/auth/login', rateLimit(rateLimiter, loginLimit), async (req, res) => {
+  try {
+    const user = await accounts.authenticate(req.body.login, req.body.password);
+    if (!user) return res.status(401).json({ error: 'Wrong username or password' });
+    setSessionCookie(req, res, accounts.createSession(user.id));
+    res.json({ user: publicUser(user) });
+  } catch (err) {
+    console.error('❌ Sign-in error:', err.message);
+    res.status(500).json({ error: 'Could not sign in' });
+  }
+});
+
+// Mails a one-time sign-in link. The reply is the same whether or not the
+// account exists. Without SMTP the link is printed to the server log, which
+// is only meant for local use. Links point at PUBLIC_URL when set, so a
+// forged Host header can't redirect them elsewhere.
+app.post('/auth/magic', rateLimit(rateLimiter, loginLimit), async (req, res) => {
+  const user = accounts.findByLogin(req.body.login);
+  const reply = { sent: true, message: 'If that account exists, a sign-in link is on its way.' };
+  if (!user) return res.json(reply);
+
+  const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  const link = `${base.replace(/\/+$/, '')}/auth/magic/${accounts.createMagicToken(user.id)}`;
+  if (user.email && process.env.SMTP_HOST) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your PriceScope sign-in link',
+        text: `Open this link within 15 minutes to sign in:\n${link}\n\nIf you didn't ask for it, ignore this email.`,
+      });
+    } catch (err) {
+      console.error('❌ Magic link email failed:', err.message);
+    }
+  } else {
+    console.log(`🔑 Magic sign-in link for ${user.username}: ${link}`);
+  }
+  res.json(reply);
+});
+
+app.get('/auth/magic/:token', (req, res) => {
+  const user = accounts.redeemMagicToken(req.params.token);
+  if (!user) return res.redirect('/?login=expired');
+  setSessionCookie(req, res, accounts.createSession(user.id));
+  res.redirect('/');
+});
+
+app.post('/auth/logout', (req, res) => {
+  if (req.sessionToken) accounts.endSession(req.sessionToken);
+  clearSessionCookie(res);
+  res.status(204).end();
+});
+
+// { user: null } rather than a 401 so the page can ask on every load
+app.get('/me', (req, res) => {
+  res.json({ user: req.user ? publicUser(req.user) : null });
 });
 
-app.listen(PORT, () => {
-  console.log(`\n🚀 PriceScope AI Server running at http://localhost:${PORT}`);
-  console.log(`🤖 Gemini AI: ${process.env.GEMINI_API_KEY ? '✅ Connected' : '❌ No key'}`);
-  console.log(`🔍 SerpAPI:   ${process.env.SERPAPI_KEY ? '✅ Connected' : '❌ No key'}`);
-  console.log(`📦 Open http://localhost:${PORT} in your browser\n`);
+app.patch('/me', requireUser, (req, res) => {
+  const { displayName, email } = req.body;
+  if (displayName !== undefined && (typeof displayName !== 'string' || !displayName.trim() || displayName.length > 60)) {
+    return res.status(400).json({ error: 'Display name must be 1–60 characters' });
+  }
+  if (email !== undefined && email !== null && typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email address is invalid' });
+  }
+  if (email) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: 'Email address is invalid' });
+    const owner = accounts.findByLogin(email);
+    if (owner && owner.id !== req.user.id) return res.status(400).json({ error: 'That email is already registered' });
+  }
+  res.json({ user: publicUser(accounts.update(req.user.id, { displayName, email })) });
+});
+
+// ── Saved comparisons (per signed-in user) ──
+const savedComparisons = new ComparisonStore(process.env.COMPARISONS_FILE || 'data/comparisons.json');
+
+app.get('/comparisons', requireUser, (req, res) => {
+  res.json({ items: savedComparisons.listFor(req.user.id).map(summarizeComparison) });
+});
+
+app.post('/comparisons', requireUser, (req, res) => {
+  const error = validateComparison(req.body);
+  if (error) return res.status(400).json({ error });
+  const { source, products, notes, title, currency } = req.body;
+  res.status(201).json(savedComparisons.add(req.user.id, { source, products, notes, title, currency }));
+});
+
+app.get('/comparisons/:id', requireUser, (req, res) => {
+  const item = savedComparisons.getFor(req.user.id, req.params.id);
+  if (!item) return res.status(404).json({ error: 'Saved comparison not found' });
+  res.json(item);
+});
+
+app.get('/comparisons/:id/export', requireUser, (req, res) => {
+  const item = savedComparisons.getFor(req.user.id, req.params.id);
+  if (!item) return res.status(404).json({ error: 'Saved comparison not found' });
+  sendExport(req, res, fromSavedComparison(item));
+});
+
+app.patch('/comparisons/:id', requireUser, (req, res) => {
+  const error = validateComparison(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  const item = savedComparisons.update(req.user.id, req.params.id, { notes: req.body.notes, title: req.body.title });
+  if (!item) return res.status(404).json({ error: 'Saved comparison not found' });
+  res.json(item);
 });
+
+app.delete('/comparisons/:id', requireUser, (req, res) => {
+  if (!savedComparisons.remove(req.user.id, req.params.id)) return res.status(404).json({ error: 'Saved comparison not found' });
+  res.status(204).end();
+});
+
+// ── Batch comparisons: POST /compare/batch, GET /jobs/:id ──
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS, 10) || 200;
+const batchJobs = new BatchJobs({
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || 3,
+  runRow: (url, { targetCurrency }) => withRequestId(newRequestId('batch'), async () => {
+    const source = await scrapeProduct(url, { targetCurrency });
+    const search = await searchProducts(source.searchQuery || source.name, {
+      source: source.blocked ? undefined : { name: source.name, price: source.price, productId: source.productId },
+      targetCurrency,
+    });
+    return { source, products: search.products };
+  }),
+});
+
+// Accepts { urls: [...] }, { csv: "..." } or a raw text/csv body.
+// The currency comes from the JSON body or ?currency=. Every URL counts
+// against the caller's /scrape allowance, so large batches need an API key.
+function batchUrls(req, res, next) {
+  let urls;
+  if (typeof req.body === 'string') urls = urlsFromCSV(req.body);
+  else if (typeof req.body.csv === 'string') urls = urlsFromCSV(req.body.csv);
+  else if (Array.isArray(req.body.urls)) urls = req.body.urls.map(u => String(u).trim()).filter(Boolean);
+  else return res.status(400).json({ error: 'Send { urls: [...] }, { csv: "..." } or a text/csv body' });
+
+  if (urls.length === 0) return res.status(400).json({ error: 'No product URLs found' });
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({ error: `Too many URLs (${urls.length}); the limit is ${BATCH_MAX_URLS}` });
+  }
+  const invalid = urls.filter(u => !/^https?:\/\/[^\s]+$/i.test(u));
+  if (invalid.length > 0) return res.status(400).json({ error: 'Some entries are not http(s) URLs', invalid });
+  req.batchUrls = urls;
+  next();
+}
+
+app.post('/compare/batch', batchUrls, rateLimit(rateLimiter, { ...scrapeLimit, cost: req => req.batchUrls.length }), async (req, res) => {
+  const urls = req.batchUrls;
+  const requested = (typeof req.body === 'object' && req.body.currency) || req.query.currency || 'INR';
+  const code = await resolveCurrency(requested);
+  if (!code) return res.status(400).json({ error: `Unsupported currency: ${requested}` });
+
+  const job = batchJobs.create(urls, { targetCurrency: code });
+  console.log(`📋 Batch ${job.id} queued: ${urls.length} URLs`);
+  res.status(202).json(jobStatus(job));
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = batchJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(jobStatus(job));
+});
+
+// ?format=csv (default) or json; rows still running are reported as such
+app.get('/jobs/:id/report', (req, res) => {
+  const job = batchJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  const rows = jobReport(job);
+  if (req.query.format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="pricescope-batch-${job.id}.json"`);
+    return res.json({ id: job.id, status: job.status, createdAt: job.createdAt, finishedAt: job.finishedAt, rows });
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="pricescope-batch-${job.id}.csv"`);
+  res.send(toCSV(rows, REPORT_COLUMNS));
+});
+
+// Tests require this file for `app` and start their own listener
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`\n🚀 PriceScope AI Server running at http://localhost:${PORT}`);
+    const llm = describeBackend();
+    console.log(`🤖 LLM:       ${llm.configured ? '✅' : '❌'} ${llm.name} (${llm.error || llm.models.join(', ')})`);
+    console.log(`🔍 SerpAPI:   ${process.env.SERPAPI_KEY ? '✅ Connected' : '❌ No key'}`);
+    if (fixtureMode() !== 'off') console.log(`📼 Fixtures:  ${fixtureMode()} (${process.env.FIXTURE_DIR || 'test/fixtures'})`);
+    console.log(`📦 Open http://localhost:${PORT} in your browser\n`);
+    watchScheduler.start();
+  });
+}
+
+module.exports = { app, scrapeProduct, searchProducts, cleanHTML, accounts };
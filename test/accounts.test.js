@@ -0,0 +1,170 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, FIXTURE_URLS } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// "ps_session=…" from a Set-Cookie header, ready to send back
+function sessionCookie(res) {
+  return res.headers.get('set-cookie').split(';')[0];
+}
+
+const SAMPLE = {
+  source: { name: 'Samsung Galaxy S24', price: 64999, url: 'https://www.amazon.in/dp/B0CS5XW6TN' },
+  products: [
+    { name: 'Samsung Galaxy S24 5G', price: 62999, websiteName: 'Flipkart' },
+    { name: 'Samsung Galaxy S24', price: 66999, websiteName: 'Croma' },
+  ],
+  currency: 'INR',
+  notes: 'Wait for the sale',
+};
+
+test('sign-up starts a session and /me returns the profile', async () => {
+  const res = await server.post('/auth/register', { username: 'Priya', password: 'correct horse', displayName: 'Priya S' });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.user.username, 'priya');
+  assert.equal(res.body.user.passwordHash, undefined);
+  assert.match(res.headers.get('set-cookie'), /ps_session=.+HttpOnly/);
+
+  const me = await server.request('GET', '/me', undefined, { Cookie: sessionCookie(res) });
+  assert.equal(me.body.user.displayName, 'Priya S');
+  assert.deepEqual((await server.request('GET', '/me')).body, { user: null });
+});
+
+test('sign-in checks the password', async () => {
+  await server.post('/auth/register', { username: 'arjun', password: 'hunter2hunter2' });
+  assert.equal((await server.post('/auth/login', { login: 'arjun', password: 'wrong-password' })).status, 401);
+  const ok = await server.post('/auth/login', { login: 'ARJUN', password: 'hunter2hunter2' });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.user.username, 'arjun');
+});
+
+test('duplicate usernames and weak passwords are refused', async () => {
+  await server.post('/auth/register', { username: 'meera', password: 'long enough pw' });
+  assert.match((await server.post('/auth/register', { username: 'Meera', password: 'long enough pw' })).body.error, /taken/);
+  assert.match((await server.post('/auth/register', { username: 'ravi', password: 'short' })).body.error, /at least 8/);
+});
+
+test('a magic link signs in once', async () => {
+  const { accounts } = require('../server');
+  await server.post('/auth/register', { username: 'kabir', email: 'kabir@example.com' });
+  const reply = await server.post('/auth/magic', { login: 'kabir@example.com' });
+  assert.equal(reply.body.sent, true);
+  // Unknown accounts get the same answer
+  assert.deepEqual((await server.post('/auth/magic', { login: 'nobody' })).body, reply.body);
+
+  const token = accounts.createMagicToken(accounts.findByLogin('kabir').id);
+  const first = await server.request('GET', `/auth/magic/${token}`);
+  assert.equal(first.status, 302);
+  assert.equal(first.headers.get('location'), '/');
+  const me = await server.request('GET', '/me', undefined, { Cookie: sessionCookie(first) });
+  assert.equal(me.body.user.username, 'kabir');
+
+  const again = await server.request('GET', `/auth/magic/${token}`);
+  assert.equal(again.headers.get('location'), '/?login=expired');
+});
+
+test('saved comparisons are private to their owner', async () => {
+  const owner = { Cookie: sessionCookie(await server.post('/auth/register', { username: 'owner', password: 'owner-password' })) };
+  const other = { Cookie: sessionCookie(await server.post('/auth/register', { username: 'other', password: 'other-password' })) };
+
+  assert.equal((await server.post('/comparisons', SAMPLE)).status, 401);
+  const saved = await server.post('/comparisons', SAMPLE, owner);
+  assert.equal(saved.status, 201);
+  assert.equal(saved.body.title, 'Samsung Galaxy S24');
+
+  const list = await server.request('GET', '/comparisons', undefined, owner);
+  assert.equal(list.body.items.length, 1);
+  assert.equal(list.body.items[0].resultCount, 2);
+  assert.equal(list.body.items[0].lowestPrice, 62999);
+
+  assert.equal((await server.request('GET', `/comparisons/${saved.body.id}`, undefined, other)).status, 404);
+  assert.equal((await server.request('DELETE', `/comparisons/${saved.body.id}`, undefined, other)).status, 404);
+
+  const edited = await server.request('PATCH', `/comparisons/${saved.body.id}`, { notes: 'Bought it' }, owner);
+  assert.equal(edited.body.notes, 'Bought it');
+  assert.equal((await server.request('DELETE', `/comparisons/${saved.body.id}`, undefined, owner)).status, 204);
+  assert.equal((await server.request('GET', '/comparisons', undefined, owner)).body.items.length, 0);
+});
+
+test('watchlist items are private to their owner', async () => {
+  const owner = { Cookie: sessionCookie(await server.post('/auth/register', { username: 'watcher', password: 'watcher-password' })) };
+  const other = { Cookie: sessionCookie(await server.post('/auth/register', { username: 'snoop', password: 'snoop-password' })) };
+  const watch = { url: 'https://www.amazon.in/dp/B0CS5XW6TN', targetPrice: 60000 };
+
+  assert.equal((await server.post('/watchlist', watch)).status, 401);
+  assert.equal((await server.request('GET', '/watchlist')).status, 401);
+  const added = await server.post('/watchlist', watch, owner);
+  assert.equal(added.status, 201);
+
+  assert.equal((await server.request('GET', '/watchlist', undefined, owner)).body.items.length, 1);
+  assert.equal((await server.request('GET', '/watchlist', undefined, other)).body.items.length, 0);
+  assert.equal((await server.request('PATCH', `/watchlist/${added.body.id}`, { targetPrice: 1 }, other)).status, 404);
+  assert.equal((await server.post(`/watchlist/${added.body.id}/check`, undefined, other)).status, 404);
+  assert.equal((await server.request('DELETE', `/watchlist/${added.body.id}`, undefined, other)).status, 404);
+  assert.equal((await server.request('DELETE', `/watchlist/${added.body.id}`, undefined, owner)).status, 204);
+});
+
+test('watchlist items keep their currency and are checked in it', async () => {
+  const owner = { Cookie: sessionCookie(await server.post('/auth/register', { username: 'traveller', password: 'traveller-password' })) };
+  const watch = { url: FIXTURE_URLS.amazon, targetPrice: 700 };
+
+  assert.equal((await server.post('/watchlist', { ...watch, currency: 'XYZ' }, owner)).status, 400);
+  assert.equal((await server.post('/watchlist', watch, owner)).body.currency, 'INR');
+  const added = await server.post('/watchlist', { ...watch, currency: 'eur' }, owner);
+  assert.equal(added.body.currency, 'EUR');
+
+  const checked = await server.post(`/watchlist/${added.body.id}/check`, undefined, owner);
+  const { body: scraped } = await server.post('/scrape', { url: FIXTURE_URLS.amazon, currency: 'EUR' });
+  assert.equal(checked.body.lastPrice, scraped.price);
+  assert.equal(checked.body.belowTarget, true);
+});
+
+test('pointing a watchlist item at a new URL forgets the old price', async () => {
+  const owner = { Cookie: sessionCookie(await server.post('/auth/register', { username: 'switcher', password: 'switcher-password' })) };
+  const added = await server.post('/watchlist', { url: FIXTURE_URLS.amazon, targetPrice: 70000 }, owner);
+  const checked = await server.post(`/watchlist/${added.body.id}/check`, undefined, owner);
+  assert.equal(checked.body.belowTarget, true);
+
+  const { body } = await server.request('PATCH', `/watchlist/${added.body.id}`, {
+    url: FIXTURE_URLS.flipkart,
+    channel: { type: 'log', target: '', extra: 'dropped' },
+  }, owner);
+  assert.equal(body.url, FIXTURE_URLS.flipkart);
+  assert.equal(body.lastPrice, null);
+  assert.equal(body.belowTarget, false);
+  assert.deepEqual(body.channel, { type: 'log', target: null });
+});
+
+test('a profile email must be a string', async () => {
+  const owner = { Cookie: sessionCookie(await server.post('/auth/register', { username: 'profiler', password: 'profiler-password' })) };
+  const { status, body } = await server.request('PATCH', '/me', { email: ['a@b.co'] }, owner);
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Email address is invalid');
+});
+
+test('two sign-ups racing for one username create one account', async () => {
+  const results = await Promise.all([
+    server.post('/auth/register', { username: 'twin', password: 'first-password' }),
+    server.post('/auth/register', { username: 'twin', password: 'second-password' }),
+  ]);
+  assert.deepEqual(results.map(r => r.status).sort(), [201, 400]);
+  assert.equal(results.find(r => r.status === 400).body.error, 'That username is taken');
+});
+
+test('a corrupt stored password is a 500, not a crash', async () => {
+  const { accounts } = require('../server');
+  await server.post('/auth/register', { username: 'corrupt', password: 'corrupt-password' });
+  accounts.findByLogin('corrupt').passwordHash = 'not-a-hash';
+  const { status, body } = await server.post('/auth/login', { login: 'corrupt', password: 'corrupt-password' });
+  assert.equal(status, 500);
+  assert.equal(body.error, 'Could not sign in');
+});
+
+test('signing out ends the session', async () => {
+  const cookie = { Cookie: sessionCookie(await server.post('/auth/register', { username: 'leaving', password: 'leaving-password' })) };
+  assert.equal((await server.post('/auth/logout', undefined, cookie)).status, 204);
+  assert.deepEqual((await server.request('GET', '/me', undefined, cookie)).body, { user: null });
+});
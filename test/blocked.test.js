@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, FIXTURE_URLS } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+function assertBlocked(body, url, reason) {
+  assert.equal(body.blocked, true);
+  assert.equal(body.blockReason, reason);
+  assert.equal(body.url, url);
+  assert.equal(body.price, null);
+  assert.equal(body.priceText, null);
+  assert.ok(body.blockerMessage.startsWith('⛔'));
+}
+
+test('a CAPTCHA page is reported as blocked with the name taken from the URL', async () => {
+  const { status, body } = await server.post('/scrape', { url: FIXTURE_URLS.captcha });
+  assert.equal(status, 200);
+  assertBlocked(body, FIXTURE_URLS.captcha, 'bot-check / CAPTCHA detected');
+  assert.equal(body.name, 'Apple IPhone 15 128 GB');
+  assert.equal(body.searchQuery, 'Apple IPhone 15 128 GB');
+  assert.equal(body.websiteName, 'Amazon');
+  assert.equal(body.identifiers.asin, 'B0CHX1W1XY');
+});
+
+test('a refused fetch is reported as blocked', async () => {
+  const { status, body } = await server.post('/scrape', { url: FIXTURE_URLS.fetchRefused });
+  assert.equal(status, 200);
+  assertBlocked(body, FIXTURE_URLS.fetchRefused, 'fetch failed or empty HTML');
+  assert.equal(body.searchQuery, 'Boat Rockerz 450 Bluetooth Headphones');
+});
+
+test('LLM replies that fail the schema twice are reported as blocked', async () => {
+  const { status, body } = await server.post('/scrape', { url: FIXTURE_URLS.badLlmReply });
+  assert.equal(status, 200);
+  assertBlocked(body, FIXTURE_URLS.badLlmReply, 'AI extraction failed');
+  assert.match(body.searchQuery, /Apple Airpods Pro 2nd Gen/);
+});
+
+test('an LLM reply without a real product name is reported as blocked', async () => {
+  const { status, body } = await server.post('/scrape', { url: FIXTURE_URLS.productNotFound });
+  assert.equal(status, 200);
+  assertBlocked(body, FIXTURE_URLS.productNotFound, 'product name not found in page content');
+});
+
+test('blocked responses are never cached', async () => {
+  await server.post('/scrape', { url: FIXTURE_URLS.captcha });
+  const { body } = await server.post('/scrape', { url: FIXTURE_URLS.captcha });
+  assert.equal(body.blocked, true);
+  assert.equal(body.cache.hit, false);
+});
+
+test('searching by a blocked page\'s slug falls back to retailer links when every provider fails', async () => {
+  const { body: blocked } = await server.post('/scrape', { url: FIXTURE_URLS.captcha });
+  const { status, body } = await server.post('/search', { productName: blocked.searchQuery });
+  assert.equal(status, 200);
+  assert.equal(body.fallback, true);
+  assert.deepEqual(body.providerErrors, [{ provider: 'serpapi', error: 'Request failed with status code 429' }]);
+  assert.deepEqual(body.degraded.map(d => d.dependency), ['search']);
+  assert.equal(body.products.length, 3);
+  body.products.forEach((p) => {
+    assert.equal(p.provider, 'fallback');
+    assert.equal(p.price, null);
+    assert.ok(p.url.includes(encodeURIComponent(blocked.searchQuery)));
+  });
+});
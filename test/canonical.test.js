@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalize, productKey } = require('../lib/canonical');
+
+test('Amazon URLs reduce to /dp/ASIN on the marketplace host', () => {
+  assert.deepEqual(
+    canonicalize('https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY/ref=sr_1_1?crid=2X&keywords=iphone&qid=1&sr=8-1&th=1'),
+    { url: 'https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY', retailer: 'Amazon', marketplace: 'amazon.in', productId: 'amazon.in:B0CHX1W1XY' },
+  );
+  assert.equal(canonicalize('https://m.amazon.in/gp/aw/d/b0chx1w1xy?tag=x-21').url, 'https://www.amazon.in/dp/B0CHX1W1XY');
+  assert.equal(canonicalize('https://amazon.com/gp/product/B0CHX1W1XY').productId, 'amazon.com:B0CHX1W1XY');
+});
+
+test('Flipkart keeps only the pid and maps app deep links to the site', () => {
+  const { url, productId } = canonicalize('https://dl.flipkart.com/dl/samsung-galaxy-s24/p/itm3469a7107606a?pid=MOBGX2F3RQKKKGKG&lid=LSTMOB&marketplace=FLIPKART&affid=abc');
+  assert.equal(url, 'https://www.flipkart.com/samsung-galaxy-s24/p/itm3469a7107606a?pid=MOBGX2F3RQKKKGKG');
+  assert.equal(productId, 'flipkart.com:MOBGX2F3RQKKKGKG');
+  // Non-product pages keep their meaningful parameters
+  assert.equal(canonicalize('https://m.flipkart.com/search?q=iphone&otracker=search').url, 'https://www.flipkart.com/search?q=iphone');
+});
+
+test('other marketplaces expose their product IDs', () => {
+  assert.equal(canonicalize('https://www.myntra.com/headphones/boat/rockerz-450/1234567/buy').productId, 'myntra.com:1234567');
+  assert.equal(canonicalize('https://m.ebay.co.uk/itm/Some-title/123456789012?hash=item1').url, 'https://www.ebay.co.uk/itm/123456789012');
+  assert.equal(canonicalize('https://www.bestbuy.com/site/sony-wh-1000xm5/6505727.p?skuId=6505727').productId, 'bestbuy.com:6505727');
+});
+
+test('unknown stores only lose tracking parameters', () => {
+  assert.deepEqual(canonicalize('https://www.example.com/shop/item/?utm_source=mail&id=5&gclid=x#reviews'), {
+    url: 'https://example.com/shop/item?id=5', retailer: null, marketplace: 'example.com', productId: null,
+  });
+  assert.equal(productKey('not a url '), 'not a url');
+});
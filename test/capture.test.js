@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, FIXTURE_URLS } = require('./helpers');
+const amazonPage = require('./fixtures/html/www-amazon-in-Samsung-Galaxy-Onyx-Black-Storage-dp-B0CS5XW6T-104c8ca1.json');
+
+let server;
+let token;
+let cookie;
+before(async () => {
+  server = await startServer({ CAPTURE_MAX_MB: '0.05' });
+  const res = await server.post('/auth/register', { username: 'capturer', password: 'long enough pw' });
+  cookie = res.headers.get('set-cookie').split(';')[0];
+  ({ body: { token } } = await server.post('/me/capture-token', {}, { Cookie: cookie }));
+});
+
+function openCapture(captureId, headers = { Cookie: cookie }) {
+  return fetch(`${server.baseUrl}/compare/stream?${new URLSearchParams({ url: FIXTURE_URLS.amazon, capture: captureId })}`, { headers });
+}
+after(() => server.close());
+
+test('a captured page runs through extraction without fetching the site', async () => {
+  const { status, body } = await server.post('/scrape/html',
+    { url: FIXTURE_URLS.amazon, html: amazonPage.data, currency: 'USD' },
+    { 'X-Capture-Token': token });
+  assert.equal(status, 200);
+  assert.equal(body.blocked, false);
+  assert.match(body.name, /Samsung Galaxy S24/);
+  assert.equal(body.targetCurrency, 'USD');
+  assert.match(body.compareUrl, /^\/\?capture=[0-9a-f]+&url=/);
+
+  // The compare stream opens the capture in the currency it was made in
+  const stream = await openCapture(body.captureId);
+  const text = await stream.text();
+  assert.match(text, /Using the page your browser captured/);
+  const done = JSON.parse(text.split('event: done\ndata: ')[1].split('\n')[0]);
+  assert.equal(done.source.price, body.price);
+  assert.equal(done.search.targetCurrency, 'USD');
+
+  // Its permalink says the source was captured and names no account
+  const { body: snapshot } = await server.request('GET', `/snapshots/${done.snapshotId}`);
+  assert.equal(snapshot.captured, true);
+  assert.equal('createdBy' in snapshot, false);
+});
+
+test('only the capture token\'s owner can open the capture', async () => {
+  const { body } = await server.post('/scrape/html', { url: FIXTURE_URLS.amazon, html: amazonPage.data }, { 'X-Capture-Token': token });
+  const other = await server.post('/auth/register', { username: 'onlooker', password: 'long enough pw' });
+
+  const anonymous = await openCapture(body.captureId, {});
+  assert.equal(anonymous.status, 403);
+  assert.match(await anonymous.text(), /event: failure\ndata: .*another account/);
+  const stranger = await openCapture(body.captureId, { Cookie: other.headers.get('set-cookie').split(';')[0] });
+  assert.equal(stranger.status, 403);
+  await stranger.text();
+});
+
+test('the bookmarklet form post redirects into the comparison', async () => {
+  const res = await fetch(`${server.baseUrl}/scrape/html`, {
+    method: 'POST',
+    body: new URLSearchParams({ url: FIXTURE_URLS.amazon, html: amazonPage.data, token }),
+    redirect: 'manual',
+  });
+  assert.equal(res.status, 303);
+  assert.match(res.headers.get('location'), /^\/\?capture=[0-9a-f]+&url=.+&currency=INR$/);
+});
+
+test('captures need a token, a URL and must fit the size limit', async () => {
+  const page = { url: FIXTURE_URLS.amazon, html: amazonPage.data };
+  assert.equal((await server.post('/scrape/html', page)).status, 401);
+  assert.equal((await server.post('/scrape/html', page, { 'X-Capture-Token': 'psc_nope' })).status, 401);
+  assert.equal((await server.post('/scrape/html', { html: amazonPage.data }, { 'X-Capture-Token': token })).status, 400);
+
+  const tooBig = await server.post('/scrape/html', { ...page, html: 'x'.repeat(60 * 1024) }, { 'X-Capture-Token': token });
+  assert.equal(tooBig.status, 413);
+  assert.match(tooBig.body.error, /limit/);
+});
+
+test('an expired or unknown capture fails in-band on the stream', async () => {
+  const res = await fetch(`${server.baseUrl}/compare/stream?url=${encodeURIComponent(FIXTURE_URLS.amazon)}&capture=deadbeef`);
+  assert.match(await res.text(), /event: failure\ndata: .*expired/);
+});
+
+test('a stream with nothing to compare fails in-band', async () => {
+  const res = await fetch(`${server.baseUrl}/compare/stream`);
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /event: failure\ndata: .*A URL, product name/);
+});
+
+test('an unsupported currency fails in-band on the stream', async () => {
+  const res = await fetch(`${server.baseUrl}/compare/stream?url=${encodeURIComponent(FIXTURE_URLS.amazon)}&currency=XYZ`);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  assert.match(await res.text(), /event: failure\ndata: .*Unsupported currency: XYZ/);
+});
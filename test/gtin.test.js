@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+const { parseGtin } = require('../lib/gtin/codes');
+const { detectInput } = require('../lib/input');
+
+const S24 = 'Samsung Galaxy S24 5G (Onyx Black, 8GB, 256GB Storage)';
+const catalogFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pricescope-gtin-')), 'catalog.csv');
+
+let server;
+before(async () => {
+  fs.writeFileSync(catalogFile, `ean,name,brand,model\n8806095299587,"${S24}",Samsung,SM-S921B\n`);
+  server = await startServer({ GTIN_CATALOG: catalogFile });
+});
+after(async () => {
+  await server.close();
+  fs.rmSync(path.dirname(catalogFile), { recursive: true, force: true });
+});
+
+// Collects a compare stream into its progress messages and final payload
+async function compareStream(params) {
+  const text = await (await fetch(`${server.baseUrl}/compare/stream?${new URLSearchParams(params)}`)).text();
+  const events = text.trim().split('\n\n').map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+  return {
+    messages: events.filter(e => e.event === 'progress').map(e => e.data.message),
+    done: events.find(e => e.event === 'done')?.data,
+  };
+}
+
+test('barcodes need a valid check digit', () => {
+  assert.deepEqual(parseGtin('8806 09529 9587'), { gtin: '08806095299587', code: '8806095299587', format: 'EAN-13' });
+  assert.equal(parseGtin('012345678905').format, 'UPC-A');
+  assert.equal(parseGtin('9780306406157').format, 'ISBN-13');
+  assert.equal(parseGtin('8806095299581'), null);
+  assert.equal(parseGtin('12345'), null);
+});
+
+test('input is told apart as a link, barcode, model number or name', () => {
+  assert.equal(detectInput('https://www.amazon.in/dp/B0CS5XW6TN').type, 'url');
+  assert.equal(detectInput('8806095299587').type, 'gtin');
+  assert.equal(detectInput('SM-S921B').type, 'model');
+  assert.equal(detectInput('WH-1000XM5').type, 'model');
+  assert.equal(detectInput('Galaxy S24 256GB').type, 'text');
+  assert.equal(detectInput('headphones').type, 'text');
+});
+
+test('GET /gtin/:code resolves through the local catalog', async () => {
+  const found = await server.request('GET', '/gtin/8806095299587');
+  assert.equal(found.status, 200);
+  assert.equal(found.body.resolver, 'catalog');
+  assert.equal(found.body.product.model, 'SM-S921B');
+
+  assert.equal((await server.request('GET', '/gtin/4006381333931')).status, 404);
+  assert.equal((await server.request('GET', '/gtin/not-a-code')).status, 400);
+});
+
+test('a typed product name goes straight to the search', async () => {
+  const { messages, done } = await compareStream({ q: S24 });
+  assert.ok(!messages.some(m => /Rendering|Fetching|AI extracted/.test(m)), 'no page is scraped');
+  assert.equal(done.source.query, true);
+  assert.equal(done.source.inputType, 'text');
+  assert.ok(done.search.products.length > 0);
+  assert.ok(done.snapshotId);
+});
+
+test('a barcode is looked up and its product name searched', async () => {
+  const { messages, done } = await compareStream({ q: '8806095299587' });
+  assert.ok(messages.some(m => /8806095299587 is "Samsung Galaxy S24/.test(m)));
+  assert.equal(done.source.inputType, 'gtin');
+  assert.equal(done.source.searchQuery, S24);
+  assert.equal(done.source.lookup.resolver, 'catalog');
+  assert.equal(done.source.identifiers.modelNumber, 'SM-S921B');
+  assert.ok(done.search.products.length > 0);
+
+  const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+  assert.match(metrics, /pricescope_gtin_lookups_total\{resolver="catalog",outcome="found"\} 1/);
+});
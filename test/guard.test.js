@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { isPrivateAddress } = require('../lib/url-guard');
+
+let server;
+let signedIn;
+before(async () => {
+  server = await startServer({ SCRAPE_BLOCKED_DOMAINS: 'evil.example' });
+  const res = await server.post('/auth/register', { username: 'guarded', password: 'guarded-password' });
+  signedIn = { Cookie: res.headers.get('set-cookie').split(';')[0] };
+});
+after(() => server.close());
+
+test('private, loopback and link-local addresses are recognized', () => {
+  for (const ip of ['127.0.0.1', '10.0.0.8', '172.20.1.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fe80::1', 'fd12::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('/scrape refuses internal destinations', async () => {
+  for (const url of [
+    'http://localhost:3000/',
+    'http://127.0.0.1/admin',
+    'http://2130706433/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://192.168.1.1/',
+  ]) {
+    const { status, body } = await server.post('/scrape', { url });
+    assert.equal(status, 400, url);
+    assert.match(body.error, /can't be fetched/, url);
+  }
+});
+
+test('/scrape refuses other schemes and the deny list', async () => {
+  const file = await server.post('/scrape', { url: 'file:///etc/passwd' });
+  assert.equal(file.status, 400);
+  assert.match(file.body.error, /file URLs are not allowed/);
+
+  const denied = await server.post('/scrape', { url: 'https://shop.evil.example/p/1' });
+  assert.equal(denied.status, 400);
+  assert.match(denied.body.error, /blocked list/);
+});
+
+test('webhook alerts can not target internal addresses', async () => {
+  for (const target of ['http://169.254.169.254/latest/meta-data/', 'http://10.0.0.5/hook', 'ftp://example.com/hook']) {
+    const { status, body } = await server.post('/watchlist', {
+      url: 'https://www.amazon.in/dp/B0CS5XW6TN',
+      targetPrice: 100,
+      channel: { type: 'webhook', target },
+    }, signedIn);
+    assert.equal(status, 400, target);
+    assert.match(body.error, /Webhook URL is not allowed/, target);
+  }
+});
+
+test('the watchlist will not schedule internal URLs', async () => {
+  const { status, body } = await server.post('/watchlist', { url: 'http://10.0.0.5/item', targetPrice: 100 }, signedIn);
+  assert.equal(status, 400);
+  assert.match(body.error, /can't be watched/);
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server logs freely to stdout, which Node 20's test runner also uses
+// to talk to each test file; keep the server's chatter on stderr instead.
+for (const level of ['log', 'info', 'warn']) {
+  console[level] = (...args) => process.stderr.write(`${args.join(' ')}\n`);
+}
+
+// Boots the app in fixture-replay mode on a random port. Everything the
+// pipeline would fetch comes from test/fixtures; state files go to a temp
+// dir that is removed on close. `env` overrides any of the settings below.
+async function startServer(env = {}) {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricescope-test-'));
+  Object.assign(process.env, {
+    FIXTURE_MODE: 'replay',
+    FIXTURE_DIR: path.join(__dirname, 'fixtures'),
+    HISTORY_FILE: path.join(stateDir, 'history.jsonl'),
+    WATCHLIST_FILE: path.join(stateDir, 'watchlist.json'),
+    ALERT_LOG_FILE: path.join(stateDir, 'alerts.log'),
+    ACCOUNTS_FILE: path.join(stateDir, 'accounts.json'),
+    COMPARISONS_FILE: path.join(stateDir, 'comparisons.json'),
+    SNAPSHOT_DIR: path.join(stateDir, 'snapshots'),
+    CACHE_STORE: 'memory',
+    SEARCH_PROVIDERS: 'serpapi',
+    SERPAPI_KEY: 'replay',
+    LLM_BACKEND: 'gemini',
+    LLM_MODELS: 'gemini-2.0-flash',
+    GEMINI_API_KEY: 'replay',
+    RATE_LIMIT_SCRAPE: '1000',
+    RATE_LIMIT_SEARCH: '1000',
+    RATE_LIMIT_LOGIN: '1000',
+  }, env);
+
+  const { app } = require('../server');
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    async request(method, route, body, headers = {}) {
+      const res = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        redirect: 'manual',
+      });
+      const text = await res.text();
+      return { status: res.status, headers: res.headers, body: text && res.headers.get('content-type')?.includes('json') ? JSON.parse(text) : null };
+    },
+    post(route, body, headers) {
+      return this.request('POST', route, body, headers);
+    },
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// URLs with a recorded fixture under test/fixtures
+const FIXTURE_URLS = {
+  amazon: 'https://www.amazon.in/Samsung-Galaxy-Onyx-Black-Storage/dp/B0CS5XW6TN',
+  flipkart: 'https://www.flipkart.com/samsung-galaxy-s24-5g-onyx-black-256-gb/p/itm3469a7107606a?pid=MOBGX2F3RQKKKGKG',
+  captcha: 'https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY',
+  usStore: 'https://www.bestbuy.com/site/sony-wh-1000xm5-wireless-noise-canceling-over-the-ear-headphones-black/6505727.p',
+  fetchRefused: 'https://www.myntra.com/headphones/boat/boat-rockerz-450-bluetooth-headphones/1234567/buy',
+  badLlmReply: 'https://www.croma.com/apple-airpods-pro-2nd-gen-with-magsafe-case-usb-c-white-/p/300776',
+  productNotFound: 'https://www.reliancedigital.in/lg-1-5-ton-5-star-dual-inverter-split-ac-rs-q19ynze/p/494421418',
+};
+
+module.exports = { startServer, FIXTURE_URLS };
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, FIXTURE_URLS } = require('./helpers');
+const { Registry } = require('../lib/metrics');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+async function metricsText() {
+  const res = await fetch(`${server.baseUrl}/metrics`);
+  assert.match(res.headers.get('content-type'), /text\/plain/);
+  return res.text();
+}
+
+test('/health reports dependencies without exposing keys', async () => {
+  const { status, body } = await server.request('GET', '/health');
+  assert.equal(status, 200);
+  assert.ok(['ok', 'degraded'].includes(body.status));
+  assert.deepEqual(body.checks.gemini, { keyConfigured: true, active: true });
+  assert.deepEqual(body.checks.serpapi, { keyConfigured: true, active: true });
+  assert.equal(body.checks.llm.configured, true);
+  assert.equal(typeof body.checks.puppeteer.enabled, 'boolean');
+  assert.ok('stale' in body.checks.exchangeRates);
+  assert.doesNotMatch(JSON.stringify(body.checks), /"replay"/);
+});
+
+test('every response carries a request ID, reusing a sane incoming one', async () => {
+  const generated = await fetch(`${server.baseUrl}/health`);
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f]{16}$/);
+
+  const passed = await fetch(`${server.baseUrl}/health`, { headers: { 'X-Request-ID': 'edge-42' } });
+  assert.equal(passed.headers.get('x-request-id'), 'edge-42');
+
+  const junk = await fetch(`${server.baseUrl}/health`, { headers: { 'X-Request-ID': 'x'.repeat(200) } });
+  assert.notEqual(junk.headers.get('x-request-id'), 'x'.repeat(200));
+});
+
+test('/metrics counts scrape outcomes, blocked reasons, models and stages', async () => {
+  await server.post('/scrape', { url: FIXTURE_URLS.amazon });
+  await server.post('/scrape', { url: FIXTURE_URLS.captcha });
+  await server.post('/scrape', { url: FIXTURE_URLS.usStore });
+  await server.post('/scrape', { url: FIXTURE_URLS.badLlmReply });
+
+  const text = await metricsText();
+  assert.match(text, /^pricescope_scrapes_total\{outcome="ok",reason=""\} 2$/m);
+  assert.match(text, /^pricescope_scrapes_total\{outcome="blocked",reason="bot-check \/ CAPTCHA detected"\} 1$/m);
+  assert.match(text, /^pricescope_scrapes_total\{outcome="blocked",reason="AI extraction failed"\} 1$/m);
+  assert.match(text, /^pricescope_extractions_total\{extractor="amazon"\} 1$/m);
+  assert.match(text, /^pricescope_llm_requests_total\{backend="gemini",model="gemini-2.0-flash",outcome="success"\} 1$/m);
+  assert.match(text, /^pricescope_llm_requests_total\{backend="gemini",model="gemini-2.0-flash",outcome="failure"\} 1$/m);
+  assert.match(text, /^pricescope_page_fetches_total\{fetcher="puppeteer",outcome="ok"\} 4$/m);
+  assert.match(text, /^pricescope_stage_duration_seconds_count\{stage="fetch"\} 4$/m);
+  assert.match(text, /^pricescope_http_requests_total\{method="POST",route="\/scrape",status="200"\} 4$/m);
+});
+
+test('the registry renders Prometheus text with escaped labels and cumulative buckets', () => {
+  const registry = new Registry();
+  const counter = registry.counter({ name: 'demo_total', help: 'Demo', labelNames: ['reason'] });
+  counter.inc({ reason: 'said "no"\nthen left' });
+  counter.inc({ reason: 'said "no"\nthen left' }, 2);
+  const histogram = registry.histogram({ name: 'demo_seconds', help: 'Latency', buckets: [0.1, 1] });
+  histogram.observe({}, 0.05);
+  histogram.observe({}, 0.5);
+  histogram.observe({}, 3);
+
+  const text = registry.render();
+  assert.match(text, /^# TYPE demo_total counter$/m);
+  assert.match(text, /^demo_total\{reason="said \\"no\\"\\nthen left"\} 3$/m);
+  assert.match(text, /^demo_seconds_bucket\{le="0.1"\} 1$/m);
+  assert.match(text, /^demo_seconds_bucket\{le="1"\} 2$/m);
+  assert.match(text, /^demo_seconds_bucket\{le="\+Inf"\} 3$/m);
+  assert.match(text, /^demo_seconds_count 3$/m);
+});
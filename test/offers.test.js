@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOffer, parseOffers, parseShipping, landedPrice, parseBanks, convertOffers } = require('../lib/offers');
+
+test('bank offers keep the percentage, cap and minimum spend', () => {
+  const offer = parseOffer('10% Instant Discount on HDFC Bank Credit Cards, up to ₹1,500 on orders of ₹5,000 and above');
+  assert.equal(offer.type, 'bank');
+  assert.equal(offer.bank, 'hdfc');
+  assert.equal(offer.percent, 10);
+  assert.equal(offer.maxDiscount, 1500);
+  assert.equal(offer.minSpend, 5000);
+});
+
+test('coupons, exchange offers and offers with nothing to subtract', () => {
+  assert.equal(parseOffer('Apply coupon to save ₹500').type, 'coupon');
+  assert.equal(parseOffer('Up to ₹20,000 off on Exchange').type, 'exchange');
+  assert.equal(parseOffer('No Cost EMI available on select cards'), null);
+  assert.equal(parseOffer('Special Price: get extra 5% off (price inclusive of cashback/coupon)'), null);
+  assert.equal(parseOffers(['Apply coupon to save ₹500', 'Apply coupon to save ₹500']).length, 1);
+});
+
+test('shipping cost and delivery estimate', () => {
+  assert.deepEqual(parseShipping('FREE delivery Tuesday, 12 March'), { shipping: 0, deliveryEstimate: 'Tuesday, 12 March' });
+  assert.equal(parseShipping('₹40 delivery by tomorrow').shipping, 40);
+  assert.equal(parseShipping('').shipping, null);
+});
+
+test('landed price adds shipping and takes the best coupon and usable bank offer', () => {
+  const offers = parseOffers([
+    'Apply coupon to save ₹500',
+    '10% off with HDFC Bank cards, up to ₹1,500',
+    '5% off with ICICI Bank cards',
+    'Up to ₹20,000 off on Exchange',
+  ]);
+  const product = { price: 20000, shipping: 99, offers };
+
+  const noCards = landedPrice(product);
+  assert.equal(noCards.effectivePrice, 20000 + 99 - 500);
+  assert.equal(noCards.excluded.length, 3);
+
+  const withCards = landedPrice(product, { banks: parseBanks('icici, hdfc, nope') });
+  assert.equal(withCards.effectivePrice, 20000 + 99 - 500 - 1500);
+  assert.deepEqual(withCards.breakdown.map(line => line.amount), [20000, 99, -500, -1500]);
+  assert.deepEqual(withCards.excluded.map(o => o.type), ['bank', 'exchange']);
+});
+
+test('offer amounts follow the display currency', () => {
+  const [offer] = convertOffers(parseOffers(['Flat ₹1,000 off with SBI cards on orders above ₹10,000']), 0.01);
+  assert.equal(offer.amount, 10);
+  assert.equal(offer.minSpend, 100);
+  assert.equal(landedPrice({ price: 50, offers: [offer] }, { banks: ['sbi'] }).effectivePrice, 50);
+});
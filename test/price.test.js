@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice, currencyForHost } = require('../lib/price');
+
+function amountAndCurrency(text, options) {
+  const parsed = parsePrice(text, options);
+  return parsed && [parsed.amount, parsed.currency];
+}
+
+test('decimal and grouping conventions', () => {
+  assert.deepEqual(amountAndCurrency('1.299,00 €'), [1299, 'EUR']);
+  assert.deepEqual(amountAndCurrency('12,99 €'), [12.99, 'EUR']);
+  assert.deepEqual(amountAndCurrency('1 299,00 €'), [1299, 'EUR']);
+  assert.deepEqual(amountAndCurrency('£1,049.99'), [1049.99, 'GBP']);
+  assert.deepEqual(amountAndCurrency('₹1,29,999'), [129999, 'INR']);
+  assert.deepEqual(amountAndCurrency("CHF 1'299.90"), [1299.9, 'CHF']);
+  assert.deepEqual(amountAndCurrency('¥128,000'), [128000, 'JPY']);
+});
+
+test('ranges return min and max, with the low end as the amount', () => {
+  const parsed = parsePrice('₹1,299 – ₹1,499');
+  assert.equal(parsed.isRange, true);
+  assert.equal(parsed.min, 1299);
+  assert.equal(parsed.max, 1499);
+  assert.equal(parsed.amount, 1299);
+  assert.equal(parsePrice('From £24.99 to £39.99').max, 39.99);
+});
+
+test('rupee spellings and ISO codes', () => {
+  assert.deepEqual(amountAndCurrency('Rs. 2,499'), [2499, 'INR']);
+  assert.deepEqual(amountAndCurrency('Rs.499'), [499, 'INR']);
+  assert.deepEqual(amountAndCurrency('INR 2,499.50'), [2499.5, 'INR']);
+  assert.deepEqual(amountAndCurrency('AED 3,499'), [3499, 'AED']);
+  assert.deepEqual(amountAndCurrency('USD 1,049'), [1049, 'USD']);
+  assert.deepEqual(amountAndCurrency('29.99 EUR'), [29.99, 'EUR']);
+});
+
+test('capitalised words are not read as currency codes', () => {
+  assert.deepEqual(amountAndCurrency('TOP DEAL ₹999'), [999, 'INR']);
+  assert.deepEqual(amountAndCurrency('ALL NEW 2024 model €349'), [349, 'EUR']);
+  assert.deepEqual(amountAndCurrency('TRY NOW for 1,299', { fallbackCurrency: 'INR' }), [1299, 'INR']);
+});
+
+test('dollar variants are told apart', () => {
+  assert.deepEqual(amountAndCurrency('C$ 1,049.99'), [1049.99, 'CAD']);
+  assert.deepEqual(amountAndCurrency('A$899'), [899, 'AUD']);
+  assert.deepEqual(amountAndCurrency('S$1,299.00'), [1299, 'SGD']);
+  assert.deepEqual(amountAndCurrency('$19.99'), [19.99, 'USD']);
+  // A bare "$" on a Canadian store is Canadian dollars
+  assert.deepEqual(amountAndCurrency('$19.99', { fallbackCurrency: 'CAD' }), [19.99, 'CAD']);
+});
+
+test('numbers next to a currency mark win over model numbers', () => {
+  assert.deepEqual(amountAndCurrency('iPhone 15 128 GB ₹79,900'), [79900, 'INR']);
+});
+
+test('confidence drops when the parser had to guess', () => {
+  assert.equal(parsePrice('₹64,999').confidence, 1);
+  assert.ok(parsePrice('$19.99').confidence < 1, 'bare dollar sign');
+  assert.ok(parsePrice('64999').confidence < parsePrice('64999', { fallbackCurrency: 'INR' }).confidence + 0.01);
+  assert.ok(parsePrice('64999').confidence <= 0.6, 'no currency at all');
+  assert.ok(parsePrice('₹1,299 M.R.P ₹1,999').confidence < 1, 'two unrelated prices');
+  assert.equal(parsePrice('64999').currency, null);
+});
+
+test('text without a price', () => {
+  assert.equal(parsePrice('Currently unavailable'), null);
+  assert.equal(parsePrice(''), null);
+  assert.equal(parsePrice(null), null);
+});
+
+test('store currency from the hostname', () => {
+  assert.equal(currencyForHost('https://www.amazon.ca/dp/B0C'), 'CAD');
+  assert.equal(currencyForHost('https://www.amazon.co.uk/dp/B0C'), 'GBP');
+  assert.equal(currencyForHost('https://www.flipkart.com/x'), null);
+  assert.equal(currencyForHost('not a url'), null);
+});
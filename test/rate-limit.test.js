@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, FIXTURE_URLS } = require('./helpers');
+
+let server;
+before(async () => {
+  server = await startServer({ RATE_LIMIT_SCRAPE: '2', RATE_LIMIT_SEARCH: '2', API_KEY_RATE_MULTIPLIER: '2', API_KEYS: 'test-key' });
+});
+after(() => server.close());
+
+test('a batch counts each of its URLs against the /scrape allowance', async () => {
+  const urls = [FIXTURE_URLS.amazon, FIXTURE_URLS.amazon, FIXTURE_URLS.amazon];
+  const { status, headers, body } = await server.post('/compare/batch', { urls });
+  assert.equal(status, 429);
+  assert.match(body.error, /Too many scrape requests/);
+  // A refused batch uses up nothing
+  assert.equal(headers.get('ratelimit-remaining'), '2');
+});
+
+test('an IP over its /scrape allowance gets a 429 with Retry-After', async () => {
+  const first = await server.post('/scrape', { url: FIXTURE_URLS.amazon });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('ratelimit-limit'), '2');
+  assert.equal(first.headers.get('ratelimit-remaining'), '1');
+  await server.post('/scrape', { url: FIXTURE_URLS.amazon });
+
+  const { status, headers, body } = await server.post('/scrape', { url: FIXTURE_URLS.amazon });
+  assert.equal(status, 429);
+  assert.ok(Number(headers.get('retry-after')) > 0);
+  assert.match(body.error, /Too many scrape requests/);
+});
+
+test('/search is limited separately', async () => {
+  const { status } = await server.post('/search', { productName: 'Apple IPhone 15 128 GB' });
+  assert.equal(status, 200);
+});
+
+test('API keys get their own, larger allowance', async () => {
+  const headers = { 'X-API-Key': 'test-key' };
+  for (let i = 0; i < 4; i++) {
+    const { status } = await server.post('/scrape', { url: FIXTURE_URLS.amazon }, headers);
+    assert.equal(status, 200);
+  }
+  const { status } = await server.post('/scrape', { url: FIXTURE_URLS.amazon }, headers);
+  assert.equal(status, 429);
+});
+
+test('an unknown API key is rejected', async () => {
+  const { status, body } = await server.post('/scrape', { url: FIXTURE_URLS.amazon }, { Authorization: 'Bearer nope' });
+  assert.equal(status, 401);
+  assert.equal(body.error, 'Unknown API key');
+});
+
+test('the compare stream reports the limit as a failure event', async () => {
+  const res = await fetch(`${server.baseUrl}/compare/stream?url=${encodeURIComponent(FIXTURE_URLS.amazon)}`);
+  assert.equal(res.status, 200);
+  const text = await res.text();
+  assert.match(text, /^event: failure\n/);
+  assert.match(text, /Too many scrape requests/);
+});
+
+test('snapshot exports share the /scrape allowance', async () => {
+  const { status } = await server.request('GET', '/snapshots/abcdefgh/export?format=pdf');
+  assert.equal(status, 429);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fromSavedComparison, comparisonRows, comparisonCSV, comparisonReportHTML } = require('../lib/report');
+
+const SAVED = {
+  id: 'abc123',
+  title: 'Sony WH-1000XM5',
+  notes: 'Approve if < ₹27k <script>',
+  currency: 'INR',
+  savedAt: '2026-03-12T10:04:00.000Z',
+  source: { name: 'Sony WH-1000XM5', price: 29990, currency: 'INR', originalPrice: '₹29,990', websiteName: 'Amazon India', url: 'https://www.amazon.in/dp/B09XS7JWHH' },
+  products: [
+    { name: 'Sony WH-1000XM5, "Black"', price: 27490, currency: 'INR', originalPrice: '₹27,490', websiteName: 'Croma', url: 'https://www.croma.com/p/1' },
+    { name: 'Sony WH-1000XM5', price: 27440.5, currency: 'USD', originalPrice: '$329.99', exchangeRate: { from: 'USD', to: 'INR', rate: 83.16 }, websiteName: 'Best Buy', url: 'https://www.bestbuy.com/site/6505727.p' },
+  ],
+};
+
+test('rows lead with the source and compare each result against it', () => {
+  const rows = comparisonRows(fromSavedComparison(SAVED));
+  assert.deepEqual(rows.map(r => r.role), ['Source', 'Result', 'Result']);
+  assert.equal(rows[1].vsSource, -2500);
+  assert.equal(rows[2].originalPrice, '$329.99');
+  assert.equal(rows[2].originalCurrency, 'USD');
+  assert.equal(rows[2].exchangeRate, 83.16);
+  assert.ok(rows.every(r => r.capturedAt === SAVED.savedAt));
+});
+
+test('CSV starts with a BOM and quotes awkward names', () => {
+  const csv = comparisonCSV(fromSavedComparison(SAVED));
+  assert.ok(csv.startsWith('\uFEFFRole,Retailer,Product,Price,'));
+  assert.match(csv, /"Sony WH-1000XM5, ""Black"""/);
+});
+
+test('CSV cells that would run as formulas are neutralised', () => {
+  const csv = comparisonCSV(fromSavedComparison({
+    ...SAVED,
+    products: [{ name: '=HYPERLINK("http://evil.example","Click")', price: 27490, websiteName: '@Store', url: 'https://www.croma.com/p/1' }],
+  }));
+  assert.match(csv, /"'=HYPERLINK\(""http:\/\/evil\.example"",""Click""\)"/);
+  assert.match(csv, /,'@Store,/);
+  // Numbers stay numbers, negatives included
+  assert.match(csv, /,27490,INR,-2500,/);
+});
+
+test('the report only links http(s) URLs', () => {
+  const html = comparisonReportHTML(fromSavedComparison({
+    ...SAVED,
+    products: [{ name: 'Trap', price: 1, websiteName: 'Shop', url: 'javascript:alert(document.cookie)' }],
+  }));
+  assert.doesNotMatch(html, /href="javascript:/);
+  assert.match(html, /javascript:alert\(document\.cookie\)/);
+  assert.match(html, /<a href="https:\/\/www\.amazon\.in\/dp\/B09XS7JWHH">/);
+});
+
+test('the report escapes page text', () => {
+  const html = comparisonReportHTML(fromSavedComparison(SAVED));
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /Approve if &lt; ₹27k &lt;script&gt;/);
+  assert.match(html, /<tr class="lowest">[\s\S]*?Best Buy/);
+});
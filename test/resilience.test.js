@@ -0,0 +1,105 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callDependency, breakerStates, resetBreakers, isRetryable, backoffDelay, TimeoutError, CircuitOpenError, QuotaExceededError } = require('../lib/resilience');
+
+Object.assign(process.env, {
+  FLAKY_RETRIES: '2',
+  FLAKY_RETRY_DELAY_MS: '1',
+  FLAKY_TIMEOUT_MS: '50',
+  BREAKER_FAILURES: '2',
+  BREAKER_RESET_MS: '30',
+});
+
+beforeEach(() => resetBreakers());
+
+function httpError(status, message = `Request failed with status code ${status}`, extra = {}) {
+  return Object.assign(new Error(message), { response: { status, headers: {}, data: {} }, ...extra });
+}
+
+test('retryable errors are retried with backoff until the call succeeds', async () => {
+  let calls = 0;
+  const retries = [];
+  const result = await callDependency('flaky', async () => {
+    calls += 1;
+    if (calls < 3) throw httpError(503);
+    return 'ok';
+  }, { onRetry: r => retries.push(r.attempt) });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.deepEqual(retries, [1, 2]);
+  assert.equal(breakerStates().flaky.state, 'closed');
+});
+
+test('client errors fail at once and never trip the breaker', async () => {
+  let calls = 0;
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(callDependency('flaky', async () => {
+      calls += 1;
+      throw httpError(400);
+    }), /status code 400/);
+  }
+  assert.equal(calls, 3);
+  assert.equal(breakerStates().flaky.state, 'closed');
+  assert.equal(isRetryable(httpError(404)), false);
+  assert.equal(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+});
+
+test('slow calls time out', async () => {
+  await assert.rejects(
+    callDependency('flaky', () => new Promise(resolve => setTimeout(resolve, 500)), { key: 'flaky/slow' }),
+    TimeoutError,
+  );
+});
+
+test('the breaker opens after repeated outages and a trial call closes it', async () => {
+  const down = () => callDependency('flaky', async () => { throw httpError(502); });
+  await assert.rejects(down(), /502/);
+  await assert.rejects(down(), /502/);
+  assert.equal(breakerStates().flaky.state, 'open');
+
+  let called = false;
+  await assert.rejects(callDependency('flaky', async () => { called = true; }), CircuitOpenError);
+  assert.equal(called, false, 'an open breaker fails fast');
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(await callDependency('flaky', async () => 'back'), 'back');
+  assert.equal(breakerStates().flaky.state, 'closed');
+});
+
+test('a quota 429 is not retried and parks that key until the quota resets', async () => {
+  let calls = 0;
+  const quota = httpError(429, '[429 Too Many Requests] You exceeded your current quota', {
+    response: undefined,
+    status: 429,
+    errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '37s' }],
+  });
+  const err = await callDependency('flaky', async () => { calls += 1; throw quota; }, { key: 'flaky/model-a' }).catch(e => e);
+  assert.ok(err instanceof QuotaExceededError);
+  assert.equal(err.retryAfterMs, 37000);
+  assert.equal(calls, 1);
+  assert.equal(breakerStates()['flaky/model-a'].state, 'open');
+  // Other keys of the same dependency (other models) are unaffected
+  assert.equal(await callDependency('flaky', async () => 'ok', { key: 'flaky/model-b' }), 'ok');
+});
+
+test('a Retry-After longer than the backoff cap opens the breaker instead of sleeping', async () => {
+  let calls = 0;
+  const busy = httpError(503);
+  busy.response.headers['retry-after'] = '120';
+  const started = Date.now();
+  await assert.rejects(callDependency('flaky', async () => { calls += 1; throw busy; }), /503/);
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - started < 1000);
+  const state = breakerStates().flaky;
+  assert.equal(state.state, 'open');
+  assert.ok(Date.parse(state.retryAt) - Date.now() > 100 * 1000);
+});
+
+test('backoff grows exponentially, is capped and jittered', () => {
+  const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+  for (let i = 0; i < 20; i++) {
+    assert.ok(backoffDelay(0, policy) <= 100);
+    assert.ok(backoffDelay(2, policy) <= 400);
+    assert.ok(backoffDelay(10, policy) <= 1000);
+  }
+});
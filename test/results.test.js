@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResultOptions, applyResultOptions } = require('../lib/results');
+
+const listings = [
+  { websiteName: 'Croma', price: 63499, rating: null },
+  { websiteName: 'Flipkart', price: 62999, effectivePrice: 63039, rating: 4.5 },
+  { websiteName: 'Reliance Digital', price: 56999, rating: 4.1, availability: 'out_of_stock' },
+  { websiteName: 'Amazon.in', price: null, rating: 4.8 },
+];
+
+test('result options have defaults and reject bad values', () => {
+  const { options } = parseResultOptions({});
+  assert.equal(options.limit, 10);
+  assert.equal(options.offset, 0);
+  assert.equal(options.sort, 'relevance');
+  assert.deepEqual(options.retailers, []);
+
+  assert.deepEqual(parseResultOptions({ retailers: 'Amazon.in, flipkart' }).options.retailers, ['amazon', 'flipkart']);
+  assert.equal(parseResultOptions({ inStock: 'true' }).options.inStock, true);
+  assert.match(parseResultOptions({ limit: 500 }).error, /limit/);
+  assert.match(parseResultOptions({ sort: 'cheapest' }).error, /sort must be one of/);
+  assert.match(parseResultOptions({ minRating: 6 }).error, /minRating/);
+});
+
+test('listings sort by effective price with unpriced ones last', () => {
+  const { options } = parseResultOptions({ sort: 'price' });
+  const names = applyResultOptions(listings, options).products.map(p => p.websiteName);
+  assert.deepEqual(names, ['Reliance Digital', 'Flipkart', 'Croma', 'Amazon.in']);
+
+  const byRating = applyResultOptions(listings, parseResultOptions({ sort: 'rating' }).options);
+  assert.deepEqual(byRating.products.map(p => p.websiteName), ['Amazon.in', 'Flipkart', 'Reliance Digital', 'Croma']);
+});
+
+test('filters and paging report what matched', () => {
+  const page = applyResultOptions(listings, parseResultOptions({ maxPrice: 63100, limit: 1 }).options);
+  assert.equal(page.total, 4);
+  assert.equal(page.matched, 2);
+  assert.equal(page.products[0].websiteName, 'Flipkart');
+  assert.equal(page.hasMore, true);
+
+  const inStock = applyResultOptions(listings, parseResultOptions({ inStock: true, excludeRetailers: 'amazon' }).options);
+  assert.deepEqual(inStock.products.map(p => p.websiteName), ['Croma', 'Flipkart']);
+  const rated = applyResultOptions(listings, parseResultOptions({ minRating: 4.5, retailers: ['flipkart', 'croma'] }).options);
+  assert.deepEqual(rated.products.map(p => p.websiteName), ['Flipkart']);
+});
+
+test('retailer filters name retailers the way de-duplication does', () => {
+  const { retailerKey } = require('../lib/providers');
+  const { options } = parseResultOptions({ retailers: 'www.amazon.in' });
+  assert.deepEqual(applyResultOptions(listings, options).products.map(p => p.websiteName), ['Amazon.in']);
+  assert.equal(retailerKey('Amazon India'), retailerKey('www.amazon.in'));
+});
@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, FIXTURE_URLS } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+test('an Amazon.in page is read by the amazon extractor', async () => {
+  const { status, body } = await server.post('/scrape', { url: FIXTURE_URLS.amazon });
+  assert.equal(status, 200);
+  assert.equal(body.blocked, false);
+  assert.equal(body.extractor, 'amazon');
+  assert.equal(body.name, 'Samsung Galaxy S24 5G (Onyx Black, 8GB, 256GB Storage)');
+  assert.equal(body.price, 64999);
+  assert.equal(body.priceINR, 64999);
+  assert.equal(body.currency, 'INR');
+  assert.equal(body.mrp, 79999);
+  assert.equal(body.discountPercent, 19);
+  assert.equal(body.availability, 'in_stock');
+  assert.equal(body.seller, 'Appario Retail Private Ltd');
+  assert.equal(body.rating, 4.3);
+  assert.equal(body.reviewCount, 2481);
+  assert.deepEqual(body.identifiers, {
+    asin: 'B0CS5XW6TN',
+    flipkartPid: null,
+    gtin: null,
+    brand: 'Samsung',
+    modelNumber: 'SM-S921BZKCINS',
+  });
+  assert.equal(body.description.length, 3);
+  assert.equal(body.image, 'https://m.media-amazon.com/images/I/71S24-large.jpg');
+});
+
+test('a Flipkart page is read by the flipkart extractor', async () => {
+  const { body } = await server.post('/scrape', { url: FIXTURE_URLS.flipkart });
+  assert.equal(body.blocked, false);
+  assert.equal(body.extractor, 'flipkart');
+  assert.equal(body.price, 62999);
+  assert.equal(body.mrp, 79999);
+  assert.equal(body.discountPercent, 21);
+  assert.equal(body.rating, 4.5);
+  assert.equal(body.reviewCount, 12345);
+  assert.equal(body.seller, 'SAMSUNG INDIA');
+  assert.equal(body.identifiers.flipkartPid, 'MOBGX2F3RQKKKGKG');
+  assert.equal(body.identifiers.modelNumber, 'SM-S921B');
+});
+
+test('a US store page goes through the LLM and is converted to INR', async () => {
+  const { body } = await server.post('/scrape', { url: FIXTURE_URLS.usStore });
+  assert.equal(body.blocked, false);
+  assert.equal(body.extractor, 'gemini');
+  assert.equal(body.currency, 'USD');
+  assert.equal(body.originalPrice, '$329.99');
+  // 329.99 / 0.01196 USD per rupee
+  assert.equal(body.priceINR, 27591);
+  assert.equal(body.price, 27591);
+  assert.equal(body.priceText, '₹27,591');
+  assert.equal(body.exchangeRate.fallback, false);
+  assert.equal(body.identifiers.brand, 'Sony');
+  // The page's own og:image wins over the LLM's empty one
+  assert.match(body.image, /bbystatic\.com/);
+});
+
+test('the US store page can be priced in its own currency', async () => {
+  const { body } = await server.post('/scrape', { url: FIXTURE_URLS.usStore, currency: 'USD' });
+  assert.equal(body.price, 329.99);
+  assert.equal(body.priceText, '$329.99');
+  assert.equal(body.mrp, 399.99);
+  assert.equal(body.exchangeRate.rate, 1);
+});
+
+test('a repeated scrape is served from the cache', async () => {
+  await server.post('/scrape', { url: FIXTURE_URLS.flipkart });
+  const { body } = await server.post('/scrape', { url: `${FIXTURE_URLS.flipkart}&utm_source=test` });
+  assert.equal(body.cache.hit, true);
+});
+
+test('a short link is followed to the canonical product page', async () => {
+  const { body } = await server.post('/scrape?fresh=1', { url: 'https://amzn.to/3vQk2Xs' });
+  assert.equal(body.blocked, false);
+  assert.equal(body.url, 'https://amzn.to/3vQk2Xs');
+  assert.equal(body.canonicalUrl, FIXTURE_URLS.amazon);
+  assert.equal(body.productId, 'amazon.in:B0CS5XW6TN');
+  assert.equal(body.websiteName, 'Amazon');
+});
+
+test('mobile and tracking variants of a product share its cache entry', async () => {
+  await server.post('/scrape', { url: FIXTURE_URLS.amazon });
+  const { body } = await server.post('/scrape', { url: 'https://m.amazon.in/gp/aw/d/B0CS5XW6TN/ref=sr_1_3?tag=deals-21&th=1' });
+  assert.equal(body.cache.hit, true);
+  assert.equal(body.productId, 'amazon.in:B0CS5XW6TN');
+});
+
+test('an unsupported currency is rejected', async () => {
+  const { status, body } = await server.post('/scrape', { url: FIXTURE_URLS.amazon, currency: 'XYZ' });
+  assert.equal(status, 400);
+  assert.match(body.error, /currency/i);
+});
+
+test('unknown currencies do not refetch the exchange rates', async () => {
+  await server.post('/scrape', { url: FIXTURE_URLS.amazon });
+  const fetchedAt = async () => (await server.request('GET', '/rates')).body.fetchedAt;
+  const before = await fetchedAt();
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.equal((await server.post('/scrape', { url: FIXTURE_URLS.amazon, currency: 'XYZ' })).status, 400);
+  assert.equal(await fetchedAt(), before);
+
+  // A real code the table lacks forces one refresh, then waits for the TTL
+  assert.equal((await server.post('/scrape', { url: FIXTURE_URLS.amazon, currency: 'KPW' })).status, 400);
+  const forced = await fetchedAt();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal((await server.post('/scrape', { url: FIXTURE_URLS.amazon, currency: 'KPW' })).status, 400);
+  assert.equal(await fetchedAt(), forced);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, FIXTURE_URLS } = require('./helpers');
+
+let server;
+let source;
+before(async () => {
+  server = await startServer();
+  ({ body: source } = await server.post('/scrape', { url: FIXTURE_URLS.amazon }));
+});
+after(() => server.close());
+
+test('search results are scored against the source product', async () => {
+  const { status, body } = await server.post('/search', { productName: source.name, source });
+  assert.equal(status, 200);
+  assert.equal(body.fallback, undefined);
+  assert.deepEqual(body.providers, ['serpapi']);
+  assert.ok(body.products.length > 0 && body.products.length <= 3);
+
+  const names = body.products.map(p => p.name);
+  assert.ok(!names.some(n => /case/i.test(n)), 'accessories are dropped');
+  body.products.forEach((p) => {
+    assert.equal(typeof p.matchScore, 'number');
+    assert.equal(p.provider, 'serpapi');
+  });
+  // Best match first
+  const scores = body.products.map(p => p.matchScore);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+});
+
+test('duplicate listings from the same retailer are merged', async () => {
+  const { body } = await server.post('/search', { productName: source.name, source });
+  const flipkart = body.products.filter(p => p.websiteName === 'Flipkart');
+  assert.ok(flipkart.length <= 1);
+});
+
+test('search results carry MRP, discount and rating when the provider has them', async () => {
+  const { body } = await server.post('/search', { productName: source.name, source });
+  const flipkart = body.products.find(p => p.websiteName === 'Flipkart');
+  assert.ok(flipkart);
+  assert.equal(flipkart.price, 62999);
+  assert.equal(flipkart.mrp, 79999);
+  assert.equal(flipkart.discountPercent, 21);
+  assert.equal(flipkart.rating, 4.5);
+  assert.equal(flipkart.reviewCount, 12345);
+});
+
+test('search prices follow the requested currency', async () => {
+  const { body } = await server.post('/search', { productName: source.name, source, currency: 'EUR' });
+  assert.equal(body.targetCurrency, 'EUR');
+  const flipkart = body.products.find(p => p.websiteName === 'Flipkart');
+  assert.equal(flipkart.priceINR, 62999);
+  assert.equal(flipkart.price, Math.round(62999 * 0.01018 * 100) / 100);
+});
+
+test('a search without a product name is rejected', async () => {
+  const { status } = await server.post('/search', {});
+  assert.equal(status, 400);
+});
+
+test('search results carry shipping, offers and an effective price for the chosen banks', async () => {
+  // A separate fixture whose Flipkart listing has a delivery charge and a card offer
+  const productName = 'Samsung Galaxy S24 5G Onyx Black 256GB with offers';
+  const { body: plain } = await server.post('/search', { productName, source });
+  const flipkart = plain.products.find(p => p.websiteName === 'Flipkart');
+  assert.equal(flipkart.shipping, 40);
+  assert.equal(flipkart.deliveryEstimate, 'Tue, 21 Oct');
+  assert.equal(flipkart.offers[0].bank, 'hdfc');
+  // No cards picked: shipping counts, the HDFC offer does not
+  assert.equal(flipkart.effectivePrice, 63039);
+  assert.equal(flipkart.excludedOffers.length, 1);
+
+  const { body: withCard } = await server.post('/search', { productName, source, banks: ['hdfc'] });
+  assert.equal(withCard.cache.hit, true, 'the bank choice does not split the cache');
+  const discounted = withCard.products.find(p => p.websiteName === 'Flipkart');
+  assert.equal(discounted.effectivePrice, 63039 - 1500);
+  assert.deepEqual(discounted.priceBreakdown.map(line => line.amount), [62999, 40, -1500]);
+});
+
+test('search results can be sorted, filtered and paged without a new search', async () => {
+  const { body } = await server.post('/search', { productName: source.name, source, sort: 'price', limit: 2 });
+  assert.equal(body.cache.hit, true);
+  assert.equal(body.products.length, 2);
+  assert.equal(body.total, 3);
+  assert.equal(body.hasMore, true);
+  assert.equal(body.products[0].websiteName, 'Reliance Digital');
+
+  const { body: next } = await server.post('/search', { productName: source.name, source, sort: 'price', limit: 2, offset: 2 });
+  assert.deepEqual(next.products.map(p => p.websiteName), ['Croma']);
+  assert.equal(next.hasMore, false);
+
+  const { body: filtered } = await server.post('/search', { productName: source.name, source, retailers: 'flipkart', minRating: 4 });
+  assert.deepEqual(filtered.products.map(p => p.websiteName), ['Flipkart']);
+  assert.equal(filtered.matched, 1);
+});
+
+test('an unknown sort order is rejected', async () => {
+  const { status, body } = await server.post('/search', { productName: source.name, source, sort: 'cheapest' });
+  assert.equal(status, 400);
+  assert.match(body.error, /sort must be one of/);
+});
+
+test('an unexpected search error is a 500, not a crash', async () => {
+  const { registerProvider } = require('../lib/providers');
+  registerProvider({ name: 'broken', isEnabled: () => true, search() { throw new Error('provider exploded'); } });
+  process.env.SEARCH_PROVIDERS = 'broken';
+  try {
+    const { status, body } = await server.post('/search', { productName: 'anything at all' });
+    assert.equal(status, 500);
+    assert.match(body.error, /provider exploded/);
+  } finally {
+    process.env.SEARCH_PROVIDERS = 'serpapi';
+  }
+});
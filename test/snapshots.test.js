@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, FIXTURE_URLS } = require('./helpers');
+const { parseCSV } = require('../lib/csv');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// The payload of the stream's final `done` event
+async function compareStream(url) {
+  const res = await fetch(`${server.baseUrl}/compare/stream?url=${encodeURIComponent(url)}`);
+  const text = await res.text();
+  const match = text.match(/event: done\ndata: (.*)\n/);
+  assert.ok(match, `no done event in:\n${text}`);
+  return JSON.parse(match[1]);
+}
+
+test('a finished comparison is saved as a snapshot with a permalink', async () => {
+  const done = await compareStream(FIXTURE_URLS.amazon);
+  assert.match(done.snapshotId, /^[A-Za-z0-9]{8}$/);
+  assert.equal(done.shareUrl, `/c/${done.snapshotId}`);
+
+  const { status, body } = await server.request('GET', `/snapshots/${done.snapshotId}`);
+  assert.equal(status, 200);
+  assert.equal(body.url, FIXTURE_URLS.amazon);
+  assert.deepEqual(body.source, done.source);
+  assert.deepEqual(body.products, done.search.products);
+  assert.ok(!Number.isNaN(Date.parse(body.capturedAt)));
+  assert.equal(body.captured, false);
+  assert.ok('exchangeRate' in body);
+
+  const page = await fetch(`${server.baseUrl}${done.shareUrl}`);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /snapshot\.js/);
+});
+
+test('each run gets its own snapshot', async () => {
+  const first = await compareStream(FIXTURE_URLS.amazon);
+  const second = await compareStream(FIXTURE_URLS.amazon);
+  assert.notEqual(first.snapshotId, second.snapshotId);
+});
+
+test('unknown snapshots are 404s', async () => {
+  assert.equal((await server.request('GET', '/snapshots/zzzzzzzz')).status, 404);
+  assert.equal((await server.request('GET', '/snapshots/..%2Faccounts')).status, 404);
+  assert.equal((await fetch(`${server.baseUrl}/c/zzzzzzzz`)).status, 404);
+});
+
+test('a snapshot exports as CSV rows, JSON and a printable report', async () => {
+  const done = await compareStream(FIXTURE_URLS.amazon);
+  const base = `${server.baseUrl}/snapshots/${done.snapshotId}/export`;
+
+  const csv = await fetch(`${base}?format=csv`);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename="pricescope-samsung-galaxy-s24-.*\.csv"/);
+  const rows = parseCSV(await csv.text());
+  assert.deepEqual(rows[0].slice(0, 5), ['Role', 'Retailer', 'Product', 'Price', 'Currency']);
+  assert.equal(rows.length, 2 + done.search.products.length);
+  assert.equal(rows[1][0], 'Source');
+  assert.equal(rows[1][2], done.source.name);
+  assert.equal(Number(rows[1][3]), done.source.price);
+  assert.equal(rows[2][1], done.search.products[0].websiteName);
+  assert.equal(rows[2][rows[0].indexOf('URL')], done.search.products[0].url);
+
+  const json = await server.request('GET', `/snapshots/${done.snapshotId}/export?format=json`);
+  assert.equal(json.body.source.name, done.source.name);
+  assert.equal(json.body.products.length, done.search.products.length);
+  assert.ok(json.body.capturedAt);
+
+  const html = await fetch(`${base}?format=html`);
+  assert.match(html.headers.get('content-type'), /text\/html/);
+  const page = await html.text();
+  assert.match(page, /<h1>Samsung Galaxy S24/);
+  assert.match(page, new RegExp(`/c/${done.snapshotId}`));
+
+  assert.equal((await server.request('GET', `/snapshots/${done.snapshotId}/export?format=xlsx`)).status, 400);
+  assert.equal((await server.request('GET', '/snapshots/zzzzzzzz/export')).status, 404);
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WatchlistStore, WatchlistScheduler } = require('../lib/watchlist');
+
+let stateDir;
+before(() => {
+  stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricescope-watch-'));
+  process.env.ALERT_LOG_FILE = path.join(stateDir, 'alerts.log');
+});
+after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+let stores = 0;
+function setup() {
+  stores += 1;
+  const store = new WatchlistStore(path.join(stateDir, `watchlist-${stores}.json`));
+  const item = store.add('user-1', { url: 'https://www.example.in/p/1', targetPrice: 100, channel: { type: 'log', target: null } });
+  let checks = 0;
+  const scheduler = new WatchlistScheduler({
+    store,
+    check: async () => {
+      checks += 1;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { name: 'Kettle', price: 90, priceText: '₹90' };
+    },
+    intervalMs: 60 * 60 * 1000,
+    domainDelayMs: 60 * 1000,
+  });
+  return { store, item, scheduler, checks: () => checks };
+}
+
+test('a manual check during a scheduled one shares it and alerts once', async () => {
+  const { item, scheduler, checks } = setup();
+  const [scheduled, manual] = await Promise.all([
+    scheduler.checkItem(item),
+    scheduler.checkItem(item, { manual: true }),
+  ]);
+  assert.equal(checks(), 1);
+  assert.equal(manual, scheduled);
+  assert.equal(manual.lastPrice, 90);
+  const alerts = fs.readFileSync(process.env.ALERT_LOG_FILE, 'utf8').trim().split('\n');
+  assert.equal(alerts.filter(line => JSON.parse(line).watchId === item.id).length, 1);
+});
+
+test('manual checks do not wait out the per-domain delay', async () => {
+  const { item, scheduler } = setup();
+  scheduler.lastHitByDomain.set('www.example.in', Date.now());
+  const started = Date.now();
+  await scheduler.checkItem(item, { manual: true });
+  assert.ok(Date.now() - started < 1000);
+});